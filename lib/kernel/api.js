@@ -117,9 +117,23 @@ class Blockchain {
  *      config://code-filter        StateFilter of code stored in the cache
  *      config://recent-broadcasts  Array of recently broadcasted transaction
  *
+ * time:// and spend:// values that may change are stored as { value, expires }, where expires is
+ * in ms since unix epoch. Caches that extend CacheWrapper return the value until it expires.
+ *
  * config:// keys should be preserved over other keys if possible if cache entries are deleted.
  *
  * All values are JSON-serializable. However, they should not be modified or created by hand.
+ *
+ * Caches may also implement these optional methods. They are not defined here because Run checks
+ * whether a cache has them before calling them.
+ *
+ *      async delete (key)        Removes an entry
+ *      async keys (prefix)       Returns an array of keys, optionally only those with a prefix
+ *      async clear (prefix)      Removes entries with a prefix, or every entry including config://
+ *      async lock (key, fn)      Runs fn while no other process can run one for the same key
+ *
+ * Run uses lock to serialize read-modify-writes of config:// keys, like config://code-filter.
+ * Caches shared between processes should implement it.
  */
 class Cache {
   /**
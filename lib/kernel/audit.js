@@ -0,0 +1,112 @@
+/**
+ * audit.js
+ *
+ * Re-verifies jig states by replaying their history independently of the state and cache
+ */
+
+const Log = require('./log')
+const { ArgumentError } = require('./error')
+const { _location } = require('./bindings')
+
+// ------------------------------------------------------------------------------------------------
+// Globals
+// ------------------------------------------------------------------------------------------------
+
+const TAG = 'Audit'
+
+// ------------------------------------------------------------------------------------------------
+// _audit
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Loads a jig from scratch by replaying every transaction in its history, and then compares
+ * the hash of every state produced along the way with what the state provider and the cache hold.
+ *
+ * The replay uses a separate kernel with an empty cache and no states from the state provider, so
+ * that nothing the kernel being audited trusts can influence the result. Every state is still
+ * verified against the hashes in the transaction metadata during replay, so the replayed states
+ * are authoritative.
+ *
+ * @param {string} location Jig location to audit
+ * @param {Kernel} kernel Kernel whose state and cache are audited
+ * @param {_Timeout} timeout Timeout for the replay
+ * @returns {Promise<object>} Report with the states checked and any mismatches
+ */
+async function _audit (location, kernel, timeout) {
+  const _load = require('./load')
+  const { _hashState } = require('./publish')
+
+  const loc = _location(location)
+  const jig = typeof loc._vout === 'number' || typeof loc._vdel === 'number'
+  if (!loc._txid || loc._berry || !jig) {
+    throw new ArgumentError(`Not a jig: ${location}`)
+  }
+
+  if (Log._infoOn) Log._info(TAG, 'Audit', location)
+
+  const start = new Date()
+
+  // Replay into an empty cache and without states from the state provider, so every load is a
+  // replay. Trust decisions are still delegated because they do not affect the states.
+  const cache = new AuditCache()
+  const auditKernel = kernel._clone()
+  auditKernel._state = {
+    pull: async key => key.startsWith('trust://') ? kernel._state.pull(key) : undefined
+  }
+  auditKernel._cache = cache
+
+  await _load(location, undefined, auditKernel, undefined, timeout)
+
+  // Compare each replayed state with what the state provider and the cache hold
+  const mismatches = []
+  const keys = Array.from(cache._map.keys()).filter(key => key.startsWith('jig://'))
+
+  for (const key of keys) {
+    const expected = await _hashState(cache._map.get(key))
+
+    const cached = await kernel._cache.get(key)
+    if (typeof cached !== 'undefined') {
+      const actual = await _hashState(cached)
+      if (actual !== expected) mismatches.push({ key, source: 'cache', expected, actual })
+    }
+
+    const pulled = await pullFromState(kernel._state, key)
+    if (typeof pulled !== 'undefined') {
+      const actual = await _hashState(pulled)
+      if (actual !== expected) mismatches.push({ key, source: 'state', expected, actual })
+    }
+
+    timeout._check()
+  }
+
+  if (mismatches.length && Log._warnOn) {
+    Log._warn(TAG, `Found ${mismatches.length} mismatches for ${location}`)
+  }
+  if (Log._debugOn) Log._debug(TAG, 'Audit (end): ' + (new Date() - start) + 'ms')
+
+  return { location, checked: keys, mismatches }
+}
+
+// ------------------------------------------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------------------------------------------
+
+// Pulls directly from the state provider, skipping the cache that StateWrapper checks first
+async function pullFromState (state, key) {
+  if (!state) return
+  if (state.unwrappedPull) return await state.unwrappedPull.call(state.unwrappedState, key, {})
+  return await state.pull(key, {})
+}
+
+// ------------------------------------------------------------------------------------------------
+
+// Minimal in-memory cache that holds everything produced during an audit
+class AuditCache {
+  constructor () { this._map = new Map() }
+  async get (key) { return this._map.get(key) }
+  async set (key, value) { this._map.set(key, value) }
+}
+
+// ------------------------------------------------------------------------------------------------
+
+module.exports = _audit
@@ -214,6 +214,31 @@ async function _signature (tx, vin, script, satoshis, privateKey, sighashType =
   return buf.toString('hex')
 }
 
+// ------------------------------------------------------------------------------------------------
+// _getSignedPubkeys
+// ------------------------------------------------------------------------------------------------
+
+// Determines which pubkeys signed a multi-sig input from its signatures
+async function _getSignedPubkeys (tx, vin, prevout, sigs, pubkeys) {
+  const sighashType = bsv.crypto.Signature.SIGHASH_ALL | bsv.crypto.Signature.SIGHASH_FORKID
+  const satoshisBN = new bsv.crypto.BN(prevout.satoshis)
+  const hashbuf = await _sighash(tx, sighashType, vin, prevout.script, satoshisBN)
+  const bsvpubkeys = pubkeys.map(pubkey => new bsv.PublicKey(pubkey))
+
+  // Get the index of each sig
+  const nsigs = sigs.map(sig => {
+    const sighex = sig.slice(0, sig.length - 2)
+    const sigbuf = bsv.deps.Buffer.from(sighex, 'hex')
+    const bsvsig = bsv.crypto.Signature.fromDER(sigbuf)
+    return bsvpubkeys.findIndex(pubkey => bsv.crypto.ECDSA.verify(hashbuf, bsvsig, pubkey, 'little'))
+  })
+
+  const badSigIndex = nsigs.findIndex(n => n === -1)
+  if (badSigIndex !== -1) throw new Error(`Bad signature at index ${badSigIndex}`)
+
+  return nsigs.map(n => pubkeys[n])
+}
+
 // ------------------------------------------------------------------------------------------------
 // _sha256Internal
 // ------------------------------------------------------------------------------------------------
@@ -251,6 +276,7 @@ module.exports = {
   _scripthash,
   _sighash,
   _signature,
+  _getSignedPubkeys,
   _sha256,
   _sha256Internal
 }
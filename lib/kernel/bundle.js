@@ -0,0 +1,154 @@
+/**
+ * bundle.js
+ *
+ * Exports and imports the cache entries needed to load a set of jigs
+ */
+
+const bsv = require('bsv')
+const Log = require('./log')
+const { ArgumentError } = require('./error')
+const { _location, _compileLocation } = require('./bindings')
+const { _text, _defined } = require('./misc')
+const { _PROTOCOL_VERSION } = require('./version')
+const { _findRefs } = require('./json')
+
+// ------------------------------------------------------------------------------------------------
+// Globals
+// ------------------------------------------------------------------------------------------------
+
+const TAG = 'Bundle'
+
+// Cache protocols that are exported in a bundle
+const PROTOCOLS = ['jig', 'berry', 'tx']
+
+// ------------------------------------------------------------------------------------------------
+// _bundle
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Collects the jig://, berry://, and tx:// cache entries needed to load a set of jigs, including
+ * every jig they reference, recursively.
+ *
+ * The bundle is a plain object of cache keys to values, the same format as lib/extra/states-*.json,
+ * so it can be passed to recreateJigsFromStates to load the jigs synchronously.
+ *
+ * @param {Array<string>} locations Jig, code, or berry locations to export
+ * @param {Kernel} kernel Kernel to load and read states with
+ * @param {_Timeout} timeout Timeout for the export
+ * @returns {Promise<object>} Cache entries by key
+ */
+async function _bundle (locations, kernel, timeout) {
+  const _load = require('./load')
+
+  if (Log._infoOn) Log._info(TAG, 'Bundle', locations.length, 'locations')
+
+  const start = new Date()
+
+  const bundle = {}
+  const queue = locations.slice()
+  const visited = new Set()
+
+  while (queue.length) {
+    const location = queue.shift()
+    const key = stateKey(location)
+    if (visited.has(key)) continue
+    visited.add(key)
+
+    // Loading puts the state in the cache if it is not there already
+    let state = await kernel._cache.get(key)
+    if (!_defined(state)) {
+      await _load(location, undefined, kernel, undefined, timeout)
+      state = await kernel._cache.get(key)
+    }
+    if (!_defined(state)) throw new Error(`Missing state: ${key}`)
+
+    bundle[key] = state
+
+    const txid = location.slice(0, 64)
+    const txkey = `tx://${txid}`
+    if (!(txkey in bundle)) {
+      const rawtx = await kernel._cache.get(txkey)
+      bundle[txkey] = _defined(rawtx) ? rawtx : await kernel._blockchain.fetch(txid)
+    }
+
+    // Referenced jigs may be relative to the transaction of the state that refers to them
+    _findRefs(state)
+      .filter(ref => !ref.startsWith('native://'))
+      .forEach(ref => queue.push(_compileLocation(Object.assign({ _txid: txid }, _location(ref)))))
+
+    timeout._check()
+  }
+
+  if (Log._debugOn) Log._debug(TAG, 'Bundle (end): ' + (new Date() - start) + 'ms')
+
+  return bundle
+}
+
+// ------------------------------------------------------------------------------------------------
+// _unbundle
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Imports the entries of a bundle into a cache so that its jigs load without replaying
+ *
+ * Bundles may come from untrusted sources, so every transaction is checked against its txid and
+ * every jig state against the hash in its transaction, and nothing is imported if any fail.
+ * Berry states have no hashes on-chain and cannot be checked.
+ *
+ * @param {object} bundle Cache entries by key, as returned by _bundle
+ * @param {Cache} cache Cache to prime
+ */
+async function _unbundle (bundle, cache) {
+  const { _verifyState } = require('./publish')
+
+  if (typeof bundle !== 'object' || !bundle || Array.isArray(bundle)) {
+    throw new ArgumentError(`Invalid bundle: ${_text(bundle)}`)
+  }
+
+  const entries = Object.entries(bundle)
+
+  entries.forEach(([key]) => {
+    if (!PROTOCOLS.includes(key.split('://')[0])) throw new ArgumentError(`Invalid bundle key: ${_text(key)}`)
+  })
+
+  if (Log._infoOn) Log._info(TAG, 'Unbundle', entries.length, 'entries')
+
+  for (const [key, value] of entries.filter(([key]) => key.startsWith('tx://'))) {
+    let valid = false
+    try { valid = new bsv.Transaction(value).hash === key.slice('tx://'.length) } catch (e) { }
+    if (!valid) throw new ArgumentError(`Invalid bundle transaction: ${key}`)
+  }
+
+  for (const [key, value] of entries.filter(([key]) => key.startsWith('jig://'))) {
+    const location = key.slice('jig://'.length)
+    const rawtx = bundle[`tx://${location.slice(0, 64)}`]
+    const valid = typeof rawtx === 'string' && await _verifyState(location, value, rawtx)
+    if (!valid) throw new ArgumentError(`Invalid bundle state: ${key}`)
+  }
+
+  for (const [key, value] of entries) {
+    await cache.set(key, value)
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------------------------------------------
+
+// Berries are cached without their hash, the same as when they are loaded
+function stateKey (location) {
+  const loc = _location(location)
+  if (!_defined(loc._berry)) return `jig://${location}`
+  const partialLocation = _compileLocation({
+    _txid: loc._txid,
+    _vdel: loc._vdel,
+    _vout: loc._vout,
+    _berry: loc._berry,
+    _version: loc._version || _PROTOCOL_VERSION
+  })
+  return `berry://${partialLocation}`
+}
+
+// ------------------------------------------------------------------------------------------------
+
+module.exports = { _bundle, _unbundle }
@@ -73,6 +73,7 @@ class Code {
    * @param {?object} options
    * @param {boolean} options.forward Whether to forward sync or just wait for pending updates. Default true.
    * @param {boolean} options.inner Whether to forward sync inner jigs if forward syncing. Default true.
+   * @param {?AbortSignal} options.signal Signal to cancel the sync
    */
   sync (options = {}) {
     const Editor = CodeDeps._Editor
@@ -46,8 +46,9 @@ class Commit {
     this._app = this._kernel._app
     this._version = _PROTOCOL_VERSION
 
-    // Set the base transaction
+    // Set the base transaction, and the parent outputs of its inputs if known
     this._base = new bsv.Transaction()
+    this._baseParents = null
 
     // Commits that depend on us
     this._downstream = []
@@ -0,0 +1,186 @@
+/**
+ * describe.js
+ *
+ * Human-readable descriptions of the actions in a transaction
+ */
+
+const { _text, _defined } = require('./misc')
+const { _sudo } = require('./admin')
+
+// ------------------------------------------------------------------------------------------------
+// Globals
+// ------------------------------------------------------------------------------------------------
+
+// Matches the kind and name at the start of class or function source code
+const SOURCE_NAME_REGEX = /^\s*(class|function)\s+([a-zA-Z0-9_$]+)/
+
+// ------------------------------------------------------------------------------------------------
+// _describe
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Describes the actions, inputs, outputs, and deletes in a record.
+ *
+ * The actions are described from the same exec statements that are stored in the metadata, with
+ * jig references resolved using the master list.
+ *
+ * @param {Record} record Record to describe
+ * @param {bsv.Transaction} base Base transaction, used to calculate output locations
+ * @returns {object} Description
+ */
+function _describe (record, base) {
+  const { _createMasterList, _createExec } = require('./publish')
+
+  const vrun = base.outputs.length
+  const outputIndices = new Map()
+  const deleteIndices = new Map()
+  record._outputs._forEach((jig, i) => outputIndices.set(jig, i))
+  record._deletes._forEach((jig, i) => deleteIndices.set(jig, i))
+
+  // Code may be renamed by an upgrade, so prefer the name before
+  const name = creation => {
+    const before = record._before.get(creation)
+    const match = before && before._src && SOURCE_NAME_REGEX.exec(before._src)
+    if (match) return match[2]
+    return _sudo(() => typeof creation === 'function' ? creation.name : creation.constructor.name)
+  }
+
+  // Existing creations are labeled by their location before, and new ones by their local location
+  const label = creation => {
+    let location = null
+    if (record._before.has(creation) && !record._creates._has(creation)) {
+      location = record._before.get(creation)._props.location
+    } else if (outputIndices.has(creation)) {
+      location = `_o${vrun + 1 + outputIndices.get(creation)}`
+    } else if (deleteIndices.has(creation)) {
+      location = `_d${deleteIndices.get(creation)}`
+    } else {
+      location = _sudo(() => creation.location)
+    }
+    return `${name(creation)}@${location}`
+  }
+
+  const masterList = _createMasterList(record)
+  const exec = _createExec(record, masterList)
+  const actions = _describeExec(exec, masterList.map(label))
+
+  const satoshisBefore = jig => record._creates._has(jig) ? 0 : record._before.get(jig)._props.satoshis || 0
+
+  const inputs = record._inputs._arr().map(jig => {
+    const props = record._before.get(jig)._props
+    return { jig: label(jig), owner: _describeOwner(props.owner), satoshis: props.satoshis || 0 }
+  })
+
+  const outputs = record._outputs._arr().map((jig, i) => {
+    const { owner, satoshis } = _sudo(() => ({ owner: jig.owner, satoshis: jig.satoshis || 0 }))
+    const location = `_o${vrun + 1 + i}`
+    const change = satoshis - satoshisBefore(jig)
+    return { jig: label(jig), location, owner: _describeOwner(owner), satoshis, change }
+  })
+
+  const deletes = record._deletes._arr().map((jig, i) => {
+    const location = `_d${i}`
+    const change = -satoshisBefore(jig)
+    return { jig: label(jig), location, satoshis: 0, change }
+  })
+
+  return { actions, inputs, outputs, deletes }
+}
+
+// ------------------------------------------------------------------------------------------------
+// _describeExec
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Describes exec statements from the metadata
+ *
+ * @param {Array<{op: string, data: object}>} exec Encoded exec statements
+ * @param {Array<string>} labels Labels for each jig in the master list
+ * @returns {Array<object>} Description of each action
+ */
+function _describeExec (exec, labels) {
+  const format = y => _formatEncoded(y, labels)
+
+  return exec.map(({ op, data }) => {
+    switch (op) {
+      case 'DEPLOY': {
+        const classes = []
+        for (let i = 0; i < data.length; i += 2) classes.push(_describeSource(data[i]))
+        return { op, classes, text: `deploy ${classes.join(', ')}` }
+      }
+
+      case 'UPGRADE': {
+        const target = format(data[0])
+        const to = _describeSource(data[1])
+        return { op, target, to, text: `upgrade ${target} to ${to}` }
+      }
+
+      case 'CALL': {
+        const target = format(data[0])
+        const method = data[1]
+        const args = data[2].map(format)
+        return { op, target, method, args, text: `call ${method} on ${target} with args [${args.join(', ')}]` }
+      }
+
+      case 'NEW': {
+        const target = format(data[0])
+        const args = data[1].map(format)
+        return { op, target, args, text: `create instance of ${target} with args [${args.join(', ')}]` }
+      }
+
+      default: return { op, text: `unknown op ${op}` }
+    }
+  })
+}
+
+// ------------------------------------------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------------------------------------------
+
+// Formats a value encoded by json.js, replacing jig references with their labels
+function _formatEncoded (y, labels) {
+  const format = y => _formatEncoded(y, labels)
+
+  if (typeof y === 'string') return JSON.stringify(y)
+  if (typeof y !== 'object' || !y) return String(y)
+  if (Array.isArray(y)) return `[${y.map(format).join(', ')}]`
+
+  if (_defined(y.$jig)) return _defined(labels[y.$jig]) ? labels[y.$jig] : `$jig${y.$jig}`
+  if (_defined(y.$und)) return 'undefined'
+  if (_defined(y.$nan)) return 'NaN'
+  if (_defined(y.$inf)) return 'Infinity'
+  if (_defined(y.$ninf)) return '-Infinity'
+  if (_defined(y.$n0)) return '-0'
+  if (_defined(y.$set)) return `Set ${format(y.$set)}`
+  if (_defined(y.$map)) return `Map ${format(y.$map)}`
+  if (_defined(y.$ui8a)) return `Uint8Array(${y.$ui8a})`
+  if (_defined(y.$arb)) return `${format(y.T)} ${format(y.$arb)}`
+  if (_defined(y.$obj)) return format(y.$obj)
+  if (_defined(y.$arr)) return format(y.$arr)
+  if (_defined(y.$dup)) return '[circular]'
+
+  return `{ ${Object.keys(y).map(key => `${key}: ${format(y[key])}`).join(', ')} }`
+}
+
+// ------------------------------------------------------------------------------------------------
+
+// Gets the kind and name of deployed code from its source, like "class Dragon"
+function _describeSource (src) {
+  const match = SOURCE_NAME_REGEX.exec(src)
+  if (match) return `${match[1]} ${match[2]}`
+  return src.trim().startsWith('class') ? 'anonymous class' : 'anonymous function'
+}
+
+// ------------------------------------------------------------------------------------------------
+
+// Addresses and pubkeys are shown as is, and custom locks by their address or type
+function _describeOwner (owner) {
+  if (typeof owner === 'undefined' || owner === null || typeof owner === 'string') return owner
+  const address = _sudo(() => owner.address)
+  if (typeof address === 'string') return address
+  return _text(owner)
+}
+
+// ------------------------------------------------------------------------------------------------
+
+module.exports = { _describe, _describeExec }
@@ -7,6 +7,20 @@
  * or when there is custom data that should be attached to the error.
  */
 
+// ------------------------------------------------------------------------------------------------
+// AbortError
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Error when an async call is cancelled using an AbortSignal
+ */
+class AbortError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = this.constructor.name
+  }
+}
+
 // ------------------------------------------------------------------------------------------------
 // ArgumentError
 // ------------------------------------------------------------------------------------------------
@@ -110,6 +124,7 @@ class TrustError extends Error {
 // ------------------------------------------------------------------------------------------------
 
 module.exports = {
+  AbortError,
   ArgumentError,
   ClientModeError,
   ExecutionError,
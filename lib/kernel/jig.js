@@ -184,7 +184,7 @@ class Jig {
     if (CURRENT_RECORD._stack.length) throw new Error('load cannot be called internally')
 
     const loadAsync = async () => {
-      const jig = await _load(location, undefined, _activeKernel())
+      const jig = await _load(location, undefined, _activeKernel(this))
       if (jig instanceof this) return jig
       throw new Error(`Cannot load ${location}\n\n${_text(jig)} not an instance of ${_text(this)}`)
     }
@@ -557,9 +557,34 @@ function _decodeArbitraryObject (y, root, decs, intrinsics, decodeJig) {
   return x
 }
 
+// ------------------------------------------------------------------------------------------------
+// findRefs
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Finds the locations of every jig, code, and berry referenced in an encoded state. Locations
+ * may be relative to the transaction of the state.
+ *
+ * @param {object} y Encoded JSON
+ * @returns {Array<string>} Unique locations in the order found
+ */
+function findRefs (y) {
+  const refs = new Set()
+  const visit = y => {
+    if (typeof y !== 'object' || !y) return
+    if (Array.isArray(y)) { y.forEach(visit); return }
+    const keys = Object.keys(y)
+    if (keys.length === 1 && keys[0] === '$jig' && typeof y.$jig === 'string') { refs.add(y.$jig); return }
+    keys.forEach(key => visit(y[key]))
+  }
+  visit(y)
+  return Array.from(refs)
+}
+
 // ------------------------------------------------------------------------------------------------
 
 module.exports = {
   _encode: encode,
-  _decode: decode
+  _decode: decode,
+  _findRefs: findRefs
 }
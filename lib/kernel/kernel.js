@@ -4,17 +4,50 @@
  * Run's core that loads jigs and creates transactions
  */
 
+/* global VARIANT */
+
 const bsv = require('bsv')
 const { _assert, _bsvNetwork } = require('./misc')
 const Editor = require('./editor')
 const { _sha256Internal } = require('./bsv')
-const { ClientModeError } = require('./error')
+const { ClientModeError, TrustError } = require('./error')
 
 // ------------------------------------------------------------------------------------------------
 // Globals
 // ------------------------------------------------------------------------------------------------
 
-const EVENTS = ['load', 'sync', 'publish', 'update']
+// Jig events pass the creation to listeners. Lifecycle events pass a payload object with any of
+// txid, locations, time (ms) and error, as relevant. The locations for pay, sign and broadcast
+// events are the jig locations being spent. The txid for pay is provisional, because it changes
+// once the inputs are signed, so listeners should not key on it.
+const EVENTS = [
+  // Jig events
+  'load',
+  'sync',
+  'publish',
+  'update',
+
+  // Lifecycle events
+  'pay', // { txid, locations, time }
+  'sign', // { txid, locations, time }
+  'broadcast', // { txid, locations, time }
+  'broadcast-error', // { txid, locations, time, error }
+  'replay-start', // { txid }
+  'replay-end', // { txid, locations, time, error }
+  'cache-miss', // { key }
+  'trust-denied', // { txid, error }
+  'rollback' // { locations, error }
+]
+
+// Async context storage that lets a kernel be active only for a call chain. This allows several
+// Run instances to operate concurrently. It is only available on Node 12.17 and above.
+let KERNEL_CONTEXT = null
+if (typeof VARIANT === 'undefined' || VARIANT === 'node') {
+  try {
+    const { AsyncLocalStorage } = require('async_hooks')
+    if (AsyncLocalStorage) KERNEL_CONTEXT = new AsyncLocalStorage()
+  } catch (e) { }
+}
 
 // ------------------------------------------------------------------------------------------------
 // Kernel
@@ -93,6 +126,34 @@ class Kernel {
 
   // --------------------------------------------------------------------------
 
+  /**
+   * Creates a new kernel with the same plugins and settings. Listeners are not copied, and the
+   * trustlist is copied so that changes to one kernel do not affect the other.
+   */
+  _clone () {
+    const kernel = Object.assign(new Kernel(), this)
+    kernel._listeners = []
+    kernel._trustlist = new Set(this._trustlist)
+    return kernel
+  }
+
+  // --------------------------------------------------------------------------
+
+  /**
+   * Runs a callback with this kernel active for it and any async work it starts.
+   *
+   * The globally active kernel is unchanged, so other instances may be used in parallel.
+   */
+  _scope (callback) {
+    if (!KERNEL_CONTEXT) {
+      const hint = 'Hint: Scopes require Node 12.17 or above. Use activate() in the browser.'
+      throw new Error(`Scoped Run instances are not supported in this environment\n\n${hint}`)
+    }
+    return KERNEL_CONTEXT.run(this, callback)
+  }
+
+  // --------------------------------------------------------------------------
+
   _emit (event, data) {
     _assert(EVENTS.includes(event))
 
@@ -114,38 +175,58 @@ class Kernel {
 
   // --------------------------------------------------------------------------
 
-  async _fetch (txid) {
+  /**
+   * Throws a TrustError if the txid is not trusted, notifying listeners
+   */
+  async _checkTrusted (txid, from) {
+    if (await this._trusted(txid, from)) return
+    const error = new TrustError(txid, from)
+    this._emit('trust-denied', { txid, error })
+    throw error
+  }
+
+  // --------------------------------------------------------------------------
+
+  // The optional timeout passes its abort signal, if any, to the blockchain
+
+  async _fetch (txid, timeout) {
     const cachedTx = await this._state.pull(`tx://${txid}`)
     if (typeof cachedTx !== 'undefined') return cachedTx
 
+    this._emit('cache-miss', { key: `tx://${txid}` })
+
     // In client mode, we must use the cache.
     if (this._client) throw new ClientModeError(txid, 'transaction')
 
-    return await this._blockchain.fetch(txid)
+    return await this._blockchain.fetch(txid, timeout && timeout._options())
   }
 
   // --------------------------------------------------------------------------
 
-  async _spends (txid, vout) {
+  async _spends (txid, vout, timeout) {
     const cachedSpend = await this._state.pull(`spend://${txid}_o${vout}`)
     if (typeof cachedSpend !== 'undefined') return cachedSpend
 
+    this._emit('cache-miss', { key: `spend://${txid}_o${vout}` })
+
     // In client mode, we must use the cache
     if (this._client) return
 
-    return await this._blockchain.spends(txid, vout)
+    return await this._blockchain.spends(txid, vout, timeout && timeout._options())
   }
 
   // --------------------------------------------------------------------------
 
-  async _time (txid) {
+  async _time (txid, timeout) {
     const cachedTime = await this._state.pull(`time://${txid}`)
     if (typeof cachedTime !== 'undefined') return cachedTime
 
+    this._emit('cache-miss', { key: `time://${txid}` })
+
     // In client mode, we must use the cache.
     if (this._client) return
 
-    return await this._blockchain.time(txid)
+    return await this._blockchain.time(txid, timeout && timeout._options())
   }
 }
 
@@ -154,6 +235,22 @@ class Kernel {
 // No kernel instance is active by default
 Kernel._instance = null
 
+// Kernels that jigs were loaded or created with while not the active instance. This lets jigs
+// from a scope keep using their kernel after the scope ends. Code is shared between instances
+// and is not bound.
+Kernel._bindings = new WeakMap() // Jig -> Kernel
+
+// Returns the kernel scoped to the current async context if there is one, then the kernel the
+// creation is bound to, or else the active kernel
+Kernel._active = creation => (KERNEL_CONTEXT && KERNEL_CONTEXT.getStore()) ||
+  (creation && Kernel._bindings.get(creation)) || Kernel._instance
+
+// Binds a jig to a kernel that is not the active instance, ie. one from a scope
+Kernel._bind = (creation, kernel) => {
+  const Jig = require('./jig')
+  if (kernel !== Kernel._instance && creation instanceof Jig) Kernel._bindings.set(creation, kernel)
+}
+
 // The sha256 function used by the kernel is our internal one
 Kernel._sha256 = _sha256Internal
 
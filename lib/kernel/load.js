@@ -99,6 +99,10 @@ async function load (location, BerryClass, kernel, session, timeout, complete =
     // Wait for the load to finish
     const jig = await promise
 
+    // Jigs loaded with a scoped kernel keep using it after the scope ends
+    const Kernel = require('./kernel')
+    Kernel._bind(jig, kernel)
+
     // If we are returning a complete load to the user, finish all inner loads.
     // Completers might create more completers so we loop.
     if (complete) {
@@ -193,7 +197,7 @@ async function _loadBerryFromLocation (location, kernel, session, timeout) {
 
     // Get the state from the cache if it exists
     const key = `${location.includes('?') ? 'berry' : 'jig'}://${partialLocation}`
-    const options = { all: true, tx: !kernel._trustlist.has('state') }
+    const options = Object.assign({ all: true, tx: !kernel._trustlist.has('state') }, timeout._options())
     const state = kernel._state && await kernel._state.pull(key, options)
 
     if (state) {
@@ -203,6 +207,8 @@ async function _loadBerryFromLocation (location, kernel, session, timeout) {
       session._completers.push(partial._completer)
       return partial._value
     } else {
+      kernel._emit('cache-miss', { key })
+
       // Use a fresh session because we can't wait for the completions here.
       const BerryClass = await load(classLocation, null, kernel, new Session(), timeout)
 
@@ -224,7 +230,7 @@ async function _loadJigFromLocation (location, kernel, session, timeout) {
 
     // Get the state from the cache if it exists
     const key = `${location.includes('?') ? 'berry' : 'jig'}://${location}`
-    const options = { all: true, tx: !kernel._trustlist.has('state') }
+    const options = Object.assign({ all: true, tx: !kernel._trustlist.has('state') }, timeout._options())
     const state = kernel._state && await kernel._state.pull(key, options)
 
     // If there is no cached state, load it via replay. Show!
@@ -232,6 +238,8 @@ async function _loadJigFromLocation (location, kernel, session, timeout) {
       return _loadJigFromState(location, state, kernel, session, timeout)
     }
 
+    kernel._emit('cache-miss', { key })
+
     return _loadJigViaReplay(location, kernel, session, timeout)
   }
 
@@ -251,7 +259,7 @@ async function _loadJigFromState (location, state, kernel, session, timeout) {
   if (!kernel._trustlist.has('state')) {
     // Get the transaction and metadata if we are loading a non-berry.
     // Do this here once we already have a state, to allow the cache to populate from State API.
-    const rawtx = await kernel._fetch(txid)
+    const rawtx = await kernel._fetch(txid, timeout)
     const tx = new Transaction(rawtx)
 
     // Extract the metadata
@@ -284,7 +292,7 @@ async function _loadJigViaReplay (location, kernel, session, timeout) {
   const { _txid: txid, _vout: vout, _vdel: vdel } = _location(location)
 
   // Get the transaction and metadata
-  const rawtx = await kernel._fetch(txid)
+  const rawtx = await kernel._fetch(txid, timeout)
   const tx = new Transaction(rawtx)
   let metadata = null
   try {
@@ -370,7 +378,7 @@ async function _loadWithUserBerryClass (path, BerryClass, kernel, session, timeo
 
     // Get the state from the cache if it exists
     const key = `${partialLocation.includes('?') ? 'berry' : 'jig'}://${partialLocation}`
-    const options = { all: true, tx: !kernel._trustlist.has('state') }
+    const options = Object.assign({ all: true, tx: !kernel._trustlist.has('state') }, timeout._options())
     const state = kernel._state && await kernel._state.pull(key, options)
 
     if (state) {
@@ -410,7 +418,7 @@ async function _pluckBerry (path, hash, version, B, kernel, session, timeout) {
     }
   }`
   const fetchEnv = {
-    f: kernel._fetch.bind(kernel),
+    f: txid => kernel._fetch(txid, timeout),
     se: e => { PLUCK_ERROR = PLUCK_ERROR || e }
   }
   const [fetch] = Sandbox._evaluate(fetchCode, fetchEnv)
@@ -20,6 +20,9 @@ function _extractMetadata (tx) {
   if (!tx.outputs.length) throw new Error(BAD_PROTOCOL_ERROR)
 
   let chunks = null
+
+  // The base only includes custom outputs. Custom inputs are placed after the jig inputs when
+  // building, and on-chain they cannot be told apart from payment inputs, so they are not needed.
   const base = new bsv.Transaction()
 
   for (let i = 0; i < tx.outputs.length; i++) {
@@ -118,6 +121,75 @@ function _extractTxDeps (tx) {
   return Array.from(txids)
 }
 
+// ------------------------------------------------------------------------------------------------
+// _decodeTx
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Decodes a RUN transaction without loading any jigs or replaying it.
+ *
+ * Jig references in the exec statements and owners, { $jig: <index> }, are mapped to locations
+ * in the same { $jig: <location> } form used by jig states. References to jigs created in the
+ * transaction can only be mapped when nothing is deleted, because which creations are outputs
+ * depends on execution. Otherwise, they are left as indices.
+ */
+function _decodeTx (tx) {
+  const metadata = _extractMetadata(tx)
+  const txid = tx.hash
+
+  const inputs = tx.inputs.slice(0, metadata.in)
+    .map(input => `${input.prevTxId.toString('hex')}_o${input.outputIndex}`)
+
+  // Outputs are the inputs followed by the creations, minus deletes
+  const creates = metadata.cre.map((_, i) => {
+    if (metadata.del.length) return null
+    return `${txid}_o${metadata.vrun + 1 + metadata.in + i}`
+  })
+
+  const masterList = inputs.concat(metadata.ref).concat(creates)
+
+  const mapJigs = y => {
+    if (Array.isArray(y)) return y.map(mapJigs)
+    if (typeof y !== 'object' || !y) return y
+    const keys = Object.keys(y)
+    if (keys.length === 1 && keys[0] === '$jig' && typeof y.$jig === 'number') {
+      const location = masterList[y.$jig]
+      return { $jig: typeof location === 'string' ? location : y.$jig }
+    }
+    const x = {}
+    keys.forEach(key => { x[key] = mapJigs(y[key]) })
+    return x
+  }
+
+  const outputs = metadata.out.map((_, i) => {
+    const vout = metadata.vrun + 1 + i
+    const output = tx.outputs[vout]
+    return { location: `${txid}_o${vout}`, script: output.script.toHex(), satoshis: output.satoshis }
+  })
+
+  const deletes = metadata.del.map((_, i) => `${txid}_d${i}`)
+
+  const baseOutputs = tx.outputs.slice(0, metadata.vrun)
+    .map(output => ({ script: output.script.toHex(), satoshis: output.satoshis }))
+
+  return {
+    txid,
+    version: metadata.version,
+    app: metadata.app,
+    base: metadata.base,
+    vrun: metadata.vrun,
+    in: inputs,
+    ref: metadata.ref,
+    out: metadata.out,
+    del: metadata.del,
+    cre: mapJigs(metadata.cre),
+    exec: mapJigs(metadata.exec),
+    outputs,
+    deletes,
+    baseOutputs
+  }
+}
+
 // ------------------------------------------------------------------------------------------------
 
-module.exports = { _extractMetadata, _extractTxDeps }
+module.exports = { _extractMetadata, _extractTxDeps, _decodeTx }
@@ -4,7 +4,7 @@
  * Various helper methods
  */
 
-const { InternalError, TimeoutError } = require('./error')
+const { AbortError, ArgumentError, InternalError, TimeoutError } = require('./error')
 const { _sudo } = require('./admin')
 
 // ------------------------------------------------------------------------------------------------
@@ -81,12 +81,14 @@ const _FINAL_BERRY_PROPS = [..._RESERVED_BERRY_PROPS, 'init']
 // ------------------------------------------------------------------------------------------------
 
 /**
- * Returns the active kernel
+ * Returns the active kernel, preferring one scoped to the current async context and then the one
+ * the creation, if passed, was loaded or created with
  */
-function _activeKernel () {
+function _activeKernel (creation) {
   const Kernel = require('./kernel')
-  if (!Kernel._instance) throw new Error('Run instance not active')
-  return Kernel._instance
+  const kernel = Kernel._active(creation)
+  if (!kernel) throw new Error('Run instance not active')
+  return kernel
 }
 
 // ------------------------------------------------------------------------------------------------
@@ -434,20 +436,69 @@ function _limit (limit, name = 'limit') {
 
 // A object that can track an operation's duration across multiple methods.
 // _check() should be called periodically after every long-running or async operation.
+// An optional AbortSignal lets the caller cancel the operation at those same checkpoints.
 class _Timeout {
-  constructor (method, timeout, data) {
+  constructor (method, timeout, data, signal) {
     this._start = new Date()
     this._method = method
     this._timeout = timeout
     this._data = data
+    this._signal = signal
   }
 
   _check () {
+    if (this._signal && this._signal.aborted) {
+      throw this._abortError()
+    }
     if (new Date() - this._start > _limit(this._timeout, 'timeout')) {
       const data = this._data ? ` (${this._data})` : ''
       throw new TimeoutError(`${this._method} timeout${data})`)
     }
   }
+
+  /**
+   * Waits for a promise, rejecting early if the signal aborts first
+   */
+  async _race (promise) {
+    if (!this._signal) return await promise
+    this._check()
+    let onAbort = null
+    const aborted = new Promise((resolve, reject) => {
+      onAbort = () => reject(this._abortError())
+      this._signal.addEventListener('abort', onAbort)
+    })
+    try {
+      return await Promise.race([promise, aborted])
+    } finally {
+      this._signal.removeEventListener('abort', onAbort)
+    }
+  }
+
+  /**
+   * Options to pass to plugin APIs so that they may cancel network requests
+   */
+  _options () {
+    return this._signal ? { signal: this._signal } : undefined
+  }
+
+  _abortError () {
+    const data = this._data ? ` (${this._data})` : ''
+    return new AbortError(`${this._method} aborted${data}`)
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+// _checkSignal
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Checks that an optional AbortSignal option is valid
+ */
+function _checkSignal (signal) {
+  if (typeof signal === 'undefined') return
+  if (signal && typeof signal === 'object' && typeof signal.aborted === 'boolean' &&
+    typeof signal.addEventListener === 'function' && typeof signal.removeEventListener === 'function') return
+  throw new ArgumentError(`Invalid signal: ${_text(signal)}`)
 }
 
 // ------------------------------------------------------------------------------------------------
@@ -502,5 +553,6 @@ module.exports = {
   _ownMethods,
   _limit,
   _Timeout,
+  _checkSignal,
   _filterInPlace
 }
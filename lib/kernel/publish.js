@@ -13,12 +13,14 @@ const { _deepClone, _deepVisit } = require('./deep')
 const Log = require('./log')
 const Json = require('./json')
 const { _calculateDust } = require('./bsv')
-const { _location, _owner } = require('./bindings')
+const { _location, _owner, _compileLocation } = require('./bindings')
+const { _extractMetadata } = require('./metadata')
 const { _sudo } = require('./admin')
 const SerialTaskQueue = require('./queue')
 const SI = require('./sandbox')._sandboxIntrinsics
-const { _getMetadataVersion } = require('./version')
+const { _getMetadataVersion, _PROTOCOL_VERSION } = require('./version')
 const Editor = require('./editor')
+const Snapshot = require('./snapshot')
 const Record = require('./record')
 const CreationSet = require('./creation-set')
 const { Transaction, Script } = bsv
@@ -35,6 +37,12 @@ const OWNER_SAFETY_QUEUE = new SerialTaskQueue()
 // Serializes a portion of the publish function for purses to work more reliably
 const PURSE_SAFETY_QUEUE = new SerialTaskQueue()
 
+// Bytes that a typical purse adds when paying, used in estimates
+// Input: Outpoint + Push + Signature + Sequence, where Signature is PUSH + SIG + PUSH + PUBKEY
+// Output: Satoshis + Varint + OP_DUP + OP_HASH160 + PUSH + HASH + OP_EQUALVERIFY + OP_CHECKSIG
+const PAY_INPUT_SIZE = 36 + 1 + (1 + 73 + 1 + 33) + 4
+const CHANGE_OUTPUT_SIZE = 8 + 1 + 1 + 1 + 1 + 20 + 1 + 1
+
 // ------------------------------------------------------------------------------------------------
 // _publish
 // ------------------------------------------------------------------------------------------------
@@ -405,6 +413,33 @@ async function _hashState (state) {
 
 // ------------------------------------------------------------------------------------------------
 
+/**
+ * Checks a jig state against the hash in its transaction's metadata
+ *
+ * @param {string} location Location of the state
+ * @param {object} state Jig state
+ * @param {string} rawtx Transaction of the state
+ * @returns {Promise<?boolean>} Whether the state matches, or undefined if the transaction is not
+ * valid or is not the state's transaction.
+ */
+async function _verifyState (location, state, rawtx) {
+  let expected
+  try {
+    const tx = new bsv.Transaction(rawtx)
+    if (tx.hash !== location.slice(0, 64)) return
+    const metadata = _extractMetadata(tx)
+    const loc = _location(location)
+    expected = _defined(loc._vdel) ? metadata.del[loc._vdel] : metadata.out[loc._vout - metadata.vrun - 1]
+  } catch (e) {
+    return
+  }
+  if (typeof expected !== 'string') return
+
+  return await _hashState(state) === expected
+}
+
+// ------------------------------------------------------------------------------------------------
+
 async function hashStates (commit, states) {
   if (commit._stateHashes) return commit._stateHashes
 
@@ -496,6 +531,10 @@ function createPartialTx (commit, metadata, outputScripts, feePerKb) {
 
   const tx = new Transaction(commit._base.toString('hex'))
 
+  // Custom inputs in the base are added after the jig inputs, which must come first
+  const baseInputs = tx.inputs
+  tx.inputs = []
+
   const Buffer = bsv.deps.Buffer
   const prefix = Buffer.from('run', 'utf8')
   const protocolHex = _getMetadataVersion(metadata.version)
@@ -529,6 +568,8 @@ function createPartialTx (commit, metadata, outputScripts, feePerKb) {
     tx.from(utxo)
   })
 
+  baseInputs.forEach(input => tx.uncheckedAddInput(input))
+
   record._outputs._forEach((jig, i) => {
     const after = commit._after.get(jig)
     const scriptLen = outputScripts[i].length / 2
@@ -543,6 +584,91 @@ function createPartialTx (commit, metadata, outputScripts, feePerKb) {
 
 // ------------------------------------------------------------------------------------------------
 
+/**
+ * Estimates the size, fee, and backing satoshis of the transaction that would be built for a
+ * record, without calling the owner or purse. The partial tx is built with createPartialTx using
+ * placeholders for anything not yet known: state hashes, the owners of new creations, and the
+ * txids of upstream transactions. Unlocking scripts are sized using each input lock's domain().
+ * Inputs and change outputs that the purse adds during payment are not included.
+ */
+function estimate (record, base, kernel) {
+  const Buffer = bsv.deps.Buffer
+  const bsvNetwork = _bsvNetwork(kernel._blockchain.network)
+  const allowNullOwner = false
+  const placeholderTxid = '0'.repeat(64)
+  const placeholderHash = '0'.repeat(64)
+  const placeholderOwner = bsv.Address.fromPublicKeyHash(Buffer.alloc(20), bsvNetwork).toString()
+
+  const purseFeePerKb = kernel._purse && kernel._purse.feePerKb
+  const feePerKb = typeof purseFeePerKb === 'number' ? purseFeePerKb : bsv.Transaction.FEE_PER_KB
+
+  // Upstream transactions are not published yet, so their txids and owners may not be known
+  const before = new Map(record._before)
+  const addPlaceholderBindings = jig => {
+    const snapshot = record._before.get(jig)
+    const loc = _location(snapshot._props.location)
+    if (!_defined(loc._record)) return
+    const location = _compileLocation(Object.assign({}, loc, { _record: undefined, _txid: placeholderTxid }))
+    const owner = _defined(snapshot._props.owner) ? snapshot._props.owner : placeholderOwner
+    const satoshis = snapshot._props.satoshis || 0
+    before.set(jig, { _props: Object.assign({}, snapshot._props, { location, owner, satoshis }) })
+  }
+  record._inputs._forEach(addPlaceholderBindings)
+  record._refs._forEach(addPlaceholderBindings)
+
+  // New creations without owners are assumed to be assigned an address
+  const after = new Map()
+  const addAfterState = jig => {
+    if (after.has(jig)) return
+    const snapshot = new Snapshot(jig, true)
+    const props = snapshot._props
+    if (!_defined(props.owner)) props.owner = placeholderOwner
+    props.satoshis = props.satoshis || 0
+    after.set(jig, snapshot)
+  }
+  record._outputs._forEach(addAfterState)
+  record._creates._forEach(addAfterState)
+
+  const hashes = new Map()
+  record._outputs._forEach(jig => hashes.set(jig, placeholderHash))
+  record._deletes._forEach(jig => hashes.set(jig, placeholderHash))
+
+  const outputScripts = record._outputs._arr()
+    .map(jig => _owner(after.get(jig)._props.owner, allowNullOwner, bsvNetwork).script())
+
+  const estimateRecord = Object.create(record)
+  estimateRecord._before = before
+
+  const commit = {
+    _record: estimateRecord,
+    _after: after,
+    _base: base,
+    _kernel: kernel,
+    _app: kernel._app,
+    _version: _PROTOCOL_VERSION
+  }
+
+  const masterList = createMasterList(record)
+  const exec = createExec(record, masterList)
+  const metadata = createMetadata(commit, hashes, exec, masterList)
+  const tx = createPartialTx(commit, metadata, outputScripts, feePerKb)
+
+  // Add placeholder unlocking scripts for jig inputs, the same as during payment
+  const locks = getInputLocks(estimateRecord)
+  locks.forEach((lock, i) => tx.inputs[i].setScript(Buffer.alloc(lock.domain())))
+
+  // Assume the purse pays with one P2PKH input and returns one P2PKH change output
+  const size = tx.toBuffer().length + PAY_INPUT_SIZE + CHANGE_OUTPUT_SIZE
+  const fee = Math.ceil(size * feePerKb / 1000)
+  const satoshis = tx.outputs
+    .slice(base.outputs.length + 1)
+    .reduce((sum, output) => sum + output.satoshis, 0)
+
+  return { size, fee, satoshis }
+}
+
+// ------------------------------------------------------------------------------------------------
+
 async function preverify (kernel, record, states, metadata, partialtx, timeout) {
   if (kernel._preverify) {
     if (Log._infoOn) Log._info(TAG, 'Preverify')
@@ -614,9 +740,10 @@ function finalizeLocationsAndOrigins (commit, txid) {
 
 async function payForTx (tx, commit, feePerKb) {
   const Buffer = bsv.deps.Buffer
+  const start = new Date()
 
   const locks = getInputLocks(commit._record)
-  const parents = await getParents(tx, commit._kernel)
+  const parents = await getParents(tx, commit)
 
   // Add placeholder scripts for jig inputs
   const placeholders = locks.map(lock => Buffer.alloc(lock.domain()))
@@ -650,6 +777,10 @@ async function payForTx (tx, commit, feePerKb) {
   // Remove placeholder scripts
   indices.forEach(i => paidtx.inputs[i].setScript(''))
 
+  // The txid is provisional. It changes when the inputs are signed.
+  const locations = getInputLocations(commit._record)
+  commit._kernel._emit('pay', { txid: paidtx.hash, locations, time: new Date() - start })
+
   return paidtx
 }
 
@@ -666,15 +797,34 @@ function getInputLocks (record) {
 
 // ------------------------------------------------------------------------------------------------
 
-async function getParents (tx, kernel) {
+function getInputLocations (record) {
+  return record._inputs._arr().map(jig => record._before.get(jig)._props.location)
+}
+
+// ------------------------------------------------------------------------------------------------
+
+async function getParents (tx, commit) {
+  const kernel = commit._kernel
   const inputs = tx.inputs
-  const prevtxids = inputs.map(input => input.prevTxId.toString('hex'))
-  const rawTransactions = await Promise.all(prevtxids.map(prevtxid => kernel._fetch(prevtxid)))
-  const transactions = rawTransactions.map(rawtx => new bsv.Transaction(rawtx))
-  const outputs = inputs.map((input, n) => transactions[n].outputs[input.outputIndex])
-  const scripts = outputs.map(output => output.script.toHex())
-  const satoshis = outputs.map(output => output.satoshis)
-  const parents = scripts.map((script, i) => { return { script, satoshis: satoshis[i] } })
+
+  // Parents of custom base inputs may be supplied because they are not always on-chain
+  const supplied = new Map()
+  if (commit._baseParents) {
+    commit._base.inputs.forEach((input, n) => {
+      const location = `${input.prevTxId.toString('hex')}_o${input.outputIndex}`
+      supplied.set(location, commit._baseParents[n])
+    })
+  }
+
+  const parents = await Promise.all(inputs.map(async input => {
+    const prevtxid = input.prevTxId.toString('hex')
+    const parent = supplied.get(`${prevtxid}_o${input.outputIndex}`)
+    if (parent) return { script: parent.script, satoshis: parent.satoshis }
+    const rawtx = await kernel._fetch(prevtxid)
+    const output = new bsv.Transaction(rawtx).outputs[input.outputIndex]
+    return { script: output.script.toHex(), satoshis: output.satoshis }
+  }))
+
   return parents
 }
 
@@ -691,9 +841,10 @@ async function cancelPaidTx (paidtx, purse) {
 // ------------------------------------------------------------------------------------------------
 
 async function signTx (tx, commit, feePerKb) {
+  const start = new Date()
   const record = commit._record
   const locks = getInputLocks(record)
-  const parents = await getParents(tx, commit._kernel)
+  const parents = await getParents(tx, commit)
 
   // Sign the transaction
   const rawtx = tx.toString('hex')
@@ -719,6 +870,9 @@ async function signTx (tx, commit, feePerKb) {
     tx.outputs.some((output, n) => signedtx.outputs[n].satoshis !== output.satoshis)
   if (modifiedTx) throw new Error('Owner illegally modified tx during payment')
 
+  const locations = getInputLocations(record)
+  commit._kernel._emit('sign', { txid: signedtx.hash, locations, time: new Date() - start })
+
   return signedtx
 }
 
@@ -755,13 +909,22 @@ function checkTx (tx, record, partialtx) {
 async function broadcastTx (commit, tx, timeout) {
   let txid = null
 
+  const start = new Date()
+  const locations = getInputLocations(commit._record)
+
+  const broadcastFailed = async e => {
+    const error = await addDetailsToBroadcastError(e, commit, tx, timeout)
+    commit._kernel._emit('broadcast-error', { txid: tx.hash, locations, time: new Date() - start, error })
+    return error
+  }
+
   // Notify the purse of the broadcast. If the purse can't handle the broadcast, for example if
   // it has an internal issue updating the utxos, it can put the broadcast on hold.
   if (typeof commit._kernel._purse.broadcast === 'function') {
     try {
       await commit._kernel._purse.broadcast(tx.toString('hex'))
     } catch (e) {
-      throw await addDetailsToBroadcastError(e, commit, tx, timeout)
+      throw await broadcastFailed(e)
     }
   }
 
@@ -769,9 +932,11 @@ async function broadcastTx (commit, tx, timeout) {
   try {
     txid = await commit._kernel._blockchain.broadcast(tx.toString('hex'))
   } catch (e) {
-    throw await addDetailsToBroadcastError(e, commit, tx, timeout)
+    throw await broadcastFailed(e)
   }
 
+  commit._kernel._emit('broadcast', { txid, locations, time: new Date() - start })
+
   // Notify the state api of the new transaction to index
   if (typeof commit._kernel._state.broadcast === 'function') {
     await commit._kernel._state.broadcast(tx.toString('hex'))
@@ -856,10 +1021,13 @@ _publish._generateOutputScripts = generateOutputScripts
 _publish._finalizeOwnersAndSatoshis = finalizeOwnersAndSatoshis
 _publish._createMasterList = createMasterList
 _publish._captureStates = captureStates
+_publish._hashState = _hashState
+_publish._verifyState = _verifyState
 _publish._hashStates = hashStates
 _publish._createExec = createExec
 _publish._createMetadata = createMetadata
 _publish._createPartialTx = createPartialTx
+_publish._estimate = estimate
 _publish._preverify = preverify
 _publish._PURSE_SAFETY_QUEUE = PURSE_SAFETY_QUEUE
 _publish._payForTx = payForTx
@@ -139,6 +139,10 @@ class Record {
       const kernel = this._assignKernel()
       this._outputs._forEach(creation => kernel._emit('update', creation))
       this._deletes._forEach(creation => kernel._emit('update', creation))
+
+      // Jigs made with a scoped kernel keep using it after the scope ends
+      const Kernel = require('./kernel')
+      this._outputs._forEach(creation => Kernel._bind(creation, kernel))
     }
 
     if (!this._nested && this._autopublish) this._commit()
@@ -449,7 +453,7 @@ class Record {
    * Takes a snapshot of a creation if it has not already been captured
    */
   _snapshot (creation, existingSnapshot, readOnly) {
-    const rollbacks = this._assignKernel()._rollbacks
+    const rollbacks = this._assignKernel(creation)._rollbacks
     const bindingsOnly = readOnly || !rollbacks
 
     // If we have a pre-existing snapshot, make a full snapshot if this is bindings only
@@ -515,6 +519,14 @@ class Record {
     this._outputs._forEach(creation => kernel._emit('update', creation))
     this._deletes._forEach(creation => kernel._emit('update', creation))
 
+    // Notify of the locations restored, which are those of the creations that changed
+    if (!this._replaying) {
+      const locations = Array.from(this._before.values())
+        .filter(snapshot => snapshot._rollbackEnabled)
+        .map(snapshot => snapshot._props.location)
+      kernel._emit('rollback', { locations, error: e })
+    }
+
     // Mark rolled back so that we don't use it again
     this._rolledBack = true
   }
@@ -553,8 +565,14 @@ class Record {
 
   // --------------------------------------------------------------------------
 
-  _assignKernel () {
-    const kernel = _activeKernel()
+  /**
+   * Assigns the kernel for the record from the first creation it uses, if not already assigned.
+   * Jigs that belong to other kernels may not be used in the same record. Code is shared.
+   */
+  _assignKernel (creation) {
+    const Jig = require('./jig')
+    if (this._kernel && (this._replaying || !(creation instanceof Jig))) return this._kernel
+    const kernel = _activeKernel(creation)
     if (!this._kernel) {
       this._kernel = kernel
     } else {
@@ -65,6 +65,7 @@ function createBerryShell (location, state) {
   const rules = Rules._berryObject(initialized)
   const berry = new Membrane(props, rules)
   _BERRIES.add(berry)
+  return berry
 }
 
 function hydrateJigShell (shell, location, state, jigs) {
@@ -161,7 +162,8 @@ function hydrateInstanceShell (shell, location, state, jigs) {
   })
 
   // Assign the class onto the jig
-  const C = jigs[state.cls.$jig]
+  const clsLocation = _compileLocation(Object.assign({ _txid: txid }, _location(state.cls.$jig)))
+  const C = jigs[clsLocation]
   if (!C) throw new Error(`Missing ref: ${state.cls.$jig}`)
   _sudo(() => Object.setPrototypeOf(shell, C.prototype))
 
@@ -198,7 +200,8 @@ function hydrateBerryShell (shell, location, state, jigs) {
   })
 
   // Assign the class onto the berry
-  const B = jigs[state.cls.$jig]
+  const clsLocation = _compileLocation(Object.assign({ _txid: txid }, _location(state.cls.$jig)))
+  const B = jigs[clsLocation]
   if (!B) throw new Error(`Missing ref: ${state.cls.$jig}`)
   _sudo(() => Object.setPrototypeOf(shell, B.prototype))
 
@@ -127,7 +127,7 @@ async function _recreateCode (state, decodedProps, refs, txid, kernel, session,
   try {
     if (!(await kernel._trusted(origintxid, 'state'))) throw new TrustError(origintxid, 'state')
   } catch (e) {
-    if (!(await kernel._trusted(txid, 'state'))) throw new TrustError(txid, 'state')
+    await kernel._checkTrusted(txid, 'state')
   }
 
   // Preload the parent if there is one
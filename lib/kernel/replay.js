@@ -19,7 +19,7 @@ const {
   _createExec, _createMetadata, _createPartialTx, _finalizeLocationsAndOrigins, _cacheStates
 } = require('./publish')
 const CreationSet = require('./creation-set')
-const { TrustError, ExecutionError } = require('./error')
+const { ExecutionError } = require('./error')
 
 // ------------------------------------------------------------------------------------------------
 // Globals
@@ -45,6 +45,26 @@ class _Preverify {
  * Creates a record by replaying a transaction. The returned record must be published
  */
 async function _replay (tx, txid, metadata, kernel, published, jigToSync, timeout, preverify) {
+  // Pre-verification replays our own transactions and is not a replay listeners care about
+  if (preverify) return replay(tx, txid, metadata, kernel, published, jigToSync, timeout, preverify)
+
+  const start = new Date()
+
+  kernel._emit('replay-start', { txid })
+
+  try {
+    const commit = await replay(tx, txid, metadata, kernel, published, jigToSync, timeout, preverify)
+    kernel._emit('replay-end', { txid, locations: commitLocations(commit, txid), time: new Date() - start })
+    return commit
+  } catch (e) {
+    kernel._emit('replay-end', { txid, locations: [], time: new Date() - start, error: e })
+    throw e
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+
+async function replay (tx, txid, metadata, kernel, published, jigToSync, timeout, preverify) {
   const _execute = require('./execute')
 
   if (Log._infoOn) Log._info(TAG, 'Replay', txid)
@@ -60,7 +80,7 @@ async function _replay (tx, txid, metadata, kernel, published, jigToSync, timeou
     metadata.exec.some(action => action.op === 'UPGRADE'))
 
   if (anythingToTrust) {
-    if (!(await kernel._trusted(txid, 'replay'))) throw new TrustError(txid, 'replay')
+    await kernel._checkTrusted(txid, 'replay')
   }
 
   let inputs = []
@@ -105,6 +125,9 @@ async function _replay (tx, txid, metadata, kernel, published, jigToSync, timeou
   record._replaying = true
   record._autopublish = false
 
+  // Replay with the kernel passed in, even if it is not the active one
+  record._kernel = kernel
+
   // Save the current record to replace back after we finish executing this replay
   const savedRecord = Record._CURRENT_RECORD
 
@@ -366,6 +389,15 @@ function _assignOwnersFromMetadata (commit, txmetadata, masterList) {
 
 // ------------------------------------------------------------------------------------------------
 
+function commitLocations (commit, txid) {
+  const vrun = commit._base.outputs.length
+  const outputs = commit._record._outputs._arr().map((jig, i) => `${txid}_o${vrun + 1 + i}`)
+  const deletes = commit._record._deletes._arr().map((jig, i) => `${txid}_d${i}`)
+  return outputs.concat(deletes)
+}
+
+// ------------------------------------------------------------------------------------------------
+
 _replay._Preverify = _Preverify
 
 module.exports = _replay
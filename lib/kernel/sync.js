@@ -5,7 +5,7 @@
  */
 
 const bsv = require('bsv')
-const { _assert, _text, _Timeout, _defined, _activeKernel } = require('./misc')
+const { _assert, _text, _Timeout, _defined, _activeKernel, _checkSignal } = require('./misc')
 const Log = require('./log')
 const { _deepVisit, _deepReplace } = require('./deep')
 const { _sudo } = require('./admin')
@@ -32,10 +32,12 @@ async function _sync (jig, options = {}) {
 
   _assert(jig instanceof Jig || jig instanceof Code)
 
-  const kernel = _activeKernel()
+  const kernel = _activeKernel(jig)
+
+  _checkSignal(options.signal)
 
   // Setup the options
-  options._timeout = options._timeout || new _Timeout('sync', kernel._timeout)
+  options._timeout = options._timeout || new _Timeout('sync', kernel._timeout, undefined, options.signal)
   options._syncing = options._syncing || new Map() // Jig -> Forward Synced
 
   if (Log._infoOn) Log._info(TAG, 'Sync', _text(jig))
@@ -110,7 +112,7 @@ async function publishPending (jig, options, kernel) {
     if (!commit) throw new Error(`Cannot sync ${_text(jig)}: transaction in progress`)
 
     if (Log._debugOn) Log._debug(TAG, 'Sync', commit._record._id)
-    await commit._onPublish()
+    await options._timeout._race(commit._onPublish())
 
     options._timeout._check()
   }
@@ -135,13 +137,13 @@ async function forwardSync (jig, options, kernel) {
     if (_defined(loc._record)) throw new Error(`Cannot sync ${_text(jig)}: transaction in progress`)
     _assert(_defined(loc._txid) && _defined(loc._vout))
 
-    const spendtxid = await kernel._spends(loc._txid, loc._vout)
+    const spendtxid = await kernel._spends(loc._txid, loc._vout, options._timeout)
     if (!spendtxid) break
     options._timeout._check()
 
     if (Log._infoOn) Log._info(TAG, 'Forward syncing to', spendtxid)
 
-    const rawSpendTx = await kernel._fetch(spendtxid)
+    const rawSpendTx = await kernel._fetch(spendtxid, options._timeout)
     options._timeout._check()
     const spendtx = new bsv.Transaction(rawSpendTx)
     let metadata = null
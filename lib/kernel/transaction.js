@@ -8,8 +8,11 @@ const bsv = require('bsv')
 const Record = require('./record')
 const _replay = require('./replay')
 const Log = require('./log')
-const { _assert, _text, _Timeout, _activeKernel } = require('./misc')
+const { _assert, _text, _Timeout, _activeKernel, _checkSignal, _defined } = require('./misc')
 const { _extractMetadata } = require('./metadata')
+const { _location } = require('./bindings')
+const { _getSignedPubkeys } = require('./bsv')
+const { _PROTOCOL_VERSION, _getMetadataVersion, _parseMetadataVersion } = require('./version')
 const { ArgumentError } = require('./error')
 
 // ------------------------------------------------------------------------------------------------
@@ -28,6 +31,7 @@ class Transaction {
     this._record._replaying = false
     this._record._autopublish = false
     this._base = new bsv.Transaction()
+    this._baseParents = null
 
     this._commit = null // Replayed or built commit
     this._tx = null // Replayed or built tx
@@ -49,11 +53,37 @@ class Transaction {
   // --------------------------------------------------------------------------
 
   set base (rawtx) {
+    this.setBase(rawtx)
+  }
+
+  // --------------------------------------------------------------------------
+  // setBase
+  // --------------------------------------------------------------------------
+
+  /**
+   * Sets the base transaction that the RUN outputs are added to.
+   *
+   * Custom outputs are placed before the RUN metadata. Custom inputs are placed after the jig
+   * inputs, so that a RUN action may atomically spend other UTXOs. They should either already be
+   * signed or be signable by the owner or purse.
+   *
+   * @param {string} rawtx Base transaction in hex
+   * @param {?Array<{script: string, satoshis: number}>} parents Parent outputs for each custom
+   *    input. If not provided, they are fetched from the blockchain when needed.
+   */
+  setBase (rawtx, parents) {
     const tx = new bsv.Transaction(rawtx)
-    if (tx.inputs.length) {
-      throw new Error('Only custom outputs are supported in base transactions')
+
+    if (typeof parents !== 'undefined') {
+      const badParent = parent => typeof parent !== 'object' || !parent ||
+        typeof parent.script !== 'string' || !Number.isSafeInteger(parent.satoshis) || parent.satoshis < 0
+      if (!Array.isArray(parents) || parents.length !== tx.inputs.length || parents.some(badParent)) {
+        throw new ArgumentError(`Invalid parents: ${_text(parents)}`)
+      }
     }
+
     this._base = tx
+    this._baseParents = parents ? parents.map(parent => Object.assign({}, parent)) : null
   }
 
   // --------------------------------------------------------------------------
@@ -283,6 +313,8 @@ class Transaction {
       throw new ArgumentError(`Invalid sign: ${_text(options.sign)}`)
     }
 
+    _checkSignal(options.signal)
+
     const pay = typeof options.pay === 'undefined' ? true : options.pay
     const sign = typeof options.sign === 'undefined' ? true : options.sign
 
@@ -290,7 +322,7 @@ class Transaction {
     if (this._cached && sign) throw new Error('sign disabled once cached')
 
     const kernel = _activeKernel()
-    const timeout = new _Timeout('publish', kernel._timeout)
+    const timeout = new _Timeout('publish', kernel._timeout, undefined, options.signal)
 
     this._publishPromise = this._build(timeout, true)
       .then(() => this._finishAndPublish(pay, sign, timeout))
@@ -355,6 +387,216 @@ class Transaction {
     return this._exportPromise
   }
 
+  // --------------------------------------------------------------------------
+  // estimate
+  // --------------------------------------------------------------------------
+
+  /**
+   * Estimates the cost of publishing this transaction before it is paid for.
+   *
+   * The owner and purse are not called. New creations without owners are assumed to be assigned
+   * addresses, and the purse is assumed to pay with one P2PKH input and one P2PKH change output.
+   * Purses that add more inputs or outputs will pay more.
+   *
+   * @returns {object} { size, fee, satoshis } where size is in bytes including payment, fee is
+   *    at the purse's feePerKb, and satoshis is the total backing of the jig outputs
+   */
+  estimate () {
+    if (Transaction._ATOMICALLY_UPDATING) throw new Error('estimate disabled during atomic update')
+    if (this._published) throw new Error('estimate disabled once published')
+    if (this._cached) throw new Error('estimate disabled once cached')
+
+    const { _estimate } = require('./publish')
+
+    const record = this._record
+    if (!record._actions.length) throw new Error('Nothing to estimate')
+
+    const kernel = _activeKernel()
+    return _estimate(record, this._base, kernel)
+  }
+
+  // --------------------------------------------------------------------------
+  // simulate
+  // --------------------------------------------------------------------------
+
+  /**
+   * Executes the actions on copies of the inputs and refs and captures the states and metadata
+   * that publishing would produce. Nothing is paid, signed, or broadcast, and neither this
+   * transaction nor its jigs are changed. The copies are loaded by location, so the inputs and
+   * refs must already be published.
+   *
+   * @returns {Promise<object>} { metadata, outputs, deletes } where outputs and deletes are the
+   *    captured states in the same order as the outputs and deletes properties
+   */
+  async simulate () {
+    if (Log._infoOn) Log._info(TAG, 'Simulate')
+
+    const start = new Date()
+
+    if (Transaction._ATOMICALLY_UPDATING) throw new Error('simulate disabled during atomic update')
+    if (this._published) throw new Error('simulate disabled once published')
+    if (this._cached) throw new Error('simulate disabled once cached')
+    if (!this._record._actions.length) throw new Error('Nothing to simulate')
+
+    const json = this.toJSON()
+
+    const kernel = _activeKernel()
+    const timeout = new _Timeout('simulate', kernel._timeout)
+
+    const result = await _simulate(json, kernel, timeout)
+
+    if (Log._debugOn) Log._debug(TAG, 'Simulate (end): ' + (new Date() - start) + 'ms')
+
+    return result
+  }
+
+  // --------------------------------------------------------------------------
+  // describe
+  // --------------------------------------------------------------------------
+
+  /**
+   * Describes the actions in this transaction in a human-readable form, along with the owners
+   * and satoshis of its inputs, outputs, and deletes.
+   *
+   * Existing jigs are labeled by their location before the transaction, like Token@<txid>_o1,
+   * and new jigs by their location within the transaction, like Dragon@_o2.
+   *
+   * @returns {object} { actions, inputs, outputs, deletes }
+   */
+  describe () {
+    if (Transaction._ATOMICALLY_UPDATING) throw new Error('describe disabled during atomic update')
+    if (!this._record._actions.length) throw new Error('Nothing to describe')
+
+    const { _describe } = require('./describe')
+
+    const base = this._commit ? this._commit._base : this._base
+    return _describe(this._record, base)
+  }
+
+  // --------------------------------------------------------------------------
+  // toJSON
+  // --------------------------------------------------------------------------
+
+  /**
+   * Serializes the actions, inputs, refs, and base of an unpublished transaction so that it
+   * may be restored later, possibly in another process, using Transaction.fromJSON().
+   *
+   * Payment and signatures are not included. They are added after the transaction is restored.
+   *
+   * Returns null when there is nothing to restore, which is when there are no actions or the
+   * transaction was already published or cached.
+   */
+  toJSON () {
+    if (Transaction._ATOMICALLY_UPDATING) throw new Error('toJSON disabled during atomic update')
+    if (this._published || this._cached) return null
+
+    const { _createMasterList, _createExec } = require('./publish')
+
+    const record = this._record
+    if (!record._actions.length) return null
+
+    // Inputs and refs are restored by location, so they must already be on-chain
+    const beforeLocation = creation => {
+      const location = record._before.get(creation)._props.location
+      const loc = _location(location)
+      if (_defined(loc._native)) return location
+      if (!_defined(loc._txid) || _defined(loc._record) || _defined(loc._error)) {
+        throw new Error(`Cannot serialize ${_text(creation)}: not published`)
+      }
+      return location
+    }
+
+    const inputs = record._inputs._arr().map(beforeLocation)
+    const refs = record._refs._arr().map(beforeLocation)
+
+    const masterList = _createMasterList(record)
+    const exec = _createExec(record, masterList)
+
+    return {
+      version: _getMetadataVersion(_PROTOCOL_VERSION),
+      base: this.base,
+      in: inputs,
+      ref: refs,
+      exec
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // fromJSON
+  // --------------------------------------------------------------------------
+
+  /**
+   * Restores a transaction serialized using toJSON() by loading its inputs and refs and
+   * re-executing its actions.
+   *
+   * Code that is deployed or upgraded must be trusted, like when replaying. Because there is no
+   * txid yet, the JSON is identified by the sha256 of its deterministic JSON string, which is
+   * the txid in the TrustError. Trust it with run.trust(), trust '*', or pass options.trust.
+   *
+   * @param {object} json Serialized transaction
+   * @param {?object} options
+   * @param {?boolean} options.trust Whether to trust code in the JSON
+   * @returns {Promise<Transaction>} Unpublished transaction that may be paid, signed, or published
+   */
+  static async fromJSON (json, options = {}) {
+    if (Log._infoOn) Log._info(TAG, 'From JSON')
+
+    if (Transaction._ATOMICALLY_UPDATING) throw new Error('fromJSON disabled during atomic update')
+
+    if (typeof options.trust !== 'undefined' && typeof options.trust !== 'boolean') {
+      throw new ArgumentError(`Invalid trust: ${_text(options.trust)}`)
+    }
+
+    _parseJSON(json)
+
+    const _load = require('./load')
+    const _execute = require('./execute')
+    const CreationSet = require('./creation-set')
+    const { _deterministicJSONStringify } = require('./determinism')
+    const { _sha256 } = require('./bsv')
+
+    const kernel = _activeKernel()
+
+    // Check that the code is trusted to load before anything is executed
+    const anythingToTrust = json.exec.some(action => action.op === 'DEPLOY' || action.op === 'UPGRADE')
+    if (anythingToTrust && !options.trust) {
+      const id = (await _sha256(_deterministicJSONStringify(json))).toString('hex')
+      await kernel._checkTrusted(id, 'json')
+    }
+
+    const timeout = new _Timeout('fromJSON', kernel._timeout)
+    const session = new _load._Session()
+
+    // Load the inputs and refs in a shared session so that they are unified
+    const inputs = await Promise.all(json.in.map(location => _load(location, undefined, kernel, session, timeout)))
+    const refs = await Promise.all(json.ref.map(location => _load(location, undefined, kernel, session, timeout)))
+    timeout._check()
+
+    const transaction = new Transaction()
+    transaction.base = json.base
+
+    transaction.update(() => {
+      const record = transaction._record
+
+      // Add the incoming jigs first so that they are ordered the same as when serialized
+      inputs.forEach(jig => record._update(jig))
+      refs.forEach(jig => record._read(jig))
+
+      // Re-execute each action
+      for (const { op, data } of json.exec) {
+        const masterSet = new CreationSet()
+        for (const x of inputs) { masterSet._add(x) }
+        for (const x of refs) { masterSet._add(x) }
+        for (const x of record._creates) { masterSet._add(x) }
+        const masterList = masterSet._arr()
+
+        _execute(op, data, masterList)
+      }
+    })
+
+    return transaction
+  }
+
   // --------------------------------------------------------------------------
   // rollback
   // --------------------------------------------------------------------------
@@ -402,6 +644,64 @@ class Transaction {
     return transaction
   }
 
+  // --------------------------------------------------------------------------
+  // combine
+  // --------------------------------------------------------------------------
+
+  /**
+   * Merges the unlocking scripts from several copies of the same transaction that were signed
+   * in parallel by different parties.
+   *
+   * The copies must be identical except for their unlocking scripts. Signatures for multi-sig
+   * inputs, like those owned by Group locks, are merged in pubkey order. Other inputs must be
+   * unsigned or signed the same way in every copy.
+   *
+   * @param {Array<string>} rawtxs Raw transactions in hex
+   * @returns {Promise<string>} Combined raw transaction in hex
+   */
+  static async combine (rawtxs) {
+    if (Log._infoOn) Log._info(TAG, 'Combine')
+
+    if (Transaction._ATOMICALLY_UPDATING) throw new Error('combine disabled during atomic update')
+
+    if (!Array.isArray(rawtxs) || !rawtxs.length) throw new ArgumentError(`Invalid rawtxs: ${_text(rawtxs)}`)
+
+    const txs = rawtxs.map(rawtx => {
+      try {
+        if (typeof rawtx !== 'string') throw new Error()
+        return new bsv.Transaction(rawtx)
+      } catch (e) {
+        throw new ArgumentError(`Invalid transaction: ${_text(rawtx)}`)
+      }
+    })
+
+    // Check that the copies are identical except for their unlocking scripts
+    const unsigned = tx => {
+      const copy = new bsv.Transaction(tx.toString('hex'))
+      copy.inputs.forEach(input => input.setScript(new bsv.Script()))
+      return copy.toString('hex')
+    }
+    const expected = unsigned(txs[0])
+    if (txs.some(tx => unsigned(tx) !== expected)) throw new Error('Cannot combine different transactions')
+
+    const combined = new bsv.Transaction(txs[0].toString('hex'))
+
+    for (let vin = 0; vin < combined.inputs.length; vin++) {
+      const scripts = new Set()
+      txs.forEach(tx => { if (tx.inputs[vin].script.chunks.length) scripts.add(tx.inputs[vin].script.toHex()) })
+
+      if (scripts.size <= 1) {
+        combined.inputs[vin].setScript(new bsv.Script(scripts.size ? [...scripts][0] : ''))
+        continue
+      }
+
+      const script = await _combineMultisig(combined, vin, [...scripts], _activeKernel())
+      combined.inputs[vin].setScript(script)
+    }
+
+    return combined.toString('hex')
+  }
+
   // --------------------------------------------------------------------------
   // _build
   // --------------------------------------------------------------------------
@@ -425,6 +725,7 @@ class Transaction {
 
     // Set the base transaction
     commit._base = this._base
+    commit._baseParents = this._baseParents
 
     // If we need this commit activated (in run.transaction), do it now
     if (publishing) commit._setPublishing(true)
@@ -665,6 +966,157 @@ class Transaction {
   }
 }
 
+// ------------------------------------------------------------------------------------------------
+// _simulate
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Loads fresh copies of a serialized transaction's inputs and refs, executes its actions on
+ * them, and captures the resulting states and metadata without paying or broadcasting.
+ */
+async function _simulate (json, kernel, timeout) {
+  const _load = require('./load')
+  const _execute = require('./execute')
+  const CreationSet = require('./creation-set')
+  const {
+    _assignInitialOwners,
+    _generateOutputScripts,
+    _finalizeOwnersAndSatoshis,
+    _createMasterList,
+    _captureStates,
+    _hashStates,
+    _createExec,
+    _createMetadata
+  } = require('./publish')
+
+  // Load the copies in their own session so they are not shared with live jigs
+  const session = new _load._Session()
+  const inputs = await Promise.all(json.in.map(location => _load(location, undefined, kernel, session, timeout)))
+  const refs = await Promise.all(json.ref.map(location => _load(location, undefined, kernel, session, timeout)))
+  timeout._check()
+
+  // Execute in a separate record. Replaying disables update events for the copies.
+  const record = new Record()
+  record._replaying = true
+  record._autopublish = false
+
+  const savedRecord = Record._CURRENT_RECORD
+
+  try {
+    inputs.forEach(jig => record._update(jig))
+    refs.forEach(jig => record._read(jig))
+
+    Record._CURRENT_RECORD = record
+
+    for (const { op, data } of json.exec) {
+      const masterSet = new CreationSet()
+      for (const x of inputs) { masterSet._add(x) }
+      for (const x of refs) { masterSet._add(x) }
+      for (const x of record._creates) { masterSet._add(x) }
+      const masterList = masterSet._arr()
+
+      _execute(op, data, masterList)
+    }
+  } catch (e) {
+    record._rollback(e)
+    throw e
+  } finally {
+    Record._CURRENT_RECORD = savedRecord
+  }
+
+  const commit = record._commit()
+  commit._base = new bsv.Transaction(json.base)
+
+  // Follow the same steps as building a transaction up until the metadata
+  await _assignInitialOwners(commit)
+  timeout._check()
+
+  await _generateOutputScripts(commit)
+  timeout._check()
+
+  _finalizeOwnersAndSatoshis(commit)
+
+  const masterList = _createMasterList(record)
+
+  const states = await _captureStates(commit, timeout)
+  timeout._check()
+
+  const hashes = await _hashStates(commit, states)
+  const exec = _createExec(record, masterList)
+  const metadata = _createMetadata(commit, hashes, exec, masterList)
+
+  const outputs = record._outputs._arr().map(jig => states.get(jig))
+  const deletes = record._deletes._arr().map(jig => states.get(jig))
+
+  return { metadata, outputs, deletes }
+}
+
+// ------------------------------------------------------------------------------------------------
+// _combineMultisig
+// ------------------------------------------------------------------------------------------------
+
+async function _combineMultisig (tx, vin, scripts, kernel) {
+  const error = `Cannot combine different unlocking scripts for input ${vin}`
+
+  // Each unlocking script must be OP_0 followed by signatures
+  const sigsets = scripts.map(hex => {
+    const chunks = new bsv.Script(hex).chunks
+    if (chunks[0].opcodenum !== bsv.Opcode.OP_0 || chunks.slice(1).some(chunk => !chunk.buf)) {
+      throw new Error(error)
+    }
+    return chunks.slice(1).map(chunk => chunk.buf.toString('hex'))
+  })
+
+  // The locking script must be a bare multi-sig script to order the signatures
+  const input = tx.inputs[vin]
+  const prevtx = new bsv.Transaction(await kernel._fetch(input.prevTxId.toString('hex')))
+  const prevout = prevtx.outputs[input.outputIndex]
+  if (!prevout || !prevout.script.isMultisigOut()) throw new Error(error)
+
+  const chunks = prevout.script.chunks
+  const required = chunks[0].opcodenum - bsv.Opcode.OP_1 + 1
+  const pubkeys = chunks.slice(1, chunks.length - 2).map(chunk => chunk.buf.toString('hex'))
+
+  // Collect the signatures by pubkey, which also checks that they are valid
+  const sigs = new Map()
+  for (const sigset of sigsets) {
+    const signedPubkeys = await _getSignedPubkeys(tx, vin, prevout, sigset, pubkeys)
+    signedPubkeys.forEach((pubkey, n) => sigs.set(pubkey, sigset[n]))
+  }
+
+  // CHECKMULTISIG requires the signatures in pubkey order
+  const ordered = pubkeys
+    .filter(pubkey => sigs.has(pubkey))
+    .map(pubkey => sigs.get(pubkey))
+    .slice(0, required)
+
+  return bsv.Script.fromASM(`OP_0 ${ordered.join(' ')}`)
+}
+
+// ------------------------------------------------------------------------------------------------
+// _parseJSON
+// ------------------------------------------------------------------------------------------------
+
+function _parseJSON (json) {
+  if (typeof json !== 'object' || !json) throw new ArgumentError(`Invalid json: ${_text(json)}`)
+
+  _parseMetadataVersion(json.version)
+
+  if (typeof json.base !== 'string') throw new ArgumentError(`Invalid base: ${_text(json.base)}`)
+
+  const badLocations = x => !Array.isArray(x) || x.some(location => typeof location !== 'string')
+  if (badLocations(json.in)) throw new ArgumentError(`Invalid in: ${_text(json.in)}`)
+  if (badLocations(json.ref)) throw new ArgumentError(`Invalid ref: ${_text(json.ref)}`)
+
+  if (!Array.isArray(json.exec) || !json.exec.length) throw new ArgumentError(`Invalid exec: ${_text(json.exec)}`)
+
+  json.exec.forEach(entry => {
+    if (typeof entry !== 'object' || !entry || Object.keys(entry).length !== 2) throw new ArgumentError('Invalid exec')
+    if (typeof entry.op !== 'string') throw new ArgumentError(`Invalid op: ${_text(entry.op)}`)
+    if (typeof entry.data !== 'object' || !entry.data) throw new ArgumentError(`Invalid data: ${_text(entry.data)}`)
+  })
+}
+
 // ------------------------------------------------------------------------------------------------
 
 // Variable indicating whether we are in an update() and should not allow changes to Run
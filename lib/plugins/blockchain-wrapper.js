@@ -10,10 +10,15 @@
  *    - Correcting returned UTXOs with known recently-broadcasted transactions
  *    - Allowing an address to be passed to utxos()
  *    - Allowing a bsv.Transaction to be passed to broadcast()
+ *    - Forwarding request options, like an AbortSignal, to fetch(), spends(), and time()
+ *    - Expiring cached spends and times after per-prefix TTLs, and invalidating them on demand
+ *    - Refreshing cached mempool times so that block times replace them once confirmed
  *
  * Other notes
  *
  *    - The cache property will be set to a Cache implementation by Run
+ *    - Unspent results are only cached when a TTL applies to them, because they may change
+ *    - Entries with a TTL are cached as { value, expires }, which CacheWrapper unwraps
  *
  * To use, either wrap a blockchain instance:
  *
@@ -28,7 +33,9 @@ const bsv = require('bsv')
 const RecentBroadcasts = require('./recent-broadcasts')
 const Log = require('../kernel/log')
 const LocalCache = require('./local-cache')
-const { _text, _defineGetter } = require('../kernel/misc')
+const CacheWrapper = require('./cache-wrapper')
+const { _text, _defineGetter, _defined } = require('../kernel/misc')
+const { ArgumentError } = require('../kernel/error')
 
 // ------------------------------------------------------------------------------------------------
 // Globals
@@ -36,6 +43,13 @@ const { _text, _defineGetter } = require('../kernel/misc')
 
 const HEX_REGEX = /^(?:[a-fA-F0-9][a-fA-F0-9])*$/
 
+// Cache key prefixes whose values may change and so may be given TTLs
+const EXPIRING_PREFIXES = ['spend://', 'time://']
+
+// Seconds until a time that may be a mempool time is fetched again, when time:// has no TTL.
+// Blockchain APIs return the current time for unconfirmed transactions.
+const MEMPOOL_TIME_TTL = 600
+
 // ------------------------------------------------------------------------------------------------
 // BlockchainWrapper
 // ------------------------------------------------------------------------------------------------
@@ -49,6 +63,7 @@ class BlockchainWrapper {
     this.tag = blockchain.constructor.name === 'Object' ? 'Blockchain' : blockchain.constructor.name
 
     this.cache = cache
+    this.ttl = {}
 
     this.unwrappedBlockchain = blockchain
     this.unwrappedBroadcast = blockchain.broadcast
@@ -64,6 +79,57 @@ class BlockchainWrapper {
     this.setWrappingEnabled(true)
   }
 
+  // --------------------------------------------------------------------------
+  // ttl
+  // --------------------------------------------------------------------------
+
+  /**
+   * Seconds until cached entries expire, by key prefix. Prefixes must start with spend:// or
+   * time://, and the longest matching prefix is used. For example:
+   *
+   *    blockchain.ttl = { 'spend://': 60, 'time://': 600 }
+   *
+   * Entries without a matching prefix never expire, except for mempool times. Expiry is enforced
+   * by caches that extend CacheWrapper, which includes every cache that comes with Run.
+   */
+  get ttl () { return this._ttl }
+
+  set ttl (ttl) {
+    if (typeof ttl !== 'object' || !ttl || Array.isArray(ttl)) throw new ArgumentError(`Invalid ttl: ${_text(ttl)}`)
+    Object.entries(ttl).forEach(([prefix, seconds]) => {
+      if (!EXPIRING_PREFIXES.some(p => prefix.startsWith(p))) throw new ArgumentError(`Invalid ttl prefix: ${_text(prefix)}`)
+      if (typeof seconds !== 'number' || !(seconds >= 0)) throw new ArgumentError(`Invalid ttl for ${prefix}: ${_text(seconds)}`)
+    })
+    this._ttl = Object.assign({}, ttl)
+  }
+
+  // --------------------------------------------------------------------------
+  // invalidate
+  // --------------------------------------------------------------------------
+
+  /**
+   * Expires a cached spend:// or time:// entry now so that it is fetched again on the next call.
+   * Also accepts a location for its spend, or a txid for its time.
+   */
+  async invalidate (key) {
+    if (typeof key === 'string' && HEX_REGEX.test(key) && key.length === 64) key = `time://${key}`
+    if (typeof key === 'string' && /^[a-fA-F0-9]{64}_o[0-9]+$/.test(key)) key = `spend://${key}`
+    if (typeof key !== 'string' || !EXPIRING_PREFIXES.some(prefix => key.startsWith(prefix))) {
+      throw new ArgumentError(`Invalid key: ${_text(key)}`)
+    }
+
+    if (!this.cache) return
+
+    if (Log._infoOn) Log._info(this.tag, 'Invalidate', key)
+    if (typeof this.cache.delete === 'function') {
+      await this.cache.delete(key)
+    } else if (this.cache instanceof CacheWrapper) {
+      await this.cache.set(key, { value: null, expires: 0 })
+    } else {
+      if (Log._warnOn) Log._warn(this.tag, `Cannot invalidate ${key} in a cache without delete`)
+    }
+  }
+
   // --------------------------------------------------------------------------
   // setWrappingEnabled
   // --------------------------------------------------------------------------
@@ -139,7 +205,7 @@ class BlockchainWrapper {
       // Store the transaction time. Allow errors if there are dups.
       const previousTime = await this.cache.get(`time://${txid}`)
       if (typeof previousTime === 'undefined') {
-        const promise = this.cache.set(`time://${txid}`, Date.now())
+        const promise = this._cacheSet(`time://${txid}`, Date.now(), MEMPOOL_TIME_TTL)
         if (promise instanceof Promise) promise.catch(e => {})
         cacheSets.push(promise)
       }
@@ -148,7 +214,7 @@ class BlockchainWrapper {
       for (const input of tx.inputs) {
         const prevtxid = input.prevTxId.toString('hex')
         const location = `${prevtxid}_o${input.outputIndex}`
-        cacheSets.push(this.cache.set(`spend://${location}`, txid))
+        cacheSets.push(this._cacheSet(`spend://${location}`, txid))
       }
 
       // Cache the transaction itself
@@ -168,7 +234,7 @@ class BlockchainWrapper {
   // wrappedFetch
   // ------------------------------------------------------------------------
 
-  async wrappedFetch (txid) {
+  async wrappedFetch (txid, options) {
     // Validate the txid
     const badTxid = typeof txid !== 'string' || txid.length !== 64 || !HEX_REGEX.test(txid)
     if (badTxid) throw new Error(`Invalid txid: ${_text(txid)}`)
@@ -180,7 +246,7 @@ class BlockchainWrapper {
     // Fetch
     if (Log._infoOn) Log._info(this.tag, 'Fetch', txid)
     const start = new Date()
-    const rawtx = await this.unwrappedFetch.call(this.unwrappedBlockchain, txid)
+    const rawtx = await this.unwrappedFetch.call(this.unwrappedBlockchain, txid, options)
     if (Log._debugOn) Log._debug(this.tag, 'Fetch (end): ' + (new Date() - start) + 'ms')
 
     // Check the response is correct
@@ -201,7 +267,7 @@ class BlockchainWrapper {
       bsvtx.inputs.forEach(input => {
         const prevtxid = input.prevTxId.toString('hex')
         const location = `${prevtxid}_o${input.outputIndex}`
-        cacheSets.push(this.cache.set(`spend://${location}`, txid))
+        cacheSets.push(this._cacheSet(`spend://${location}`, txid))
       })
 
       await Promise.all(cacheSets)
@@ -284,7 +350,7 @@ class BlockchainWrapper {
   // wrappedSpends
   // ------------------------------------------------------------------------
 
-  async wrappedSpends (txid, vout) {
+  async wrappedSpends (txid, vout, options) {
     // Validate the txid
     const badTxid = typeof txid !== 'string' || txid.length !== 64 || !HEX_REGEX.test(txid)
     if (badTxid) {
@@ -312,7 +378,7 @@ class BlockchainWrapper {
     // Call the API
     if (Log._infoOn) Log._info(this.tag, `Spends ${txid}_o${vout}`)
     const start = new Date()
-    const spend = await this.unwrappedSpends.call(this.unwrappedBlockchain, txid, vout)
+    const spend = await this.unwrappedSpends.call(this.unwrappedBlockchain, txid, vout, options)
     if (Log._debugOn) Log._debug(this.tag, 'Spends (end): ' + (new Date() - start) + 'ms')
 
     // Check the response
@@ -320,9 +386,10 @@ class BlockchainWrapper {
       throw new Error(`Invalid spend txid fetched for ${txid}_o${vout}: ${spend}`)
     }
 
-    // Cache the spend
-    if (spend && this.cache) {
-      await this.cache.set(`spend://${txid}_o${vout}`, spend)
+    // Cache the spend. Unspent outputs may be spent later, so they are only cached with a TTL.
+    const spendKey = `spend://${txid}_o${vout}`
+    if (this.cache && (spend || typeof this._ttlFor(spendKey) !== 'undefined')) {
+      await this._cacheSet(spendKey, spend)
     }
 
     return spend
@@ -332,7 +399,7 @@ class BlockchainWrapper {
   // wrappedTime
   // --------------------------------------------------------------------------
 
-  async wrappedTime (txid) {
+  async wrappedTime (txid, options) {
     // Validate the txid
     const badTxid = typeof txid !== 'string' || txid.length !== 64 || !HEX_REGEX.test(txid)
     if (badTxid) throw new Error(`Invalid txid: ${_text(txid)}`)
@@ -344,19 +411,48 @@ class BlockchainWrapper {
     // Call the API
     if (Log._infoOn) Log._info(this.tag, 'Time', txid)
     const start = new Date()
-    const time = await this.unwrappedTime.call(this.unwrappedBlockchain, txid)
+    const time = await this.unwrappedTime.call(this.unwrappedBlockchain, txid, options)
     if (Log._debugOn) Log._debug(this.tag, 'Time (end): ' + (new Date() - start) + 'ms')
 
     // Check the response
     if (typeof time !== 'number' || time < 0) throw new Error(`Invalid time fetched for ${txid}: ${time}`)
 
-    // Cache the time
+    // Cache the time. Recent times may be mempool times, so they are fetched again later.
     if (this.cache) {
-      await this.cache.set(`time://${txid}`, time)
+      const mempool = Date.now() - time < MEMPOOL_TIME_TTL * 1000
+      await this._cacheSet(`time://${txid}`, time, mempool ? MEMPOOL_TIME_TTL : undefined)
     }
 
     return time
   }
+
+  // --------------------------------------------------------------------------
+  // _ttlFor
+  // --------------------------------------------------------------------------
+
+  // Returns the TTL in seconds for a cache key, using the longest matching prefix
+  _ttlFor (key) {
+    const prefixes = Object.keys(this._ttl || {}).filter(prefix => key.startsWith(prefix))
+    if (!prefixes.length) return
+    const prefix = prefixes.reduce((a, b) => b.length > a.length ? b : a)
+    return this._ttl[prefix]
+  }
+
+  // --------------------------------------------------------------------------
+  // _cacheSet
+  // --------------------------------------------------------------------------
+
+  // Caches a spend or time, along with when it expires if it has a TTL. The TTL for its prefix
+  // is used if there is one, or else the default TTL passed in. The expiry is stored in the same
+  // entry so that the two are written and evicted together.
+  async _cacheSet (key, value, defaultTtl) {
+    const ttl = _defined(this._ttlFor(key)) ? this._ttlFor(key) : defaultTtl
+    if (_defined(ttl) && this.cache instanceof CacheWrapper) {
+      await this.cache.set(key, { value, expires: Date.now() + ttl * 1000 })
+    } else {
+      await this.cache.set(key, value)
+    }
+  }
 }
 
 // ------------------------------------------------------------------------------------------------
@@ -26,7 +26,8 @@ if (typeof VARIANT !== 'undefined' && VARIANT === 'browser') {
       this.indexedDbCache = new IndexedDbCache({
         dbName: options.dbName,
         dbStore: options.dbStore,
-        dbVersion: options.dbVersion
+        dbVersion: options.dbVersion,
+        maxSizeMB: options.maxIndexedDbSizeMB
       })
 
       this.localCache.setWrappingEnabled(false)
@@ -36,6 +37,9 @@ if (typeof VARIANT !== 'undefined' && VARIANT === 'browser') {
     get maxMemorySizeMB () { return this.localCache.maxSizeMB }
     set maxMemorySizeMB (value) { this.localCache.maxSizeMB = value }
 
+    get maxIndexedDbSizeMB () { return this.indexedDbCache.maxSizeMB }
+    set maxIndexedDbSizeMB (value) { this.indexedDbCache.maxSizeMB = value }
+
     async get (key) {
       const localValue = await this.localCache.get(key)
       if (typeof localValue !== 'undefined') return localValue
@@ -53,6 +57,28 @@ if (typeof VARIANT !== 'undefined' && VARIANT === 'browser') {
         this.indexedDbCache.set(key, value)
       ])
     }
+
+    async delete (key) {
+      await Promise.all([
+        this.localCache.delete(key),
+        this.indexedDbCache.delete(key)
+      ])
+    }
+
+    async keys (prefix) {
+      const keys = await Promise.all([
+        this.localCache.keys(prefix),
+        this.indexedDbCache.keys(prefix)
+      ])
+      return Array.from(new Set(keys[0].concat(keys[1])))
+    }
+
+    async clear (prefix) {
+      await Promise.all([
+        this.localCache.clear(prefix),
+        this.indexedDbCache.clear(prefix)
+      ])
+    }
   }
 
   // ----------------------------------------------------------------------------------------------
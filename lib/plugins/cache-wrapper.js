@@ -7,7 +7,14 @@
  *    - Logging performance
  *    - Validating arguments and responses
  *    - Ensuring immutable entries don't change
- *    - Updating the config://code-filter key
+ *    - Updating the config://code-filter key, under the cache's lock if it has one
+ *    - Verifying jig states against their transactions, when verify is true. Run sets this
+ *      from its verifyCache option, along with the blockchain to fetch missing transactions.
+ *    - Expiring spend:// and time:// entries cached as { value, expires }, and unwrapping them
+ *
+ * The optional delete, keys, and clear methods are only wrapped if the cache implements them.
+ * Caches shared between processes may also implement lock(key, fn) to serialize the
+ * read-modify-writes of config keys.
  *
  * To use, either wrap a cache instance:
  *
@@ -29,6 +36,9 @@ const { _text, _basicObject, _basicArray } = require('../kernel/misc')
 
 const IMMUTABLE_KEYS = ['jig', 'berry', 'tx']
 
+// Keys whose values may change, and so may expire
+const EXPIRING_KEYS = ['spend', 'time']
+
 // ------------------------------------------------------------------------------------------------
 // CacheWrapper
 // ------------------------------------------------------------------------------------------------
@@ -44,6 +54,15 @@ class CacheWrapper {
     this.unwrappedCache = cache
     this.unwrappedGet = cache.get
     this.unwrappedSet = cache.set
+    this.unwrappedDelete = cache.delete
+    this.unwrappedKeys = cache.keys
+    this.unwrappedClear = cache.clear
+
+    // When true, jig states are hashed on get and compared with their transaction's metadata
+    this.verify = false
+
+    // Blockchain used to fetch the transactions of states being verified, if not cached
+    this.blockchain = null
 
     this.setWrappingEnabled(true)
   }
@@ -56,9 +75,15 @@ class CacheWrapper {
     if (enabled) {
       this.get = CacheWrapper.prototype.wrappedGet
       this.set = CacheWrapper.prototype.wrappedSet
+      this.delete = this.unwrappedDelete && CacheWrapper.prototype.wrappedDelete
+      this.keys = this.unwrappedKeys && CacheWrapper.prototype.wrappedKeys
+      this.clear = this.unwrappedClear && CacheWrapper.prototype.wrappedClear
     } else {
       this.get = this.unwrappedGet
       this.set = this.unwrappedSet
+      this.delete = this.unwrappedDelete
+      this.keys = this.unwrappedKeys
+      this.clear = this.unwrappedClear
     }
   }
 
@@ -80,6 +105,28 @@ class CacheWrapper {
     // Check the response
     if (typeof value !== 'undefined' && !_isJson(value)) throw new Error(`Invalid value retrieved for ${key}: ${value}`)
 
+    // Entries that may change are stored with when they expire. Expired entries are treated as
+    // missing so that they are fetched again.
+    if (EXPIRING_KEYS.includes(key.split('://')[0]) && _basicObject(value) && typeof value.expires === 'number') {
+      if (Date.now() >= value.expires) {
+        if (Log._infoOn) Log._info(this.tag, 'Expired', key)
+        return undefined
+      }
+      return value.value
+    }
+
+    // Verify jig states so that corrupted or tampered entries are replayed instead of trusted
+    if (this.verify && typeof value !== 'undefined' && key.startsWith('jig://')) {
+      const verified = await this._verifyState(key, value)
+
+      if (verified === false) {
+        if (Log._warnOn) Log._warn(this.tag, 'Evicting invalid state', key)
+        if (this.unwrappedDelete) await CacheWrapper.prototype.wrappedDelete.call(this, key)
+      }
+
+      if (!verified) return undefined
+    }
+
     return value
   }
 
@@ -98,7 +145,13 @@ class CacheWrapper {
     const immutable = IMMUTABLE_KEYS.includes(key.split('://')[0])
     if (immutable) {
       const previousValue = await this.unwrappedGet.call(this.unwrappedCache, key)
-      if (typeof previousValue !== 'undefined' && !_deepEqual(value, previousValue)) {
+      const different = typeof previousValue !== 'undefined' && !_deepEqual(value, previousValue)
+
+      // An invalid previous state is replaced by the state replayed to fix it
+      const invalid = different && this.verify && key.startsWith('jig://') &&
+        await this._verifyState(key, previousValue) === false
+
+      if (different && !invalid) {
         if (Log._errorOn) Log._error(this.tag, 'Expected:', JSON.stringify(previousValue, 0, 3))
         if (Log._errorOn) Log._error(this.tag, 'Actual:', JSON.stringify(value, 0, 3))
 
@@ -116,13 +169,146 @@ class CacheWrapper {
 
     // Update the code filter
     if (key.startsWith('jig://') && value.kind === 'code') {
-      const filter = await this.unwrappedGet.call(this.unwrappedCache, 'config://code-filter') || StateFilter.create()
-      StateFilter.add(filter, key)
-      await this.unwrappedSet.call(this.unwrappedCache, 'config://code-filter', filter)
+      await this.lock('config://code-filter', async () => {
+        const filter = await this.unwrappedGet.call(this.unwrappedCache, 'config://code-filter') || StateFilter.create()
+        StateFilter.add(filter, key)
+        await this.unwrappedSet.call(this.unwrappedCache, 'config://code-filter', filter)
+      })
     }
 
     return ret
   }
+
+  // ------------------------------------------------------------------------
+  // wrappedDelete
+  // ------------------------------------------------------------------------
+
+  async wrappedDelete (key) {
+    // Check the key is valid
+    if (typeof key !== 'string' || !key.length) throw new Error(`Invalid key: ${_text(key)}`)
+
+    // Remember if we are deleting code, to update the code filter after
+    const previousValue = key.startsWith('jig://') ? await this.unwrappedGet.call(this.unwrappedCache, key) : undefined
+
+    // Call the API
+    if (Log._infoOn) Log._info(this.tag, 'Delete', key)
+    const start = new Date()
+    await this.unwrappedDelete.call(this.unwrappedCache, key)
+    if (Log._debugOn) Log._debug(this.tag, 'Delete (end): ' + (new Date() - start) + 'ms')
+
+    // Update the code filter
+    if (previousValue && previousValue.kind === 'code') {
+      await this._removeFromCodeFilter([key])
+    }
+  }
+
+  // ------------------------------------------------------------------------
+  // wrappedKeys
+  // ------------------------------------------------------------------------
+
+  async wrappedKeys (prefix) {
+    // Check the prefix is valid
+    if (typeof prefix !== 'undefined' && typeof prefix !== 'string') throw new Error(`Invalid prefix: ${_text(prefix)}`)
+
+    // Call the API
+    if (Log._infoOn) Log._info(this.tag, 'Keys', prefix)
+    const start = new Date()
+    const keys = await this.unwrappedKeys.call(this.unwrappedCache, prefix)
+    if (Log._debugOn) Log._debug(this.tag, 'Keys (end): ' + (new Date() - start) + 'ms')
+
+    // Check the response
+    if (!Array.isArray(keys) || keys.some(key => typeof key !== 'string')) {
+      throw new Error(`Received invalid keys: ${_text(keys)}`)
+    }
+
+    return keys
+  }
+
+  // ------------------------------------------------------------------------
+  // wrappedClear
+  // ------------------------------------------------------------------------
+
+  async wrappedClear (prefix) {
+    // Check the prefix is valid
+    if (typeof prefix !== 'undefined' && typeof prefix !== 'string') throw new Error(`Invalid prefix: ${_text(prefix)}`)
+
+    // When clearing everything, the code filter is cleared too. Otherwise, find code to remove.
+    const clearingAll = !prefix
+    const mayClearCode = !clearingAll && ('jig://'.startsWith(prefix) || prefix.startsWith('jig://'))
+    const codeKeys = []
+    if (mayClearCode && this.unwrappedKeys) {
+      const keys = await this.unwrappedKeys.call(this.unwrappedCache, prefix)
+      for (const key of keys.filter(key => key.startsWith('jig://'))) {
+        const value = await this.unwrappedGet.call(this.unwrappedCache, key)
+        if (value && value.kind === 'code') codeKeys.push(key)
+      }
+    }
+
+    // Call the API
+    if (Log._infoOn) Log._info(this.tag, 'Clear', prefix)
+    const start = new Date()
+    await this.unwrappedClear.call(this.unwrappedCache, prefix)
+    if (Log._debugOn) Log._debug(this.tag, 'Clear (end): ' + (new Date() - start) + 'ms')
+
+    // Update the code filter
+    if (codeKeys.length) await this._removeFromCodeFilter(codeKeys)
+  }
+
+  // ------------------------------------------------------------------------
+  // _verifyState
+  // ------------------------------------------------------------------------
+
+  /**
+   * Checks the hash of a jig state against the hash in its transaction's metadata
+   *
+   * The transaction is read from the cache, or fetched from the blockchain if one is set.
+   *
+   * @returns {Promise<?boolean>} Whether the state matches, or undefined if it cannot be checked
+   * because its transaction cannot be found or is not valid.
+   */
+  async _verifyState (key, state) {
+    const { _verifyState } = require('../kernel/publish')
+
+    const location = key.slice('jig://'.length)
+    const txid = location.slice(0, 64)
+
+    let rawtx = await this.unwrappedGet.call(this.unwrappedCache, `tx://${txid}`)
+    if (typeof rawtx !== 'string' && this.blockchain) {
+      try {
+        rawtx = await this.blockchain.fetch(txid)
+      } catch (e) {
+        if (Log._warnOn) Log._warn(this.tag, `Failed to fetch ${txid} to verify ${key}: ${e}`)
+        return
+      }
+    }
+    if (typeof rawtx !== 'string') return
+
+    return await _verifyState(location, state, rawtx)
+  }
+
+  // ------------------------------------------------------------------------
+  // _removeFromCodeFilter
+  // ------------------------------------------------------------------------
+
+  async _removeFromCodeFilter (keys) {
+    await this.lock('config://code-filter', async () => {
+      const filter = await this.unwrappedGet.call(this.unwrappedCache, 'config://code-filter')
+      if (!filter) return
+      keys.forEach(key => StateFilter.remove(filter, key))
+      await this.unwrappedSet.call(this.unwrappedCache, 'config://code-filter', filter)
+    })
+  }
+
+  // ------------------------------------------------------------------------
+  // lock
+  // ------------------------------------------------------------------------
+
+  // Uses the wrapped cache's lock if it has one. Caches that extend CacheWrapper override this.
+  async lock (key, fn) {
+    const cache = this.unwrappedCache
+    if (cache !== this && typeof cache.lock === 'function') return cache.lock(key, fn)
+    return fn()
+  }
 }
 
 // ------------------------------------------------------------------------------------------------
@@ -8,7 +8,9 @@
 
 if (typeof VARIANT === 'undefined' || VARIANT === 'node') {
   const CacheWrapper = require('./cache-wrapper')
+  const StateFilter = require('./state-filter')
   const { _sha256 } = require('../kernel/kernel')
+  const { _text } = require('../kernel/misc')
   const fs = require('fs')
   const path = require('path')
   const Log = require('../kernel/log')
@@ -19,16 +21,144 @@ if (typeof VARIANT === 'undefined' || VARIANT === 'node') {
 
   const TAG = 'DiskCache'
 
+  // Files are sharded into subdirectories by the first characters of their hash
+  const SHARD_PREFIX_LENGTH = 2
+
+  // config:// keys are stored separately so that they are never evicted
+  const CONFIG_DIR = 'config'
+
+  // Version of the directory layout. Files saved before sharding are moved once on upgrade.
+  const VERSION_KEY = 'config://disk-cache-version'
+  const VERSION = 1
+
+  // Config keys that Run saved before sharding, which must move to the config directory
+  const LEGACY_CONFIG_KEYS = ['config://code-filter', 'config://recent-broadcasts']
+
+  // Files are written to a temporary file first and then renamed, so that writes are atomic
+  const TEMP_EXTENSION = '.tmp'
+
+  // Read-modify-writes of a key are guarded by a lock file that other processes respect
+  const LOCK_EXTENSION = '.lock'
+  const LOCK_RETRY_MS = 10
+  const LOCK_STALE_MS = 10000
+
+  // Modification times persist recency across restarts, but are only updated this often on reads
+  const TOUCH_INTERVAL_MS = 60000
+
+  // ----------------------------------------------------------------------------------------------
+  // Parameter validation
+  // ----------------------------------------------------------------------------------------------
+
+  const parseMaxSizeMB = (maxSizeMB) => {
+    if (typeof maxSizeMB === 'undefined') return Infinity
+    if (typeof maxSizeMB === 'number' && !Number.isNaN(maxSizeMB) && maxSizeMB >= 0) return maxSizeMB
+    throw new Error(`Invalid maxSizeMB: ${_text(maxSizeMB)}`)
+  }
+
+  // ----------------------------------------------------------------------------------------------
+  // Helpers
+  // ----------------------------------------------------------------------------------------------
+
+  const isHash = name => /^[0-9a-f]{64}$/.test(name)
+
+  // ----------------------------------------------------------------------------------------------
+
+  const unlinkIfExists = async (filename) => {
+    try {
+      await fs.promises.unlink(filename)
+    } catch (e) {
+      if (!e.toString().includes('no such file') && Log._warnOn) Log._warn(TAG, `Failed to delete ${filename}: ${e}`)
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  // Readers never see a partially written file, even when several processes share the directory
+  const writeFileAtomic = async (filename, data) => {
+    const random = Math.random().toString(16).slice(2)
+    const tempFilename = `${filename}.${process.pid}.${random}${TEMP_EXTENSION}`
+    try {
+      await fs.promises.writeFile(tempFilename, data, 'utf8')
+      await fs.promises.rename(tempFilename, filename)
+    } catch (e) {
+      await unlinkIfExists(tempFilename)
+      throw e
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  // Only data files are tracked and evicted, not temporary files or locks
+  const isDataFile = name => !name.endsWith(TEMP_EXTENSION) && !name.endsWith(LOCK_EXTENSION)
+
+  // ----------------------------------------------------------------------------------------------
+
+  // Filenames are hashes, so each file starts with its key on its own line, followed by the
+  // value. JSON never contains a raw newline, so files saved before keys were stored have none.
+  const encodeEntry = (key, data) => `${JSON.stringify(key)}\n${data}`
+
+  const decodeEntry = data => {
+    const newline = data.indexOf('\n')
+    return newline === -1 ? data : data.slice(newline + 1)
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  // Reads only the first line of a file, which holds its key, without reading the value
+  const readKey = async (filename) => {
+    const handle = await fs.promises.open(filename, 'r')
+    try {
+      let line = Buffer.alloc(0)
+      const chunk = Buffer.alloc(1024)
+      while (true) {
+        const { bytesRead } = await handle.read(chunk, 0, chunk.length, line.length)
+        const newline = chunk.slice(0, bytesRead).indexOf('\n')
+        if (newline !== -1) return JSON.parse(Buffer.concat([line, chunk.slice(0, newline)]).toString('utf8'))
+        if (bytesRead < chunk.length) return
+        line = Buffer.concat([line, chunk])
+      }
+    } finally {
+      await handle.close()
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  // Code keys are remembered so that they can be removed from the code filter when evicted
+  const codeKey = (key, value) => {
+    const code = key.startsWith('jig://') && value && value.kind === 'code'
+    return code ? key : undefined
+  }
+
   // ----------------------------------------------------------------------------------------------
   // DiskCache
   // ----------------------------------------------------------------------------------------------
 
+  /**
+   * Cache that stores each entry in a file, named by the hash of its key.
+   *
+   * Files are spread across 256 subdirectories to keep directories small. When maxSizeMB is set,
+   * the least-recently-used files are deleted once the cache grows past that size. Recency is
+   * tracked in memory and persisted through file modification times, so that it survives restarts.
+   * Shard directories are created when first written to.
+   *
+   * Several processes may share the same directory. Writes are atomic, files that cannot be parsed
+   * are treated as partially written and removed, and read-modify-writes of config keys like
+   * config://code-filter are serialized across processes with advisory lock files.
+   */
   class DiskCache extends CacheWrapper {
     constructor (options = { }) {
       super()
 
       this.dir = options.dir || DiskCache.defaults.dir
 
+      this._maxSizeBytes = parseMaxSizeMB(options.maxSizeMB) * 1000 * 1000
+      this._sizeBytes = 0
+      this._files = null // filename -> { size, codeKey, time }, oldest first
+      this._indexPromise = null
+      this._migratePromise = null
+      this._madeShards = new Set()
+
       // Try creating the local cache folder. Swallow errors.
       try {
         fs.mkdirSync(this.dir, { recursive: true })
@@ -39,62 +169,370 @@ if (typeof VARIANT === 'undefined' || VARIANT === 'node') {
       }
     }
 
+    // --------------------------------------------------------------------------------------------
+
+    get maxSizeMB () {
+      return this._maxSizeBytes / 1000 / 1000
+    }
+
+    // --------------------------------------------------------------------------------------------
+
+    set maxSizeMB (value) {
+      this._maxSizeBytes = parseMaxSizeMB(value) * 1000 * 1000
+      this._reduceToFit()
+    }
+
+    // --------------------------------------------------------------------------------------------
+
     async set (key, value) {
+      await this._migrate()
+
       const filename = await this._filename(key)
+      const data = encodeEntry(key, JSON.stringify(value))
 
-      return new Promise((resolve, reject) => {
-        const options = { encoding: 'utf8', flag: 'w' }
-        fs.writeFile(filename, JSON.stringify(value), options, (err) => {
-          // Swallow the errors. There might be race conditions, or disk failures.
-          // Ideally we would report, but right now the cache should be able to fail.
-          if (err && Log._errorOn) Log._error(TAG, `Failed to save ${key}: ${err}`)
+      // Load the index first when size-bounded, so that this write is tracked with its key
+      if (this._maxSizeBytes !== Infinity) await this._loadIndex()
 
-          resolve()
-        })
-      })
+      await this._makeShard(filename)
+
+      try {
+        await writeFileAtomic(filename, data)
+        if (!key.startsWith('config://')) this._track(filename, Buffer.byteLength(data), codeKey(key, value))
+      } catch (e) {
+        // Swallow the errors. The cache should be able to fail, but we report them.
+        if (Log._errorOn) Log._error(TAG, `Failed to save ${key}: ${e}`)
+        return
+      }
+
+      // Config keys are not tracked, so they never grow the cache
+      if (key.startsWith('config://')) return
+
+      await this._reduceToFit()
     }
 
+    // --------------------------------------------------------------------------------------------
+
     async get (key) {
+      await this._migrate()
+
       const filename = await this._filename(key)
 
-      return new Promise((resolve, reject) => {
-        const options = { encoding: 'utf8', flag: 'r' }
-        fs.readFile(filename, options, (err, data) => {
-          // If we are simultaneously writing while reading, we may get an empty file.
-          // When this happens, do a synchronous read. We might get a partial read, but
-          // because of the JSON format, there should always be a terminal character
-          // so JSON.parse will fail. This allows us to avoid a lock file. We retry
-          // a few times just in case. If the data can't be read, we silently fail,
-          // because the cache is designed to be resilent, and these are most likely
-          // commonly-changed keys, like config://code-filter, where the impact is low.
-
-          let value
-          let error = err
-
-          for (let i = 0; i < 3; i++) {
-            try {
-              if (!data || error) {
-                data = fs.readFileSync(filename, options)
-              }
+      let data
+      try {
+        data = await fs.promises.readFile(filename, 'utf8')
+      } catch (e) {
+        if (Log._errorOn && !e.toString().includes('no such file')) Log._error(TAG, `Failed to read ${key}: ${e}`)
+        return
+      }
 
-              value = JSON.parse(data)
-            } catch (e) { error = e; continue }
+      // Writes are atomic, so a file that does not parse was partially written by a crashed
+      // process or by an older version that wrote in place. Remove it so that it is written again.
+      let value
+      try {
+        value = JSON.parse(decodeEntry(data))
+      } catch (e) {
+        if (Log._errorOn) Log._error(TAG, `Removing partially written ${key}: ${e}`)
+        await DiskCache.prototype.delete.call(this, key)
+        return
+      }
+
+      if (!key.startsWith('config://')) this._touch(filename, codeKey(key, value))
+
+      return value
+    }
+
+    // --------------------------------------------------------------------------------------------
+
+    async delete (key) {
+      await this._migrate()
+
+      const filename = await this._filename(key)
+
+      await unlinkIfExists(filename)
+
+      if (this._files && this._files.has(filename)) {
+        this._sizeBytes -= this._files.get(filename).size
+        this._files.delete(filename)
+      }
+    }
+
+    // --------------------------------------------------------------------------------------------
+
+    // Keys of files saved before keys were stored are unknown and not returned. The layout
+    // version is internal and is not returned either.
+    async keys (prefix = '') {
+      await this._migrate()
+
+      const keys = []
+
+      for (const shard of this._shards()) {
+        let names = []
+        try { names = await fs.promises.readdir(shard) } catch (e) { continue }
+
+        for (const name of names.filter(isHash)) {
+          try {
+            const key = await readKey(path.join(shard, name))
+            if (typeof key === 'string' && key.startsWith(prefix) && key !== VERSION_KEY) keys.push(key)
+          } catch (e) { }
+        }
+      }
+
+      return keys
+    }
+
+    // --------------------------------------------------------------------------------------------
+
+    async clear (prefix) {
+      if (prefix) {
+        for (const key of await this.keys(prefix)) {
+          await DiskCache.prototype.delete.call(this, key)
+        }
+        return
+      }
+
+      // Remove every file, including those saved before sharding at the top level
+      for (const shard of [this.dir].concat(this._shards())) {
+        let names = []
+        try { names = await fs.promises.readdir(shard) } catch (e) { continue }
+
+        for (const name of names) {
+          const filename = path.join(shard, name)
+          const stat = await fs.promises.stat(filename).catch(() => null)
+          if (stat && stat.isFile()) await unlinkIfExists(filename)
+        }
+      }
+
+      if (this._files) this._files = new Map()
+      this._sizeBytes = 0
+    }
+
+    // --------------------------------------------------------------------------------------------
+
+    _shards () {
+      const shards = [path.join(this.dir, CONFIG_DIR)]
+      for (let i = 0; i < 256; i++) {
+        shards.push(path.join(this.dir, i.toString(16).padStart(SHARD_PREFIX_LENGTH, '0')))
+      }
+      return shards
+    }
+
+    // --------------------------------------------------------------------------------------------
+
+    /**
+     * Runs a function while holding an advisory lock on a key, for read-modify-writes.
+     *
+     * The lock is a file created exclusively, so it works across processes. Locks older than
+     * LOCK_STALE_MS are assumed to be left behind by crashed processes and are broken. If the
+     * lock file cannot be created for other reasons, the function runs anyway, because the
+     * cache should be able to fail.
+     */
+    async lock (key, fn) {
+      const filename = await this._filename(key)
+      const lockFilename = filename + LOCK_EXTENSION
+
+      await this._makeShard(filename)
+
+      let locked = false
+      while (!locked) {
+        try {
+          const handle = await fs.promises.open(lockFilename, 'wx')
+          await handle.close()
+          locked = true
+        } catch (e) {
+          if (e.code !== 'EEXIST') {
+            if (Log._warnOn) Log._warn(TAG, `Failed to lock ${key}: ${e}`)
+            break
           }
 
-          if (Log._errorOn && error && !error.toString().includes('no such file')) {
-            Log._error(TAG, `Failed to read ${key}: ${error}`)
+          const stat = await fs.promises.stat(lockFilename).catch(() => null)
+          if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+            if (Log._warnOn) Log._warn(TAG, `Breaking stale lock for ${key}`)
+            await unlinkIfExists(lockFilename)
+            continue
           }
 
-          resolve(value)
-        })
-      })
+          await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS * (1 + Math.random())))
+        }
+      }
+
+      try {
+        return await fn()
+      } finally {
+        if (locked) await unlinkIfExists(lockFilename)
+      }
     }
 
+    // --------------------------------------------------------------------------------------------
+
     async _filename (key) {
       // Hash the key to generate the filename, or else some berries may be too long.
       // It also solve the problem of :// in the filenames.
       const hash = Buffer.from(await _sha256(Buffer.from(key, 'utf8'))).toString('hex')
-      return path.join(this.dir, hash)
+      const shard = key.startsWith('config://') ? CONFIG_DIR : hash.slice(0, SHARD_PREFIX_LENGTH)
+      return path.join(this.dir, shard, hash)
+    }
+
+    // --------------------------------------------------------------------------------------------
+
+    // Creates the shard directory for a file if it was not already created by this instance
+    async _makeShard (filename) {
+      const shard = path.dirname(filename)
+      if (this._madeShards.has(shard)) return
+
+      try {
+        await fs.promises.mkdir(shard)
+      } catch (e) {
+        if (e.code !== 'EEXIST') return
+      }
+
+      this._madeShards.add(shard)
+    }
+
+    // --------------------------------------------------------------------------------------------
+
+    // Moves files saved before sharding into their shards, once per directory
+    async _migrate () {
+      if (!this._migratePromise) {
+        this._migratePromise = (async () => {
+          const versionFilename = await this._filename(VERSION_KEY)
+          try {
+            if (JSON.parse(decodeEntry(await fs.promises.readFile(versionFilename, 'utf8'))) >= VERSION) return
+          } catch (e) { }
+
+          let names = []
+          try { names = await fs.promises.readdir(this.dir) } catch (e) { return }
+
+          const configFilenames = new Map()
+          for (const key of LEGACY_CONFIG_KEYS) {
+            const filename = await this._filename(key)
+            configFilenames.set(path.basename(filename), filename)
+          }
+
+          for (const name of names.filter(isHash)) {
+            const filename = configFilenames.get(name) ||
+              path.join(this.dir, name.slice(0, SHARD_PREFIX_LENGTH), name)
+            if (await fs.promises.stat(filename).catch(() => null)) continue
+            try {
+              await this._makeShard(filename)
+              await fs.promises.rename(path.join(this.dir, name), filename)
+            } catch (e) {
+              if (Log._warnOn) Log._warn(TAG, `Failed to migrate ${name}: ${e}`)
+            }
+          }
+
+          try {
+            await this._makeShard(versionFilename)
+            await writeFileAtomic(versionFilename, encodeEntry(VERSION_KEY, JSON.stringify(VERSION)))
+          } catch (e) { }
+        })()
+      }
+
+      return this._migratePromise
+    }
+
+    // --------------------------------------------------------------------------------------------
+
+    // Records a file as the most recently used, with its size, and its key if it is code
+    _track (filename, size, codeKey, time = Date.now()) {
+      if (!this._files) return
+
+      const previous = this._files.get(filename)
+      if (previous) this._sizeBytes -= previous.size
+
+      this._files.delete(filename)
+      this._files.set(filename, { size, codeKey, time })
+      this._sizeBytes += size
+    }
+
+    // --------------------------------------------------------------------------------------------
+
+    // Bumps a file to the most recently used in memory, and occasionally on disk
+    _touch (filename, codeKey) {
+      if (!this._files) return
+
+      const entry = this._files.get(filename)
+      if (!entry) return
+
+      entry.codeKey = codeKey
+      this._files.delete(filename)
+      this._files.set(filename, entry)
+
+      const now = Date.now()
+      if (now - entry.time < TOUCH_INTERVAL_MS) return
+      entry.time = now
+      fs.utimes(filename, new Date(now), new Date(now), () => {})
+    }
+
+    // --------------------------------------------------------------------------------------------
+
+    // Scans the shards to find the size and recency of every file. Only needed if size-bounded.
+    async _loadIndex () {
+      if (this._files) return
+      if (this._indexPromise) return this._indexPromise
+
+      const scan = async () => {
+        const entries = []
+
+        for (let i = 0; i < 256; i++) {
+          const shard = path.join(this.dir, i.toString(16).padStart(SHARD_PREFIX_LENGTH, '0'))
+          let names = []
+          try { names = await fs.promises.readdir(shard) } catch (e) { continue }
+
+          for (const name of names.filter(isDataFile)) {
+            const filename = path.join(shard, name)
+            try {
+              const stat = await fs.promises.stat(filename)
+              entries.push({ filename, size: stat.size, time: stat.mtimeMs })
+            } catch (e) { }
+          }
+        }
+
+        entries.sort((a, b) => a.time - b.time)
+
+        this._files = new Map()
+        this._sizeBytes = 0
+        entries.forEach(({ filename, size, time }) => this._track(filename, size, undefined, time))
+      }
+
+      this._indexPromise = scan().finally(() => { this._indexPromise = null })
+      return this._indexPromise
+    }
+
+    // --------------------------------------------------------------------------------------------
+
+    async _reduceToFit () {
+      if (this._maxSizeBytes === Infinity) return
+
+      await this._loadIndex()
+
+      if (this._sizeBytes <= this._maxSizeBytes) return
+
+      const evictedCode = []
+
+      while (this._sizeBytes > this._maxSizeBytes && this._files.size) {
+        const [filename, { size, codeKey }] = this._files.entries().next().value
+        this._files.delete(filename)
+        this._sizeBytes -= size
+
+        await unlinkIfExists(filename)
+
+        if (codeKey) evictedCode.push(codeKey)
+      }
+
+      // Keep the code filter up to date for evicted code whose key we know. Files found on disk
+      // at startup have unknown keys, and the filter tolerates false positives anyway.
+      if (evictedCode.length) {
+        await this.lock('config://code-filter', async () => {
+          const filterFilename = await this._filename('config://code-filter')
+          let filter
+          try { filter = JSON.parse(decodeEntry(await fs.promises.readFile(filterFilename, 'utf8'))) } catch (e) { }
+          if (filter) {
+            evictedCode.forEach(key => StateFilter.remove(filter, key))
+            const data = encodeEntry('config://code-filter', JSON.stringify(filter))
+            try { await writeFileAtomic(filterFilename, data) } catch (e) { }
+          }
+        })
+      }
     }
   }
 
@@ -0,0 +1,388 @@
+/**
+ * electrumx.js
+ *
+ * Blockchain API for ElectrumX servers over TCP, TLS, or WebSocket
+ */
+
+/* global VARIANT */
+
+const bsv = require('bsv')
+const { _scripthash } = require('../kernel/bsv')
+const Log = require('../kernel/log')
+const { AbortError, TimeoutError } = require('../kernel/error')
+const { _text } = require('../kernel/misc')
+const BlockchainWrapper = require('./blockchain-wrapper')
+
+// ------------------------------------------------------------------------------------------------
+// Globals
+// ------------------------------------------------------------------------------------------------
+
+const TAG = 'ElectrumX'
+
+// Client name and protocol version sent in the server.version handshake
+const CLIENT_NAME = 'run'
+const PROTOCOL_VERSION = '1.4'
+
+// Default time to wait for a connection or a response
+const DEFAULT_TIMEOUT = 10000
+
+// Maximum number of transactions in a script's history to download when searching for a spend
+const MAX_SPEND_SEARCH = 100
+
+const URL_REGEX = /^(tcp|ssl):\/\/([^:/]+):([0-9]+)\/?$|^(wss?):\/\/[^/]+/
+
+// ------------------------------------------------------------------------------------------------
+// ElectrumX
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Talks the ElectrumX JSON-RPC protocol to a single server. The connection is opened on the first
+ * call, reopened if it closes, and may be closed with close().
+ *
+ * Spends are found by searching the history of the output's script, because ElectrumX does not
+ * index spends directly. Each candidate is downloaded, so busy scripts are expensive. Candidates
+ * are checked in block order starting from the output's own block, and the search stops at the
+ * first spend or fails after MAX_SPEND_SEARCH downloads.
+ *
+ * Times require the server's daemon to support verbose transactions.
+ */
+class ElectrumX extends BlockchainWrapper {
+  // --------------------------------------------------------------------------
+  // constructor
+  // --------------------------------------------------------------------------
+
+  /**
+   * @param {object} options Configuration options
+   * @param {string} options.url Server url beginning with tcp://, ssl://, ws://, or wss://
+   * @param {?string} options.network Network string. Defaults to main.
+   * @param {?number} options.timeout Connection and request timeout in milliseconds.
+   *    Defaults to 10000.
+   * @param {?function} options.WebSocket WebSocket class for ws:// and wss:// urls.
+   *    Defaults to the global.
+   */
+  constructor (options = {}) {
+    super()
+
+    this.url = _parseUrl(options.url)
+    this.network = _parseNetwork(options.network)
+    this.timeout = _parseTimeout(options.timeout)
+    this.WebSocket = _parseWebSocket(options.WebSocket)
+
+    this._connection = null
+    this._nextId = 1
+  }
+
+  // --------------------------------------------------------------------------
+  // Blockchain API
+  // --------------------------------------------------------------------------
+
+  async broadcast (rawtx) {
+    return await this._call('blockchain.transaction.broadcast', [rawtx])
+  }
+
+  // --------------------------------------------------------------------------
+
+  async fetch (txid, options = {}) {
+    return await this._call('blockchain.transaction.get', [txid], options.signal)
+  }
+
+  // --------------------------------------------------------------------------
+
+  async utxos (script) {
+    const scripthash = await _scripthash(script)
+    const data = await this._call('blockchain.scripthash.listunspent', [scripthash])
+    return data.map(o => { return { txid: o.tx_hash, vout: o.tx_pos, satoshis: o.value, script } })
+  }
+
+  // --------------------------------------------------------------------------
+
+  async time (txid, options = {}) {
+    const json = await this._call('blockchain.transaction.get', [txid, true], options.signal)
+    return (json.blocktime || json.time) * 1000 || Date.now()
+  }
+
+  // --------------------------------------------------------------------------
+
+  async spends (txid, vout, options = {}) {
+    const rawtx = await this.fetch(txid, options)
+    const output = new bsv.Transaction(rawtx).outputs[vout]
+    if (!output) throw new Error(`No such output: ${txid}_o${vout}`)
+
+    const scripthash = await _scripthash(output.script.toHex())
+    const method = 'blockchain.scripthash.get_history'
+    const history = await this._call(method, [scripthash], options.signal)
+
+    // Mempool entries have heights of 0 or -1 and are searched last
+    const order = height => height > 0 ? height : Infinity
+    const own = history.find(entry => entry.tx_hash === txid)
+    const minHeight = own ? order(own.height) : 0
+    const candidates = history
+      .filter(entry => entry.tx_hash !== txid && order(entry.height) >= minHeight)
+      .sort((a, b) => (order(a.height) - order(b.height)) || 0)
+
+    for (const entry of candidates.slice(0, MAX_SPEND_SEARCH)) {
+      const tx = new bsv.Transaction(await this.fetch(entry.tx_hash, options))
+      const spent = tx.inputs.some(input =>
+        input.prevTxId.toString('hex') === txid && input.outputIndex === vout)
+      if (spent) return entry.tx_hash
+    }
+
+    if (candidates.length > MAX_SPEND_SEARCH) {
+      throw new Error(`Too many transactions to search for spend: ${txid}_o${vout}`)
+    }
+
+    return null
+  }
+
+  // --------------------------------------------------------------------------
+  // close
+  // --------------------------------------------------------------------------
+
+  /**
+   * Closes the connection to the server. It will be reopened if there are more calls.
+   */
+  async close () {
+    const connection = this._connection
+    if (!connection) return
+    this._connection = null
+    try {
+      const transport = await connection
+      transport.close()
+    } catch (e) { }
+  }
+
+  // --------------------------------------------------------------------------
+  // Internal
+  // --------------------------------------------------------------------------
+
+  async _call (method, params, signal) {
+    if (signal && signal.aborted) throw new AbortError('Request aborted')
+    const transport = await this._connect()
+    return await this._request(transport, method, params, signal)
+  }
+
+  // --------------------------------------------------------------------------
+
+  _connect () {
+    if (this._connection) return this._connection
+
+    const pending = new Map()
+
+    const onMessage = line => {
+      let message = null
+      try {
+        message = JSON.parse(line)
+      } catch (e) {
+        if (Log._warnOn) Log._warn(TAG, 'Invalid message:', line)
+        return
+      }
+
+      // Responses have ids. Subscription notifications do not and are ignored.
+      const finish = pending.get(message.id)
+      if (!finish) return
+      if (message.error) finish(_rpcError(message.error))
+      else finish(null, message.result)
+    }
+
+    const onClose = error => {
+      if (this._connection === connection) this._connection = null
+      const details = error ? `\n\n${error.message}` : ''
+      const reason = new Error(`Connection closed: ${this.url}${details}`)
+      Array.from(pending.values()).forEach(finish => finish(reason))
+    }
+
+    if (Log._infoOn) Log._info(TAG, 'Connect', this.url)
+
+    const open = this.url.startsWith('ws') ? _openWebSocket : _openSocket
+    if (!open) throw new Error('TCP and TLS connections are only supported in node')
+    if (open === _openWebSocket && !this.WebSocket) throw new Error('WebSocket is not available')
+
+    const opening = open(this.url, onMessage, onClose, this.WebSocket)
+    const connection = _withTimeout(opening, this.timeout, transport => transport.close())
+      .then(async transport => {
+        transport.pending = pending
+        try {
+          await this._request(transport, 'server.version', [CLIENT_NAME, PROTOCOL_VERSION])
+        } catch (e) {
+          transport.close()
+          throw e
+        }
+        return transport
+      })
+      .catch(e => {
+        if (this._connection === connection) this._connection = null
+        throw e
+      })
+
+    this._connection = connection
+    return connection
+  }
+
+  // --------------------------------------------------------------------------
+
+  _request (transport, method, params, signal) {
+    const id = this._nextId++
+
+    if (Log._debugOn) Log._debug(TAG, 'Request', method, id)
+
+    return new Promise((resolve, reject) => {
+      const onTimeout = () => {
+        finish(new TimeoutError(`Request timed out after ${this.timeout}ms\n\n${method}`))
+      }
+      const onAbort = () => finish(new AbortError('Request aborted'))
+
+      const timerId = setTimeout(onTimeout, this.timeout)
+      if (signal) signal.addEventListener('abort', onAbort)
+
+      const finish = (error, result) => {
+        clearTimeout(timerId)
+        if (signal) signal.removeEventListener('abort', onAbort)
+        transport.pending.delete(id)
+        if (error) reject(error); else resolve(result)
+      }
+
+      transport.pending.set(id, finish)
+      transport.send(JSON.stringify({ jsonrpc: '2.0', id, method, params }))
+    })
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+// Transports
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Transports open a connection and resolve to { send, close } once it is ready. Each message
+ * received is passed to onMessage as one JSON line, and onClose is called when it disconnects.
+ */
+
+let _openSocket = null
+
+if (typeof VARIANT === 'undefined' || VARIANT === 'node') {
+  _openSocket = (url, onMessage, onClose) => {
+    const net = require('net')
+    const tls = require('tls')
+
+    const [, protocol, host, port] = url.match(URL_REGEX)
+
+    return new Promise((resolve, reject) => {
+      const socket = protocol === 'ssl'
+        ? tls.connect({ host, port, servername: host })
+        : net.connect({ host, port })
+
+      let buffer = ''
+      socket.setEncoding('utf8')
+
+      socket.once(protocol === 'ssl' ? 'secureConnect' : 'connect', () => {
+        // Pending requests keep the process alive with their timers, so the socket need not
+        socket.unref()
+        resolve({ send: data => socket.write(data + '\n'), close: () => socket.destroy() })
+      })
+
+      // Messages are newline-delimited and may arrive in parts
+      socket.on('data', data => {
+        const lines = (buffer + data).split('\n')
+        buffer = lines.pop()
+        lines.filter(line => line.trim()).forEach(onMessage)
+      })
+
+      socket.on('error', e => { reject(e); onClose(e) })
+      socket.on('close', () => onClose())
+    })
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+
+function _openWebSocket (url, onMessage, onClose, WebSocket) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(url)
+
+    ws.onopen = () => resolve({ send: data => ws.send(data), close: () => ws.close() })
+
+    ws.onmessage = event => {
+      String(event.data).split('\n').filter(line => line.trim()).forEach(onMessage)
+    }
+
+    ws.onerror = () => {
+      const error = new Error(`Failed to connect: ${url}`)
+      reject(error)
+      onClose(error)
+    }
+
+    ws.onclose = () => onClose()
+  })
+}
+
+// ------------------------------------------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------------------------------------------
+
+// Rejects if the promise does not resolve in time, and cleans up its result if it resolves later
+function _withTimeout (promise, timeout, cleanup) {
+  return new Promise((resolve, reject) => {
+    let timedOut = false
+    const timerId = setTimeout(() => {
+      timedOut = true
+      reject(new TimeoutError(`Connection timed out after ${timeout}ms`))
+    }, timeout)
+    promise.then(result => {
+      clearTimeout(timerId)
+      if (timedOut) cleanup(result); else resolve(result)
+    }, e => {
+      clearTimeout(timerId)
+      reject(e)
+    })
+  })
+}
+
+// ------------------------------------------------------------------------------------------------
+
+// Converts a JSON-RPC error into an Error, normalizing missing transactions like other APIs
+function _rpcError (error) {
+  const message = error && typeof error.message === 'string' ? error.message : _text(error)
+  if (message.includes('No such mempool or blockchain transaction')) {
+    return new Error('No such mempool or blockchain transaction')
+  }
+  return new Error(message)
+}
+
+// ------------------------------------------------------------------------------------------------
+// Parameter validation
+// ------------------------------------------------------------------------------------------------
+
+function _parseUrl (url) {
+  if (typeof url === 'string' && URL_REGEX.test(url)) return url
+  throw new Error(`Invalid url: ${_text(url)}`)
+}
+
+// ------------------------------------------------------------------------------------------------
+
+function _parseNetwork (network) {
+  if (typeof network === 'undefined') return 'main'
+  if (typeof network !== 'string' || !network.length) {
+    throw new Error(`Invalid network: ${_text(network)}`)
+  }
+  return network
+}
+
+// ------------------------------------------------------------------------------------------------
+
+function _parseTimeout (timeout) {
+  if (typeof timeout === 'undefined') return DEFAULT_TIMEOUT
+  if (typeof timeout === 'number' && Number.isFinite(timeout) && timeout > 0) return timeout
+  throw new Error(`Invalid timeout: ${_text(timeout)}`)
+}
+
+// ------------------------------------------------------------------------------------------------
+
+function _parseWebSocket (WebSocket) {
+  if (typeof WebSocket === 'function') return WebSocket
+  if (typeof WebSocket !== 'undefined') throw new Error(`Invalid WebSocket: ${_text(WebSocket)}`)
+  const g = typeof global !== 'undefined' ? global : window
+  return typeof g.WebSocket === 'function' ? g.WebSocket : undefined
+}
+
+// ------------------------------------------------------------------------------------------------
+
+module.exports = ElectrumX
@@ -8,20 +8,82 @@
 
 if (typeof VARIANT !== 'undefined' && VARIANT === 'browser') {
   const CacheWrapper = require('./cache-wrapper')
+  const Log = require('../kernel/log')
   const { _browser } = require('../kernel/environment')
+  const { _text } = require('../kernel/misc')
 
   // ----------------------------------------------------------------------------------------------
   // Globals
   // ----------------------------------------------------------------------------------------------
 
+  const TAG = 'IndexedDbCache'
+
   const DATABASE_NAME = 'run-browser-cache'
-  const DATABASE_VERSION = 1
+  const DATABASE_VERSION = 2
   const DATABASE_STORE = 'run-objects'
 
+  // Each entry has a record in the meta store, named after the object store with this suffix:
+  //
+  //    { key, protocol, time, size, code }
+  //
+  // It is indexed by protocol to list keys, and by time to find the least-recently-used entries.
+  const META_STORE_SUFFIX = '-meta'
+
+  // When the browser's quota is exceeded, at least this fraction of the cache is evicted
+  const QUOTA_EVICTION_RATIO = 0.1
+
+  // Reads are recorded in memory and their times written to the meta store together this often
+  const TOUCH_INTERVAL_MS = 1000
+
+  // ----------------------------------------------------------------------------------------------
+  // Migrations
+  // ----------------------------------------------------------------------------------------------
+
+  // Schema migrations by database version. Each runs in the upgrade transaction.
+  const MIGRATIONS = {
+    // Version 1: A single object store of values by key
+    1: (db, tx, store, metaStore) => {
+      db.createObjectStore(store)
+    },
+
+    // Version 2: Meta store for LRU eviction and listing keys by protocol
+    2: (db, tx, store, metaStore) => {
+      const meta = db.createObjectStore(metaStore, { keyPath: 'key' })
+      meta.createIndex('protocol', 'protocol', { unique: false })
+      meta.createIndex('time', 'time', { unique: false })
+
+      // Existing entries have never been used as far as we know, so they are evicted first
+      const request = tx.objectStore(store).openCursor()
+      request.onsuccess = () => {
+        const cursor = request.result
+        if (!cursor) return
+        meta.put(metaRecord(cursor.key, cursor.value, 0))
+        cursor.continue()
+      }
+    }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+  // Parameter validation
+  // ----------------------------------------------------------------------------------------------
+
+  const parseMaxSizeMB = (maxSizeMB) => {
+    if (typeof maxSizeMB === 'undefined') return Infinity
+    if (typeof maxSizeMB === 'number' && !Number.isNaN(maxSizeMB) && maxSizeMB >= 0) return maxSizeMB
+    throw new Error(`Invalid maxSizeMB: ${_text(maxSizeMB)}`)
+  }
+
   // ----------------------------------------------------------------------------------------------
   // IndexedDbCache
   // ----------------------------------------------------------------------------------------------
 
+  /**
+   * Cache that stores entries in an IndexedDB object store.
+   *
+   * The schema is versioned and older databases are migrated when opened. When maxSizeMB is set,
+   * or when the browser's storage quota is exceeded, the least-recently-used entries are evicted.
+   * config:// entries are never evicted.
+   */
   class IndexedDbCache extends CacheWrapper {
     constructor (options = { }) {
       super()
@@ -35,6 +97,11 @@ if (typeof VARIANT !== 'undefined' && VARIANT === 'browser') {
       this._name = typeof options.dbName !== 'undefined' ? options.dbName : DATABASE_NAME
       this._version = typeof options.dbVersion !== 'undefined' ? options.dbVersion : DATABASE_VERSION
       this._store = typeof options.dbStore !== 'undefined' ? options.dbStore : DATABASE_STORE
+      this._metaStore = this._store + META_STORE_SUFFIX
+      this._maxSizeBytes = parseMaxSizeMB(options.maxSizeMB) * 1000 * 1000
+      this._sizeBytes = null // Loaded when first needed
+      this._touched = new Map() // key -> time, not yet written to the meta store
+      this._touchTimer = null
 
       // Setup initial cache state
       let dbResolve, dbReject
@@ -42,30 +109,78 @@ if (typeof VARIANT !== 'undefined' && VARIANT === 'browser') {
 
       // Open the database asyncronously
       const request = window.indexedDB.open(this._name, this._version)
-      request.onsuccess = () => dbResolve(request.result)
+
+      request.onsuccess = () => {
+        const db = request.result
+
+        // Let other tabs upgrade the database. This connection can no longer be used after.
+        db.onversionchange = () => {
+          db.close()
+          this._dbPromise = Promise.reject(new Error('Database upgraded by another connection'))
+          this._dbPromise.catch(() => {})
+        }
+
+        dbResolve(db)
+      }
+
       request.onerror = () => dbReject(new Error(`Cannot access database: ${request.error.message}`))
-      request.onblocked = () => dbReject(new Error('Upgrade not supported'))
+
+      // Older connections are asked to close. The upgrade continues once they do.
+      request.onblocked = () => {
+        if (Log._warnOn) Log._warn(TAG, 'Waiting for other connections to close to upgrade')
+      }
+
       request.onupgradeneeded = event => {
-        if (event.oldVersion !== 0) { dbReject(new Error('Upgrade not supported')); return }
         const db = request.result
-        db.createObjectStore(this._store)
+        const tx = request.transaction
+        for (let version = event.oldVersion + 1; version <= event.newVersion; version++) {
+          if (MIGRATIONS[version]) MIGRATIONS[version](db, tx, this._store, this._metaStore)
+        }
       }
     }
 
+    // --------------------------------------------------------------------------------------------
+
+    get maxSizeMB () {
+      return this._maxSizeBytes / 1000 / 1000
+    }
+
+    // --------------------------------------------------------------------------------------------
+
+    set maxSizeMB (value) {
+      this._maxSizeBytes = parseMaxSizeMB(value) * 1000 * 1000
+      this._reduceToFit()
+    }
+
+    // --------------------------------------------------------------------------------------------
+
     async set (key, value) {
-    // Open the object store that has all keys
       const db = await this._dbPromise
-      const tx = db.transaction(this._store, 'readwrite')
-      const objs = tx.objectStore(this._store)
 
-      // Add the value with the key
-      return new Promise((resolve, reject) => {
-        const request = objs.put(value, key)
-        request.onsuccess = () => resolve(request.result)
-        request.onerror = () => resolve(request.error)
-      })
+      try {
+        await this._put(db, key, value)
+      } catch (e) {
+        if (!isQuotaError(e) || !hasMeta(db, this._metaStore)) return e
+
+        // Make room and try once more
+        if (Log._warnOn) Log._warn(TAG, 'Storage quota exceeded')
+        await this._loadSize(db)
+        const size = metaRecord(key, value).size
+        await this._evict(db, Math.max(size, this._sizeBytes * QUOTA_EVICTION_RATIO))
+
+        try {
+          await this._put(db, key, value)
+        } catch (e) {
+          if (Log._errorOn) Log._error(TAG, `Failed to save ${key}: ${e}`)
+          return e
+        }
+      }
+
+      if (!key.startsWith('config://')) await this._reduceToFit()
     }
 
+    // --------------------------------------------------------------------------------------------
+
     async get (key) {
     // Open the object store that has all keys in read-only mode
       const db = await this._dbPromise
@@ -73,14 +188,257 @@ if (typeof VARIANT !== 'undefined' && VARIANT === 'browser') {
       const objs = tx.objectStore(this._store)
 
       // Get the value using the key
-      return new Promise((resolve, reject) => {
+      const value = await new Promise((resolve, reject) => {
         const request = objs.get(key)
         request.onsuccess = () => resolve(request.result)
         request.onerror = () => resolve(request.error)
       })
+
+      if (typeof value !== 'undefined' && !key.startsWith('config://')) this._touch(db, key)
+
+      return value
+    }
+
+    // --------------------------------------------------------------------------------------------
+
+    async delete (key) {
+      const db = await this._dbPromise
+      const stores = this._stores(db)
+      const tx = db.transaction(stores, 'readwrite')
+
+      return new Promise((resolve, reject) => {
+        stores.forEach(store => tx.objectStore(store).delete(key))
+        tx.oncomplete = () => { this._sizeBytes = null; resolve() }
+        tx.onerror = () => resolve(tx.error)
+      })
+    }
+
+    // --------------------------------------------------------------------------------------------
+
+    async keys (prefix) {
+      const db = await this._dbPromise
+
+      // Whole protocols are listed using the protocol index
+      const protocol = /^([a-z]+):\/\/$/.exec(prefix || '')
+      const useIndex = protocol && hasMeta(db, this._metaStore)
+
+      const store = useIndex ? this._metaStore : this._store
+      const tx = db.transaction(store, 'readonly')
+      const objs = tx.objectStore(store)
+
+      return new Promise((resolve, reject) => {
+        const request = useIndex
+          ? objs.index('protocol').getAllKeys(protocol[1])
+          : objs.getAllKeys(prefixRange(prefix))
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+      })
+    }
+
+    // --------------------------------------------------------------------------------------------
+
+    async clear (prefix) {
+      const db = await this._dbPromise
+      const stores = this._stores(db)
+      const tx = db.transaction(stores, 'readwrite')
+
+      return new Promise((resolve, reject) => {
+        stores.forEach(store => {
+          const objs = tx.objectStore(store)
+          if (prefix) objs.delete(prefixRange(prefix)); else objs.clear()
+        })
+        tx.oncomplete = () => { this._sizeBytes = null; resolve() }
+        tx.onerror = () => reject(tx.error)
+      })
+    }
+
+    // --------------------------------------------------------------------------------------------
+
+    // Object stores that hold entries, which is both stores after version 2
+    _stores (db) {
+      return hasMeta(db, this._metaStore) ? [this._store, this._metaStore] : [this._store]
+    }
+
+    // --------------------------------------------------------------------------------------------
+
+    // Writes the value and its meta record in one transaction, which fails if over quota
+    async _put (db, key, value) {
+      const stores = this._stores(db)
+      const tx = db.transaction(stores, 'readwrite')
+      const record = metaRecord(key, value)
+
+      return new Promise((resolve, reject) => {
+        let previousSize = 0
+
+        tx.objectStore(this._store).put(value, key)
+
+        if (stores.length > 1) {
+          const meta = tx.objectStore(this._metaStore)
+          const request = meta.get(key)
+          request.onsuccess = () => {
+            if (request.result) previousSize = request.result.size
+            meta.put(record)
+          }
+        }
+
+        tx.oncomplete = () => {
+          if (this._sizeBytes !== null && record.protocol !== 'config') {
+            this._sizeBytes += record.size - previousSize
+          }
+          resolve()
+        }
+        tx.onerror = () => reject(tx.error)
+        tx.onabort = () => reject(tx.error)
+      })
+    }
+
+    // --------------------------------------------------------------------------------------------
+
+    // Marks an entry as recently used. Times are written in batches, because readwrite
+    // transactions are serialized and would slow down reads.
+    _touch (db, key) {
+      if (!hasMeta(db, this._metaStore)) return
+
+      this._touched.set(key, Date.now())
+
+      if (!this._touchTimer) {
+        this._touchTimer = setTimeout(() => this._flushTouches(db), TOUCH_INTERVAL_MS)
+      }
+    }
+
+    // --------------------------------------------------------------------------------------------
+
+    // Writes the times of recently used entries. Failures are ignored because they are only hints.
+    async _flushTouches (db) {
+      clearTimeout(this._touchTimer)
+      this._touchTimer = null
+
+      const touched = this._touched
+      this._touched = new Map()
+      if (!touched.size) return
+
+      try {
+        const tx = db.transaction(this._metaStore, 'readwrite')
+        const meta = tx.objectStore(this._metaStore)
+
+        await new Promise(resolve => {
+          touched.forEach((time, key) => {
+            const request = meta.get(key)
+            request.onsuccess = () => {
+              if (!request.result) return
+              request.result.time = time
+              meta.put(request.result)
+            }
+          })
+          tx.oncomplete = () => resolve()
+          tx.onerror = () => resolve()
+          tx.onabort = () => resolve()
+        })
+      } catch (e) { }
+    }
+
+    // --------------------------------------------------------------------------------------------
+
+    // Sums the sizes of every evictable entry. Only needed when evicting.
+    async _loadSize (db) {
+      if (this._sizeBytes !== null) return
+
+      const tx = db.transaction(this._metaStore, 'readonly')
+      const meta = tx.objectStore(this._metaStore)
+
+      this._sizeBytes = await new Promise((resolve, reject) => {
+        const request = meta.getAll()
+        request.onsuccess = () => resolve(request.result
+          .filter(record => record.protocol !== 'config')
+          .reduce((sum, record) => sum + record.size, 0))
+        request.onerror = () => reject(request.error)
+      })
+    }
+
+    // --------------------------------------------------------------------------------------------
+
+    async _reduceToFit () {
+      if (this._maxSizeBytes === Infinity) return
+
+      const db = await this._dbPromise
+      if (!hasMeta(db, this._metaStore)) return
+
+      await this._loadSize(db)
+      if (this._sizeBytes <= this._maxSizeBytes) return
+
+      await this._evict(db, this._sizeBytes - this._maxSizeBytes)
+    }
+
+    // --------------------------------------------------------------------------------------------
+
+    // Deletes the least-recently-used entries, except config:// keys, until enough is freed
+    async _evict (db, bytes) {
+      await this._flushTouches(db)
+
+      const tx = db.transaction([this._store, this._metaStore], 'readwrite')
+      const objs = tx.objectStore(this._store)
+      const meta = tx.objectStore(this._metaStore)
+
+      const evictedCode = []
+      let freed = 0
+
+      await new Promise((resolve, reject) => {
+        const request = meta.index('time').openCursor()
+        request.onsuccess = () => {
+          const cursor = request.result
+          if (!cursor || freed >= bytes) return
+
+          const record = cursor.value
+          if (record.protocol !== 'config') {
+            objs.delete(record.key)
+            cursor.delete()
+            freed += record.size
+            if (record.code) evictedCode.push(record.key)
+          }
+
+          cursor.continue()
+        }
+        tx.oncomplete = () => resolve()
+        tx.onerror = () => reject(tx.error)
+        tx.onabort = () => reject(tx.error)
+      })
+
+      if (Log._infoOn) Log._info(TAG, `Evicted ${freed} bytes`)
+
+      if (this._sizeBytes !== null) this._sizeBytes -= freed
+
+      if (evictedCode.length) await this._removeFromCodeFilter(evictedCode)
     }
   }
 
+  // ----------------------------------------------------------------------------------------------
+  // Helpers
+  // ----------------------------------------------------------------------------------------------
+
+  // Key range for all string keys that start with a prefix
+  const prefixRange = (prefix) => {
+    if (!prefix) return undefined
+    return window.IDBKeyRange.bound(prefix, prefix + '\uffff', false, false)
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  const metaRecord = (key, value, time = Date.now()) => {
+    const protocol = key.includes('://') ? key.split('://')[0] : ''
+    const size = key.length + JSON.stringify(value).length
+    const code = protocol === 'jig' && !!value && value.kind === 'code'
+    return { key, protocol, time, size, code }
+  }
+
+  // ----------------------------------------------------------------------------------------------
+
+  // Databases opened with dbVersion 1 do not have a meta store and are never evicted
+  const hasMeta = (db, metaStore) => db.objectStoreNames.contains(metaStore)
+
+  // ----------------------------------------------------------------------------------------------
+
+  const isQuotaError = (e) => !!e && (e.name === 'QuotaExceededError' || e.code === 22)
+
   // ----------------------------------------------------------------------------------------------
 
   module.exports = IndexedDbCache
@@ -80,11 +80,41 @@ class LocalCache extends CacheWrapper {
 
   // --------------------------------------------------------------------------
 
-  clear () {
-    if (Log._debugOn) Log._debug(TAG, 'Clear')
+  async delete (key) {
+    this._remove(key)
+  }
 
-    this._map.clear()
-    this._sizeBytes = 0
+  // --------------------------------------------------------------------------
+
+  async keys (prefix = '') {
+    return Array.from(this._map.keys()).filter(key => key.startsWith(prefix))
+  }
+
+  // --------------------------------------------------------------------------
+
+  clear (prefix) {
+    if (Log._debugOn) Log._debug(TAG, 'Clear', prefix)
+
+    if (!prefix) {
+      this._map.clear()
+      this._sizeBytes = 0
+      return
+    }
+
+    for (const key of Array.from(this._map.keys())) {
+      if (key.startsWith(prefix)) this._remove(key)
+    }
+  }
+
+  // --------------------------------------------------------------------------
+
+  _remove (key) {
+    if (!this._map.has(key)) return
+
+    const value = this._map.get(key)
+    this._map.delete(key)
+    this._sizeBytes -= LocalCache._estimateSize(key)
+    this._sizeBytes -= LocalCache._estimateSize(value)
   }
 
   // --------------------------------------------------------------------------
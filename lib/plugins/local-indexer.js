@@ -0,0 +1,329 @@
+/**
+ * local-indexer.js
+ *
+ * A State API implementation that indexes RUN transactions locally by replaying them
+ */
+
+const bsv = require('bsv')
+const { _extractTxDeps, _decodeTx } = require('../kernel/metadata')
+const { _findRefs } = require('../kernel/json')
+const _load = require('../kernel/load')
+const { _location, _compileLocation } = require('../kernel/bindings')
+const { _text } = require('../kernel/misc')
+const { ArgumentError } = require('../kernel/error')
+const { Blockchain, Cache } = require('../kernel/api')
+const Log = require('../kernel/log')
+const StateWrapper = require('./state-wrapper')
+const StateFilter = require('./state-filter')
+const LocalCache = require('./local-cache')
+const LocalState = require('./local-state')
+
+// ------------------------------------------------------------------------------------------------
+// Globals
+// ------------------------------------------------------------------------------------------------
+
+const TAG = 'LocalIndexer'
+
+// ------------------------------------------------------------------------------------------------
+// LocalIndexer
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Crawls transactions from a blockchain, replays RUN transactions in dependency order, and
+ * persists their states into a cache. It then serves those states like RunDB would.
+ *
+ * The indexer stores the following keys in its store, in addition to the usual cache keys:
+ *
+ *    index://<txid>        true when the transaction has been indexed
+ *    unspent://<script>    Array of unspent jig locations owned by the script
+ *
+ * The store is kept separate from the cache assigned by Run, because the cache is where pulled
+ * states are delivered to the Run instance using this indexer.
+ */
+class LocalIndexer extends StateWrapper {
+  // --------------------------------------------------------------------------
+  // constructor
+  // --------------------------------------------------------------------------
+
+  /**
+   * @param {object} options
+   * @param {Blockchain} options.blockchain Blockchain to fetch transactions from
+   * @param {?Cache} options.cache Cache to persist indexed states in. Defaults to a LocalCache.
+   * @param {?Array<string>|string} options.trust Code to trust when replaying. Defaults to Run's.
+   */
+  constructor (options = {}) {
+    super()
+
+    if (!(options.blockchain instanceof Blockchain)) throw new ArgumentError(`Invalid blockchain: ${_text(options.blockchain)}`)
+    if (typeof options.cache !== 'undefined' && !(options.cache instanceof Cache)) throw new ArgumentError(`Invalid cache: ${_text(options.cache)}`)
+
+    this.blockchain = options.blockchain
+    this.store = options.cache || new LocalCache()
+    this.trust = options.trust
+
+    this._kernel = null
+    this._indexing = new Map() // txid -> Promise
+    this._unspentUpdate = Promise.resolve()
+  }
+
+  // --------------------------------------------------------------------------
+  // pull
+  // --------------------------------------------------------------------------
+
+  async pull (key, options = {}) {
+    const value = await this.store.get(key)
+    if (typeof value === 'undefined') return
+
+    const [protocol, location] = key.split('://')
+    if (protocol !== 'jig' && protocol !== 'berry') return value
+
+    // Deliver the referenced states too, except the code the caller says it already has
+    if (options.all && this.cache) {
+      const filter = options.filter ? StateFilter.fromBase64(options.filter) : null
+      const visited = new Set([key])
+      await this._pullRefs(location, value, filter, options.tx, visited)
+    }
+
+    if (options.tx && this.cache) await this._pullTx(location.slice(0, 64))
+
+    return value
+  }
+
+  // --------------------------------------------------------------------------
+  // locations
+  // --------------------------------------------------------------------------
+
+  async locations (script) {
+    return (await this.store.get(`unspent://${script}`)) || []
+  }
+
+  // --------------------------------------------------------------------------
+  // broadcast
+  // --------------------------------------------------------------------------
+
+  async broadcast (rawtx) {
+    const txid = new bsv.Transaction(rawtx).hash
+
+    // Make sure the transaction can be fetched even if the blockchain has not stored it yet
+    await this.store.set(`tx://${txid}`, rawtx)
+
+    // Indexing failures should not fail the broadcast, which has already happened
+    try {
+      await this.index(txid)
+    } catch (e) {
+      if (Log._warnOn) Log._warn(TAG, `Failed to index ${txid}`, e)
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // index
+  // --------------------------------------------------------------------------
+
+  /**
+   * Indexes a transaction and any RUN transactions it depends on
+   *
+   * @param {string} txid Transaction ID
+   */
+  async index (txid) {
+    if (typeof txid !== 'string' || txid.length !== 64) throw new ArgumentError(`Invalid txid: ${_text(txid)}`)
+
+    if (this._indexing.has(txid)) return this._indexing.get(txid)
+
+    const promise = this._index(txid)
+    this._indexing.set(txid, promise)
+
+    try {
+      return await promise
+    } finally {
+      this._indexing.delete(txid)
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // crawl
+  // --------------------------------------------------------------------------
+
+  /**
+   * Indexes a transaction and then every RUN transaction that spends its jigs, breadth-first
+   *
+   * @param {string} txid Transaction ID to start from
+   * @returns {Promise<Array<string>>} Txids of the RUN transactions indexed
+   */
+  async crawl (txid) {
+    if (typeof txid !== 'string' || txid.length !== 64) throw new ArgumentError(`Invalid txid: ${_text(txid)}`)
+
+    const indexed = []
+    const visited = new Set([txid])
+    const queue = [txid]
+
+    while (queue.length) {
+      const next = queue.shift()
+      const decoded = await this.index(next)
+      if (!decoded) continue
+
+      indexed.push(next)
+
+      for (const output of decoded.outputs) {
+        const vout = _location(output.location)._vout
+        const spendtxid = await this.blockchain.spends(next, vout)
+        if (!spendtxid || visited.has(spendtxid)) continue
+        visited.add(spendtxid)
+        queue.push(spendtxid)
+      }
+    }
+
+    return indexed
+  }
+
+  // --------------------------------------------------------------------------
+  // _index
+  // --------------------------------------------------------------------------
+
+  async _index (txid) {
+    const rawtx = await this._fetch(txid)
+    const tx = new bsv.Transaction(rawtx)
+
+    let decoded = null
+    try {
+      decoded = _decodeTx(tx)
+    } catch (e) {
+      // Not a RUN transaction. Nothing to index.
+      return null
+    }
+
+    if (await this.store.get(`index://${txid}`)) return decoded
+
+    if (Log._infoOn) Log._info(TAG, 'Index', txid)
+
+    // Index dependencies first so that the unspent index is updated in order
+    for (const deptxid of _extractTxDeps(tx)) {
+      await this.index(deptxid)
+    }
+
+    // Loading any jig in the transaction replays it and caches all of its states
+    const location = decoded.outputs.length ? decoded.outputs[0].location : decoded.deletes[0]
+    await _load(location, undefined, this._replayKernel())
+
+    await this._updateUnspent(decoded)
+    await this.store.set(`index://${txid}`, true)
+
+    return decoded
+  }
+
+  // --------------------------------------------------------------------------
+  // _updateUnspent
+  // --------------------------------------------------------------------------
+
+  // Unspent updates are read-modify-write, so they are serialized
+  _updateUnspent (decoded) {
+    const update = async () => {
+      const spent = new Set(decoded.in)
+      const scripts = new Set(decoded.outputs.map(output => output.script))
+
+      // Inputs were unspent outputs of their previous transactions
+      for (const location of decoded.in) {
+        const txid = location.slice(0, 64)
+        const vout = _location(location)._vout
+        const rawtx = await this._fetch(txid)
+        const output = new bsv.Transaction(rawtx).outputs[vout]
+        if (output) scripts.add(output.script.toHex())
+      }
+
+      for (const script of scripts) {
+        const key = `unspent://${script}`
+        const previous = (await this.store.get(key)) || []
+        const locations = previous.filter(location => !spent.has(location))
+        decoded.outputs
+          .filter(output => output.script === script && !locations.includes(output.location))
+          .forEach(output => locations.push(output.location))
+        await this.store.set(key, locations)
+      }
+    }
+
+    this._unspentUpdate = this._unspentUpdate.then(update, update)
+    return this._unspentUpdate
+  }
+
+  // --------------------------------------------------------------------------
+  // _pullRefs
+  // --------------------------------------------------------------------------
+
+  async _pullRefs (location, state, filter, tx, visited) {
+    const txid = location.slice(0, 64)
+
+    for (const ref of _findRefs(state)) {
+      if (ref.startsWith('native://')) continue
+
+      const fullLocation = _compileLocation(Object.assign({ _txid: txid }, _location(ref)))
+      const key = fullLocation.includes('?berry=') ? `berry://${fullLocation}` : `jig://${fullLocation}`
+      if (visited.has(key)) continue
+      visited.add(key)
+
+      const refState = await this.store.get(key)
+      if (typeof refState === 'undefined') continue
+
+      // The filter only contains keys for code, which is what Run does not want again
+      if (!filter || !StateFilter.possiblyHas(filter, key)) {
+        await this.cache.set(key, refState)
+        if (tx) await this._pullTx(fullLocation.slice(0, 64))
+      }
+
+      await this._pullRefs(fullLocation, refState, filter, tx, visited)
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // _pullTx
+  // --------------------------------------------------------------------------
+
+  async _pullTx (txid) {
+    const rawtx = await this.store.get(`tx://${txid}`)
+    if (typeof rawtx !== 'undefined') await this.cache.set(`tx://${txid}`, rawtx)
+  }
+
+  // --------------------------------------------------------------------------
+  // _fetch
+  // --------------------------------------------------------------------------
+
+  async _fetch (txid) {
+    const cachedTx = await this.store.get(`tx://${txid}`)
+    if (typeof cachedTx !== 'undefined') return cachedTx
+
+    const rawtx = await this.blockchain.fetch(txid)
+    await this.store.set(`tx://${txid}`, rawtx)
+    return rawtx
+  }
+
+  // --------------------------------------------------------------------------
+  // _replayKernel
+  // --------------------------------------------------------------------------
+
+  // The kernel used to replay is private to the indexer so that no Run instance is changed
+  _replayKernel () {
+    if (this._kernel) return this._kernel
+
+    const Kernel = require('../kernel/kernel')
+    const Run = require('../run')
+
+    // Trust the same code as Run would by default, unless told otherwise
+    const active = Kernel._active()
+    const trust = typeof this.trust !== 'undefined' ? this.trust
+      : active ? Array.from(active._trustlist) : Run.defaults.trust
+
+    const state = new LocalState()
+    state.cache = this.store
+
+    const kernel = new Kernel()
+    kernel._blockchain = this.blockchain
+    kernel._cache = this.store
+    kernel._state = state
+    kernel._trustlist = new Set([].concat(trust).map(x => x === 'cache' ? 'state' : x))
+
+    this._kernel = kernel
+    return kernel
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+
+module.exports = LocalIndexer
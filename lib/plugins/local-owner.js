@@ -7,7 +7,7 @@
 const bsv = require('bsv')
 const { PrivateKey, Script, Transaction } = bsv
 const { _bsvNetwork, _text } = require('../kernel/misc')
-const { _signature, _sighash } = require('../kernel/bsv')
+const { _signature, _getSignedPubkeys } = require('../kernel/bsv')
 const OwnerWrapper = require('./owner-wrapper')
 
 // ------------------------------------------------------------------------------------------------
@@ -113,7 +113,7 @@ class LocalOwner extends OwnerWrapper {
         // Get the pubkeys for all existing signatures
         const sigs = tx.inputs[i].script.chunks.slice(1).map(chunk => chunk.buf.toString('hex'))
         const prevout = { script: new bsv.Script(parents[i].script), satoshis: parents[i].satoshis }
-        const signedPubkeys = await getSignedPubkeys(tx, i, prevout, sigs, locks[i].pubkeys)
+        const signedPubkeys = await _getSignedPubkeys(tx, i, prevout, sigs, locks[i].pubkeys)
 
         // If we already signed it, dont sign again
         if (signedPubkeys.includes(this.pubkey)) continue
@@ -145,32 +145,8 @@ class LocalOwner extends OwnerWrapper {
   async nextOwner () { return this.address }
 }
 
-// ------------------------------------------------------------------------------------------------
-// getSignedPubkeys
-// ------------------------------------------------------------------------------------------------
-
-async function getSignedPubkeys (tx, vin, prevout, sigs, pubkeys) {
-  const sighashType = bsv.crypto.Signature.SIGHASH_ALL | bsv.crypto.Signature.SIGHASH_FORKID
-  const satoshisBN = new bsv.crypto.BN(prevout.satoshis)
-  const hashbuf = await _sighash(tx, sighashType, vin, prevout.script, satoshisBN)
-  const bsvpubkeys = pubkeys.map(pubkey => new bsv.PublicKey(pubkey))
-
-  // Get the index of each sig
-  const nsigs = sigs.map(sig => {
-    const sighex = sig.slice(0, sig.length - 2)
-    const sigbuf = bsv.deps.Buffer.from(sighex, 'hex')
-    const bsvsig = bsv.crypto.Signature.fromDER(sigbuf)
-    return bsvpubkeys.findIndex(pubkey => bsv.crypto.ECDSA.verify(hashbuf, bsvsig, pubkey, 'little'))
-  })
-
-  const badSigIndex = nsigs.findIndex(n => n === -1)
-  if (badSigIndex !== -1) throw new Error(`Bad signature at index ${badSigIndex}`)
-
-  return nsigs.map(n => pubkeys[n])
-}
-
 // ------------------------------------------------------------------------------------------------
 
-LocalOwner._getSignedPubkeys = getSignedPubkeys
+LocalOwner._getSignedPubkeys = _getSignedPubkeys
 
 module.exports = LocalOwner
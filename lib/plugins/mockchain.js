@@ -4,32 +4,65 @@
  * In-memory Blockchain implementation
  */
 
+/* global VARIANT */
+
 const bsv = require('bsv')
 const { Address, Script, Transaction } = bsv
 const Log = require('../kernel/log')
 const { _scripthash } = require('../kernel/bsv')
-const { _limit } = require('../kernel/misc')
+const { _limit, _text } = require('../kernel/misc')
+const { ArgumentError } = require('../kernel/error')
+const { _extractMetadata } = require('../kernel/metadata')
+const RecentBroadcasts = require('./recent-broadcasts')
 const { sha256 } = bsv.crypto.Hash
 const BlockchainWrapper = require('./blockchain-wrapper')
 
 // ------------------------------------------------------------------------------------------------
-// Mockchain
+// Globals
 // ------------------------------------------------------------------------------------------------
 
 const TAG = 'Mockchain'
 
+// Version of the saved file format
+const FILE_VERSION = 1
+
+// Events that listeners may be added for with on()
+const EVENTS = ['revert']
+
+// ------------------------------------------------------------------------------------------------
+// Mockchain
+// ------------------------------------------------------------------------------------------------
+
 /**
  * An in-memory blockchain implementation.
  *
  * It simulates the mempool and blocks, keeps a UTXO index, checks the mempool chain limit, and
  * generally attempts to create errors that are similar to a real network node or service.
+ *
+ * In node, the chain may be saved to a file and loaded again later, or kept in a file with the
+ * persist option so that a local development chain survives restarts:
+ *
+ *    new Mockchain({ persist: '.mockchain.json' })
+ *
+ * The persist file is written in the background after changes. Call flush() to wait for it.
+ *
+ * Tests may snapshot the chain and revert to it later so that each test starts from the same state:
+ *
+ *    const id = mockchain.snapshot()
+ *    ...
+ *    await mockchain.revert(id)
  */
 class Mockchain extends BlockchainWrapper {
-  constructor () {
+  /**
+   * @param {?object} options
+   * @param {?string} options.persist File to load the chain from, and to save it to after changes
+   */
+  constructor (options = {}) {
     super()
 
     this.network = 'mock'
     this.mempoolChainLimit = 1000
+    this.persist = _parsePersist(options.persist)
 
     this._transactions = new Map() // txid -> rawtx
     this._times = new Map() // txid -> time
@@ -39,6 +72,20 @@ class Mockchain extends BlockchainWrapper {
     this._ulocations = new Map() // scripthash -> Set<location>
 
     this._mempool = new Map() // txid -> chainlen
+
+    // Saves are queued so that they are written in order. Changes to a persisted chain queue at
+    // most one write, which saves every change made before it starts.
+    this._saving = Promise.resolve()
+    this._persistQueued = false
+
+    this._snapshots = new Map() // id -> state
+    this._nextSnapshotId = 1
+    this._listeners = []
+
+    if (this.persist) {
+      const data = _readFileIfExists(this.persist)
+      if (data) this._importState(_parseFile(data, this.persist))
+    }
   }
 
   // --------------------------------------------------------------------------
@@ -88,7 +135,7 @@ class Mockchain extends BlockchainWrapper {
     // Check that the mempool chain length is less than the mempool chain limit
     const chainlen = tx.inputs
       .map(input => input.prevTxId.toString('hex'))
-      .map(txid => this._mempool.get(txid) + 1)
+      .map(txid => this._mempool.has(txid) ? this._mempool.get(txid) + 1 : 0)
       .reduce((max, next) => Math.max(max, next), 0)
 
     if (chainlen > _limit(this.mempoolChainLimit, 'mempoolChainLimit')) {
@@ -130,6 +177,8 @@ class Mockchain extends BlockchainWrapper {
       this._ulocations.set(scripthash, ulocations)
     })
 
+    if (this.persist) this._persist()
+
     return txid
   }
 
@@ -210,6 +259,8 @@ class Mockchain extends BlockchainWrapper {
     ulocations.add(location)
     this._ulocations.set(scripthash, ulocations)
 
+    if (this.persist) this._persist()
+
     return txid
   }
 
@@ -219,7 +270,300 @@ class Mockchain extends BlockchainWrapper {
     if (Log._debugOn) Log._debug(TAG, 'Block')
 
     this._mempool.clear()
+
+    if (this.persist) this._persist()
+  }
+
+  // --------------------------------------------------------------------------
+
+  /**
+   * Records the chain's transactions, utxos, spends, and mempool so they may be restored later
+   *
+   * @returns {number} Snapshot id to pass to revert()
+   */
+  snapshot () {
+    const id = this._nextSnapshotId++
+    if (Log._debugOn) Log._debug(TAG, 'Snapshot', id)
+
+    const state = this._exportState()
+    state.utxos = state.utxos.map(utxo => Object.assign({}, utxo))
+    this._snapshots.set(id, state)
+
+    return id
+  }
+
+  // --------------------------------------------------------------------------
+
+  /**
+   * Restores the chain to a snapshot. Like evm_snapshot, the snapshot and any taken after it are
+   * removed, so take another snapshot to revert to the same state again.
+   *
+   * Entries for reverted transactions are removed from the paired cache, and revert listeners are
+   * called with the reverted txids and the locations whose spends changed so that they may clear
+   * other caches. Purses that keep utxos in memory, like LocalPurse with cacheUtxos enabled, are
+   * not updated and should be recreated.
+   *
+   * @param {number} id Snapshot id returned from snapshot()
+   */
+  async revert (id) {
+    const state = this._snapshots.get(id)
+    if (!state) throw new ArgumentError(`Invalid snapshot: ${_text(id)}`)
+    if (Log._infoOn) Log._info(TAG, 'Revert', id)
+
+    Array.from(this._snapshots.keys())
+      .filter(snapshotId => snapshotId >= id)
+      .forEach(snapshotId => this._snapshots.delete(snapshotId))
+
+    const prevTxids = new Set(state.transactions.map(([txid]) => txid))
+    const reverted = new Map(Array.from(this._transactions).filter(([txid]) => !prevTxids.has(txid)))
+    const txids = Array.from(reverted.keys())
+    const prevSpends = new Map(state.spends)
+    const locations = Array.from(this._spends)
+      .filter(([location, spend]) => prevSpends.get(location) !== spend)
+      .map(([location]) => location)
+
+    this._importState(state)
+
+    if (this.cache) await _invalidateCache(this.cache, reverted, locations)
+
+    for (const { _listener } of this._listeners.filter(x => x._event === 'revert')) {
+      await _listener('revert', { txids, locations })
+    }
+
+    if (this.persist) this._persist()
+  }
+
+  // --------------------------------------------------------------------------
+
+  /**
+   * Adds a listener for an event. The only event is 'revert', which is called with
+   * ('revert', { txids, locations }) and may be async.
+   */
+  on (event, listener) {
+    if (!EVENTS.includes(event)) throw new ArgumentError(`Invalid event: ${_text(event)}`)
+    if (typeof listener !== 'function') throw new ArgumentError(`Invalid listener: ${_text(listener)}`)
+    if (this._listeners.some(x => x._event === event && x._listener === listener)) return
+    this._listeners.push({ _event: event, _listener: listener })
+  }
+
+  // --------------------------------------------------------------------------
+
+  off (event, listener) {
+    if (!EVENTS.includes(event)) throw new ArgumentError(`Invalid event: ${_text(event)}`)
+    if (typeof listener !== 'function') throw new ArgumentError(`Invalid listener: ${_text(listener)}`)
+    this._listeners = this._listeners.filter(x => !(x._event === event && x._listener === listener))
+  }
+
+  // --------------------------------------------------------------------------
+
+  /**
+   * Saves the chain to a file. Only supported in node.
+   *
+   * @param {?string} path File to write. Defaults to the persist file.
+   */
+  async save (path = this.persist) {
+    if (typeof path !== 'string' || !path.length) throw new Error(`Invalid path: ${_text(path)}`)
+    if (!_writeFile) throw new Error('Saving the mockchain is only supported in node')
+
+    // The state is captured now so that later changes don't affect this save
+    const data = JSON.stringify(this._exportState())
+
+    if (Log._infoOn) Log._info(TAG, 'Save', path)
+
+    const write = this._saving.then(() => _writeFile(path, data))
+    this._saving = write.catch(() => {})
+    await write
+  }
+
+  // --------------------------------------------------------------------------
+
+  /**
+   * Waits for queued saves to finish writing, including writes of the persist file after changes.
+   * Errors writing the persist file are logged, and errors from save() are thrown to its caller.
+   */
+  async flush () {
+    await this._saving
+  }
+
+  // --------------------------------------------------------------------------
+
+  /**
+   * Loads a chain that was saved to a file. Only supported in node.
+   *
+   * @param {string} path File to read
+   * @returns {Mockchain} New mockchain with the saved transactions
+   */
+  static async load (path) {
+    if (typeof path !== 'string' || !path.length) throw new Error(`Invalid path: ${_text(path)}`)
+    if (!_readFile) throw new Error('Loading the mockchain is only supported in node')
+
+    if (Log._infoOn) Log._info(TAG, 'Load', path)
+
+    const mockchain = new Mockchain()
+    mockchain._importState(_parseFile(await _readFile(path), path))
+    return mockchain
   }
+
+  // --------------------------------------------------------------------------
+
+  // Queues a write of the persist file unless one is already waiting. The chain is serialized when
+  // the write starts, so changes made in the meantime are saved together rather than one by one.
+  _persist () {
+    if (this._persistQueued) return
+    this._persistQueued = true
+
+    const write = this._saving.then(() => {
+      this._persistQueued = false
+      if (Log._debugOn) Log._debug(TAG, 'Persist', this.persist)
+      return _writeFile(this.persist, JSON.stringify(this._exportState()))
+    })
+
+    this._saving = write.catch(e => { if (Log._errorOn) Log._error(TAG, 'Failed to persist', e) })
+  }
+
+  // --------------------------------------------------------------------------
+
+  // Returns the chain's transactions, utxos, spends, and mempool as JSON
+  _exportState () {
+    return {
+      version: FILE_VERSION,
+      transactions: Array.from(this._transactions),
+      times: Array.from(this._times),
+      spends: Array.from(this._spends),
+      utxos: Array.from(this._utxos.values()),
+      mempool: Array.from(this._mempool)
+    }
+  }
+
+  // --------------------------------------------------------------------------
+
+  // Replaces the chain's state with one from _exportState, rebuilding the utxo index
+  _importState (state) {
+    this._transactions = new Map(state.transactions)
+    this._times = new Map(state.times)
+    this._spends = new Map(state.spends)
+    this._mempool = new Map(state.mempool)
+
+    this._utxos = new Map()
+    this._ulocations = new Map()
+
+    state.utxos.forEach(utxo => {
+      const location = `${utxo.txid}_o${utxo.vout}`
+      this._utxos.set(location, utxo)
+
+      const scripthash = sha256(new Script(utxo.script).toBuffer()).reverse().toString('hex')
+      const ulocations = this._ulocations.get(scripthash) || new Set()
+      ulocations.add(location)
+      this._ulocations.set(scripthash, ulocations)
+    })
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+// Cache invalidation
+// ------------------------------------------------------------------------------------------------
+
+// Removes transactions, times, spends, and states of reverted transactions from a cache.
+// Reverted transactions are passed as a map from txid to rawtx.
+async function _invalidateCache (cache, reverted, locations) {
+  if (typeof cache.delete !== 'function') {
+    if (Log._warnOn) Log._warn(TAG, 'Cache does not support delete. Reverted entries may remain.')
+    return
+  }
+
+  const txids = Array.from(reverted.keys())
+
+  const keys = []
+  txids.forEach(txid => keys.push(`tx://${txid}`, `time://${txid}`))
+  locations.forEach(location => keys.push(`spend://${location}`))
+
+  // Jig and ban locations are the outputs and deletes of the reverted transactions
+  reverted.forEach((rawtx, txid) => {
+    _stateLocations(txid, rawtx).forEach(location => keys.push(`jig://${location}`, `ban://${location}`))
+  })
+
+  // Berry locations include their path, so berry keys are scanned once for reverted txids
+  if (typeof cache.keys === 'function') {
+    const berryKeys = (await cache.keys('berry://'))
+      .filter(key => reverted.has(key.slice('berry://'.length, 'berry://'.length + 64)))
+    berryKeys.forEach(key => keys.push(key, `ban://${key.slice('berry://'.length)}`))
+  } else {
+    if (Log._warnOn) Log._warn(TAG, 'Cache does not support keys. Reverted berry states may remain.')
+  }
+
+  for (const key of keys) await cache.delete(key)
+
+  await RecentBroadcasts._removeFromCache(cache, txids)
+}
+
+// ------------------------------------------------------------------------------------------------
+
+// Returns the locations that a transaction's jigs may be cached at
+function _stateLocations (txid, rawtx) {
+  const tx = new Transaction(rawtx)
+  const locations = tx.outputs.map((output, vout) => `${txid}_o${vout}`)
+  try {
+    _extractMetadata(tx).del.forEach((hash, i) => locations.push(`${txid}_d${i}`))
+  } catch (e) {
+    // Not a RUN transaction, so there are no deletes
+  }
+  return locations
+}
+
+// ------------------------------------------------------------------------------------------------
+// Files
+// ------------------------------------------------------------------------------------------------
+
+// Files are only read and written in node
+let _readFile = null
+let _readFileIfExists = () => { throw new Error('Mockchain persistence is only supported in node') }
+let _writeFile = null
+
+if (typeof VARIANT === 'undefined' || VARIANT === 'node') {
+  const fs = require('fs')
+
+  _readFile = async path => fs.promises.readFile(path, 'utf8')
+
+  _readFileIfExists = path => {
+    try {
+      return fs.readFileSync(path, 'utf8')
+    } catch (e) {
+      if (e.code === 'ENOENT') return
+      throw e
+    }
+  }
+
+  // Writes to a temporary file first so that the file is never partially written
+  _writeFile = async (path, data) => {
+    const tmp = `${path}.${process.pid}.tmp`
+    await fs.promises.writeFile(tmp, data)
+    await fs.promises.rename(tmp, path)
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+
+function _parseFile (data, path) {
+  let state = null
+  try {
+    state = JSON.parse(data)
+  } catch (e) {
+    throw new Error(`Invalid mockchain file: ${path}`)
+  }
+  if (typeof state !== 'object' || !state || state.version !== FILE_VERSION) {
+    throw new Error(`Unsupported mockchain file: ${path}`)
+  }
+  return state
+}
+
+// ------------------------------------------------------------------------------------------------
+// Parameter validation
+// ------------------------------------------------------------------------------------------------
+
+function _parsePersist (persist) {
+  if (typeof persist === 'undefined') return undefined
+  if (typeof persist === 'string' && persist.length) return persist
+  throw new Error(`Invalid persist: ${_text(persist)}`)
 }
 
 // ------------------------------------------------------------------------------------------------
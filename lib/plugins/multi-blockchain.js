@@ -0,0 +1,268 @@
+/**
+ * multi-blockchain.js
+ *
+ * A blockchain that fails over between several providers and can cross-check their answers
+ */
+
+/* global AbortController */
+
+const bsv = require('bsv')
+const BlockchainWrapper = require('./blockchain-wrapper')
+const Log = require('../kernel/log')
+const { Blockchain } = require('../kernel/api')
+const { ArgumentError, AbortError, TimeoutError } = require('../kernel/error')
+const { _text } = require('../kernel/misc')
+
+// ------------------------------------------------------------------------------------------------
+// Globals
+// ------------------------------------------------------------------------------------------------
+
+const TAG = 'MultiBlockchain'
+
+// Default time to wait for a provider before trying the next one. This is half of Run's default
+// network timeout so that a second provider may answer before the caller gives up.
+const DEFAULT_TIMEOUT = 5000
+
+// Broadcast errors that mean a provider already has the transaction
+const ALREADY_KNOWN_ERRORS = ['txn-already-known', 'txn-already-in-mempool', 'Transaction already in the mempool']
+
+// ------------------------------------------------------------------------------------------------
+// MultiBlockchain
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Broadcasts to every provider and succeeds when any of them accepts. Providers that report the
+ * transaction as already known count as accepting it. Like other BlockchainWrappers, transactions
+ * that were recently broadcasted are not sent again.
+ *
+ * Reads go to providers in priority order, falling back to the next when one errors or times out.
+ * Providers that time out on fetch, time, or spends have their abort signal triggered.
+ * When quorum is more than 1, utxos() and spends() ask that many providers and throw unless they
+ * all agree. For example:
+ *
+ *    new MultiBlockchain([new RunConnect(), new WhatsOnChain()], { timeout: 5000, quorum: 2 })
+ */
+class MultiBlockchain extends BlockchainWrapper {
+  // --------------------------------------------------------------------------
+  // constructor
+  // --------------------------------------------------------------------------
+
+  /**
+   * @param {Array<Blockchain>} blockchains Providers, in priority order
+   * @param {?object} options
+   * @param {?number} options.timeout Milliseconds to wait for each provider. Defaults to 5000.
+   * @param {?number} options.quorum Providers that must agree on utxos and spends. Defaults to 1.
+   */
+  constructor (blockchains, options = {}) {
+    super()
+
+    this.blockchains = _parseBlockchains(blockchains)
+    this.network = blockchains[0].network
+    this.timeout = _parseTimeout(options.timeout)
+    this.quorum = _parseQuorum(options.quorum, blockchains)
+  }
+
+  // --------------------------------------------------------------------------
+  // Blockchain API
+  // --------------------------------------------------------------------------
+
+  async broadcast (rawtx) {
+    const txid = new bsv.Transaction(rawtx).hash
+
+    return new Promise((resolve, reject) => {
+      const errors = new Array(this.blockchains.length)
+      let rejections = 0
+
+      const onAccept = () => resolve(txid)
+
+      // If every provider rejects, report the error from the provider with the highest priority
+      const onReject = (i, e) => {
+        if (ALREADY_KNOWN_ERRORS.some(message => e.toString().includes(message))) return onAccept()
+        if (Log._warnOn) Log._warn(TAG, `Broadcast failed on ${_name(this.blockchains[i])}:`, e.toString())
+        errors[i] = e
+        if (++rejections === this.blockchains.length) reject(errors[0])
+      }
+
+      this.blockchains.forEach((blockchain, i) => {
+        this._attempt(blockchain, 'broadcast', [rawtx]).then(onAccept, e => onReject(i, e))
+      })
+    })
+  }
+
+  // --------------------------------------------------------------------------
+
+  async fetch (txid, options = {}) {
+    const [rawtx] = await this._ask('fetch', [txid], 1, options)
+    return rawtx
+  }
+
+  // --------------------------------------------------------------------------
+
+  async utxos (script) {
+    const answers = await this._ask('utxos', [script], this.quorum)
+    const key = utxos => utxos.map(utxo => `${utxo.txid}_o${utxo.vout}:${utxo.satoshis}`).sort().join()
+    _checkAgree(answers, key, `utxos for ${script}`)
+    return answers[0]
+  }
+
+  // --------------------------------------------------------------------------
+
+  async time (txid, options = {}) {
+    const [time] = await this._ask('time', [txid], 1, options)
+    return time
+  }
+
+  // --------------------------------------------------------------------------
+
+  async spends (txid, vout, options = {}) {
+    const answers = await this._ask('spends', [txid, vout], this.quorum, options)
+    _checkAgree(answers, spend => spend, `spends for ${txid}_o${vout}`)
+    return answers[0]
+  }
+
+  // --------------------------------------------------------------------------
+  // Internal
+  // --------------------------------------------------------------------------
+
+  /**
+   * Asks providers in priority order until enough of them answer. Providers are asked in
+   * parallel, as many at a time as there are answers still needed.
+   */
+  async _ask (method, args, count, options) {
+    const remaining = this.blockchains.slice()
+    const answers = []
+    const errors = []
+
+    while (answers.length < count && remaining.length) {
+      const batch = remaining.splice(0, count - answers.length)
+
+      const results = await Promise.all(batch.map(blockchain => {
+        return this._attempt(blockchain, method, args, options)
+          .then(value => ({ value }), error => ({ error, blockchain }))
+      }))
+
+      for (const result of results) {
+        if (!result.error) { answers.push(result.value); continue }
+
+        // Cancelled calls are not retried on other providers
+        if (result.error instanceof AbortError) throw result.error
+
+        if (Log._warnOn) Log._warn(TAG, `${method} failed on ${_name(result.blockchain)}:`, result.error.toString())
+        errors.push(result.error)
+      }
+    }
+
+    if (answers.length < count) {
+      // Prefer a provider's answer over a timeout, because it is more likely to be the reason
+      const error = errors.find(e => !(e instanceof TimeoutError)) || errors[errors.length - 1]
+      if (count === 1) throw error
+      throw new Error(`Quorum not reached for ${method}: ${answers.length} of ${count} providers answered\n\n${error}`)
+    }
+
+    return answers
+  }
+
+  // --------------------------------------------------------------------------
+
+  // Calls a method on one provider, rejecting if it takes longer than the timeout. When options
+  // are passed, the provider gets its own abort signal that fires on timeout or when the caller's
+  // signal aborts, so that abandoned requests are cancelled.
+  _attempt (blockchain, method, args, options) {
+    const controller = options && _abortController()
+    const signal = options && options.signal
+    const onAbort = () => controller.abort()
+    if (signal && signal.aborted) onAbort()
+    if (signal) signal.addEventListener('abort', onAbort)
+    const params = options ? args.concat(Object.assign({}, options, { signal: controller.signal })) : args
+
+    return new Promise((resolve, reject) => {
+      const timerId = setTimeout(() => {
+        reject(new TimeoutError(`${_name(blockchain)} ${method} timed out after ${this.timeout}ms`))
+        if (controller) controller.abort()
+      }, this.timeout)
+
+      Promise.resolve()
+        .then(() => blockchain[method](...params))
+        .then(resolve, reject)
+        .finally(() => {
+          clearTimeout(timerId)
+          if (signal) signal.removeEventListener('abort', onAbort)
+        })
+    })
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------------------------------------------
+
+function _name (blockchain) {
+  return blockchain.constructor.name === 'Object' ? 'Blockchain' : blockchain.constructor.name
+}
+
+// ------------------------------------------------------------------------------------------------
+
+// Older versions of node do not have AbortController, so we use a minimal stand-in there
+function _abortController () {
+  if (typeof AbortController !== 'undefined') return new AbortController()
+
+  const listeners = []
+  const signal = {
+    aborted: false,
+    addEventListener: (event, listener) => listeners.push(listener),
+    removeEventListener: (event, listener) => {
+      const index = listeners.indexOf(listener)
+      if (index !== -1) listeners.splice(index, 1)
+    }
+  }
+  const abort = () => {
+    if (signal.aborted) return
+    signal.aborted = true
+    listeners.slice().forEach(listener => listener())
+  }
+  return { signal, abort }
+}
+
+// ------------------------------------------------------------------------------------------------
+
+function _checkAgree (answers, key, description) {
+  const keys = answers.map(key)
+  if (keys.some(k => k !== keys[0])) throw new Error(`Quorum not reached for ${description}: providers disagree`)
+}
+
+// ------------------------------------------------------------------------------------------------
+// Parameter validation
+// ------------------------------------------------------------------------------------------------
+
+function _parseBlockchains (blockchains) {
+  if (!Array.isArray(blockchains) || !blockchains.length) throw new ArgumentError(`Invalid blockchains: ${_text(blockchains)}`)
+
+  blockchains.forEach(blockchain => {
+    if (!(blockchain instanceof Blockchain)) throw new ArgumentError(`Invalid blockchain: ${_text(blockchain)}`)
+  })
+
+  const networks = new Set(blockchains.map(blockchain => blockchain.network))
+  if (networks.size > 1) throw new ArgumentError(`Blockchain network mismatch: ${Array.from(networks).join(', ')}`)
+
+  return blockchains.slice()
+}
+
+// ------------------------------------------------------------------------------------------------
+
+function _parseTimeout (timeout) {
+  if (typeof timeout === 'undefined') return DEFAULT_TIMEOUT
+  if (typeof timeout === 'number' && Number.isFinite(timeout) && timeout > 0) return timeout
+  throw new ArgumentError(`Invalid timeout: ${_text(timeout)}`)
+}
+
+// ------------------------------------------------------------------------------------------------
+
+function _parseQuorum (quorum, blockchains) {
+  if (typeof quorum === 'undefined') return 1
+  if (Number.isInteger(quorum) && quorum >= 1 && quorum <= blockchains.length) return quorum
+  throw new ArgumentError(`Invalid quorum: ${_text(quorum)}`)
+}
+
+// ------------------------------------------------------------------------------------------------
+
+module.exports = MultiBlockchain
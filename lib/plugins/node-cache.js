@@ -24,7 +24,8 @@ if (typeof VARIANT === 'undefined' || VARIANT === 'node') {
       })
 
       this.diskCache = new DiskCache({
-        dir: options.dir
+        dir: options.dir,
+        maxSizeMB: options.maxDiskSizeMB
       })
 
       this.localCache.setWrappingEnabled(false)
@@ -34,6 +35,9 @@ if (typeof VARIANT === 'undefined' || VARIANT === 'node') {
     get maxMemorySizeMB () { return this.localCache.maxSizeMB }
     set maxMemorySizeMB (value) { this.localCache.maxSizeMB = value }
 
+    get maxDiskSizeMB () { return this.diskCache.maxSizeMB }
+    set maxDiskSizeMB (value) { this.diskCache.maxSizeMB = value }
+
     async get (key) {
       const localValue = await this.localCache.get(key)
       if (typeof localValue !== 'undefined') return localValue
@@ -51,6 +55,33 @@ if (typeof VARIANT === 'undefined' || VARIANT === 'node') {
         this.diskCache.set(key, value)
       ])
     }
+
+    async delete (key) {
+      await Promise.all([
+        this.localCache.delete(key),
+        this.diskCache.delete(key)
+      ])
+    }
+
+    async keys (prefix) {
+      const keys = await Promise.all([
+        this.localCache.keys(prefix),
+        this.diskCache.keys(prefix)
+      ])
+      return Array.from(new Set(keys[0].concat(keys[1])))
+    }
+
+    async clear (prefix) {
+      await Promise.all([
+        this.localCache.clear(prefix),
+        this.diskCache.clear(prefix)
+      ])
+    }
+
+    // Other processes may share the disk cache, so its lock is used
+    async lock (key, fn) {
+      return this.diskCache.lock(key, fn)
+    }
   }
 
   // ----------------------------------------------------------------------------------------------
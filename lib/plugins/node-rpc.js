@@ -0,0 +1,225 @@
+/**
+ * node-rpc.js
+ *
+ * Blockchain API for a bitcoind-compatible node over JSON-RPC
+ */
+
+const bsv = require('bsv')
+const { _text, _bsvNetwork } = require('../kernel/misc')
+const request = require('./request')
+const BlockchainWrapper = require('./blockchain-wrapper')
+const { _RequestError } = request
+
+// ------------------------------------------------------------------------------------------------
+// Globals
+// ------------------------------------------------------------------------------------------------
+
+// JSON-RPC error codes returned by the node
+const RPC_METHOD_NOT_FOUND = -32601
+const RPC_INVALID_ADDRESS_OR_KEY = -5
+
+// ------------------------------------------------------------------------------------------------
+// NodeRpc
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Talks to a local node with sendrawtransaction, getrawtransaction, and getblock. The node must
+ * have -txindex enabled to fetch transactions that are no longer in the mempool.
+ *
+ * Nodes don't index outputs by script, so utxos() and spends() need an index:
+ *
+ *    'address'     The node's own address index, using getaddressutxos and getspentinfo. These
+ *                  require -addressindex and -spentindex, and only support P2PKH scripts.
+ *    Blockchain    Another Blockchain that indexes by scripthash, like ElectrumX, which is used
+ *                  for utxos() and spends() only.
+ *
+ * For example:
+ *
+ *    new NodeRpc({ url: 'http://127.0.0.1:8332', username, password, index: 'address' })
+ */
+class NodeRpc extends BlockchainWrapper {
+  // --------------------------------------------------------------------------
+  // constructor
+  // --------------------------------------------------------------------------
+
+  /**
+   * @param {object} options Configuration options
+   * @param {string} options.url Node RPC url beginning with http:// or https://
+   * @param {?string} options.username RPC username
+   * @param {?string} options.password RPC password
+   * @param {?string} options.network Network string. Defaults to main.
+   * @param {?string|Blockchain} options.index Index for utxos and spends. Defaults to none.
+   */
+  constructor (options = {}) {
+    super()
+
+    this.url = _parseUrl(options.url)
+    this.username = _parseCredential(options.username, 'username')
+    this.password = _parseCredential(options.password, 'password')
+    this.network = _parseNetwork(options.network)
+    this.index = _parseIndex(options.index)
+    this.request = request
+
+    this._nextId = 1
+  }
+
+  // --------------------------------------------------------------------------
+  // Blockchain API
+  // --------------------------------------------------------------------------
+
+  async broadcast (rawtx) {
+    return await this._call('sendrawtransaction', [rawtx])
+  }
+
+  // --------------------------------------------------------------------------
+
+  async fetch (txid, options = {}) {
+    return await this._call('getrawtransaction', [txid, false], options.signal)
+  }
+
+  // --------------------------------------------------------------------------
+
+  async utxos (script) {
+    if (this.index !== 'address') {
+      if (this.index) return await this.index.utxos(script)
+      throw new Error(_missingIndexMessage('utxos', 'an address index'))
+    }
+
+    const address = _address(script, this.network)
+    const data = await this._call('getaddressutxos', [{ addresses: [address] }], undefined, '-addressindex')
+    return data.map(o => { return { txid: o.txid, vout: o.outputIndex, satoshis: o.satoshis, script } })
+  }
+
+  // --------------------------------------------------------------------------
+
+  async time (txid, options = {}) {
+    const json = await this._call('getrawtransaction', [txid, true], options.signal)
+    if (!json.blockhash) return json.time * 1000 || Date.now()
+    const block = await this._call('getblock', [json.blockhash, 1], options.signal)
+    return block.time * 1000
+  }
+
+  // --------------------------------------------------------------------------
+
+  async spends (txid, vout, options = {}) {
+    if (this.index !== 'address') {
+      if (this.index) return await this.index.spends(txid, vout, options)
+      throw new Error(_missingIndexMessage('spends', 'a spent index'))
+    }
+
+    try {
+      const json = await this._call('getspentinfo', [{ txid, index: vout }], options.signal, '-spentindex')
+      return json.txid
+    } catch (e) {
+      // The spent index reports unspent outputs as an error
+      if (e.code === RPC_INVALID_ADDRESS_OR_KEY) return null
+      throw e
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // Internal
+  // --------------------------------------------------------------------------
+
+  /**
+   * Calls an RPC method and returns its result
+   * @param {string} method RPC method name
+   * @param {Array} params RPC parameters
+   * @param {?AbortSignal} signal Signal to cancel the request
+   * @param {?string} indexFlag Node flag needed for the method, used to report missing indexes
+   */
+  async _call (method, params, signal, indexFlag) {
+    const headers = {}
+    if (typeof this.username !== 'undefined' || typeof this.password !== 'undefined') {
+      const credentials = `${this.username || ''}:${this.password || ''}`
+      headers.authorization = `Basic ${Buffer.from(credentials).toString('base64')}`
+    }
+
+    const body = { jsonrpc: '1.0', id: this._nextId++, method, params }
+
+    try {
+      const json = await this.request(this.url, { method: 'POST', body, headers, signal, retries: 0 })
+      return json.result
+    } catch (e) {
+      // The node returns errors as JSON with an error status
+      const error = e instanceof _RequestError && e.reason && e.reason.error
+      if (!error) throw e
+      throw _rpcError(error, method, indexFlag)
+    }
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------------------------------------------
+
+// Converts a JSON-RPC error into an Error, with hints when the node lacks an index
+function _rpcError (error, method, indexFlag) {
+  const message = typeof error.message === 'string' ? error.message : _text(error)
+
+  let e = null
+  if (error.code === RPC_METHOD_NOT_FOUND && indexFlag) {
+    e = new Error(`The node does not support ${method}\n\nHint: Start the node with ${indexFlag}=1`)
+  } else if (message.includes('-txindex')) {
+    e = new Error('No such mempool or blockchain transaction\n\nHint: Start the node with -txindex=1')
+  } else if (message.includes('No such mempool or blockchain transaction')) {
+    e = new Error('No such mempool or blockchain transaction')
+  } else {
+    e = new Error(message)
+  }
+
+  e.code = error.code
+  return e
+}
+
+// ------------------------------------------------------------------------------------------------
+
+function _missingIndexMessage (method, index) {
+  return `NodeRpc requires ${index} for ${method}\n\nHint: Set the index option to 'address' or to a Blockchain`
+}
+
+// ------------------------------------------------------------------------------------------------
+
+function _address (script, network) {
+  const bsvScript = new bsv.Script(script)
+  if (!bsvScript.isPublicKeyHashOut()) throw new Error(`The address index only supports P2PKH scripts: ${_text(script)}`)
+  return bsvScript.toAddress(_bsvNetwork(network)).toString()
+}
+
+// ------------------------------------------------------------------------------------------------
+// Parameter validation
+// ------------------------------------------------------------------------------------------------
+
+function _parseUrl (url) {
+  if (typeof url === 'string' && /^https?:\/\/[^/]+/.test(url)) return url
+  throw new Error(`Invalid url: ${_text(url)}`)
+}
+
+// ------------------------------------------------------------------------------------------------
+
+function _parseCredential (value, name) {
+  if (typeof value === 'undefined' || typeof value === 'string') return value
+  throw new Error(`Invalid ${name}: ${_text(value)}`)
+}
+
+// ------------------------------------------------------------------------------------------------
+
+function _parseNetwork (network) {
+  if (typeof network === 'undefined') return 'main'
+  if (typeof network !== 'string' || !network.length) throw new Error(`Invalid network: ${_text(network)}`)
+  return network
+}
+
+// ------------------------------------------------------------------------------------------------
+
+function _parseIndex (index) {
+  if (typeof index === 'undefined' || index === 'address') return index
+  const isBlockchain = typeof index === 'object' && index &&
+    typeof index.utxos === 'function' && typeof index.spends === 'function'
+  if (isBlockchain) return index
+  throw new Error(`Invalid index: ${_text(index)}`)
+}
+
+// ------------------------------------------------------------------------------------------------
+
+module.exports = NodeRpc
@@ -32,10 +32,39 @@ const CONFIG_KEY_RECENT_BROADCASTS = 'config://recent-broadcasts'
 // ------------------------------------------------------------------------------------------------
 
 async function _addToCache (cache, bsvtx, txid, expiration = DEFAULT_UTXO_INDEXING_DELAY) {
-  const recentBroadcasts = await cache.get(CONFIG_KEY_RECENT_BROADCASTS) || []
-  _removeExpired(recentBroadcasts, expiration)
-  _add(recentBroadcasts, bsvtx, txid)
-  await cache.set(CONFIG_KEY_RECENT_BROADCASTS, recentBroadcasts)
+  const update = async () => {
+    const recentBroadcasts = await cache.get(CONFIG_KEY_RECENT_BROADCASTS) || []
+    _removeExpired(recentBroadcasts, expiration)
+    _add(recentBroadcasts, bsvtx, txid)
+    await cache.set(CONFIG_KEY_RECENT_BROADCASTS, recentBroadcasts)
+  }
+
+  // Caches shared between processes lock the key so that concurrent broadcasts are not lost
+  if (typeof cache.lock === 'function') {
+    await cache.lock(CONFIG_KEY_RECENT_BROADCASTS, update)
+  } else {
+    await update()
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+// _removeFromCache
+// ------------------------------------------------------------------------------------------------
+
+async function _removeFromCache (cache, txids) {
+  const update = async () => {
+    const recentBroadcasts = await cache.get(CONFIG_KEY_RECENT_BROADCASTS)
+    if (!recentBroadcasts) return
+    const count = recentBroadcasts.length
+    _filterInPlace(recentBroadcasts, tx => !txids.includes(tx.txid))
+    if (recentBroadcasts.length !== count) await cache.set(CONFIG_KEY_RECENT_BROADCASTS, recentBroadcasts)
+  }
+
+  if (typeof cache.lock === 'function') {
+    await cache.lock(CONFIG_KEY_RECENT_BROADCASTS, update)
+  } else {
+    await update()
+  }
 }
 
 // ------------------------------------------------------------------------------------------------
@@ -106,6 +135,7 @@ function _removeExpired (recentBroadcasts, expiration = DEFAULT_UTXO_INDEXING_DE
 
 module.exports = {
   _addToCache,
+  _removeFromCache,
   _correctUtxosUsingCache,
   _add,
   _correctUtxos,
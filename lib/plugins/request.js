@@ -7,7 +7,7 @@
 /* global VARIANT */
 
 const Log = require('../kernel/log')
-const { TimeoutError } = require('../kernel/error')
+const { AbortError, TimeoutError } = require('../kernel/error')
 const { _limit } = require('../kernel/misc')
 
 // ------------------------------------------------------------------------------------------------
@@ -57,6 +57,7 @@ class RequestError extends Error {
  * @param {?boolean} options.dedup Whether to dedup this request with other GET requests
  * @param {?number} options.cache How long to cache this GET response for
  * @param {?function} options.response Response handler that processes raw responses
+ * @param {?AbortSignal} options.signal Signal to cancel the request. Disables dedup and cache.
  * @returns {*} JSON object or string response
  */
 async function request (url, options = {}) {
@@ -70,7 +71,7 @@ async function request (url, options = {}) {
 
     let result = null
     try {
-      result = await requestInternal(url, options.method, options.body, options.timeout, options.headers)
+      result = await requestInternal(url, options.method, options.body, options.timeout, options.headers, options.signal)
     } catch (e) {
       // Add the url to the request error
       e.message += `\n\n${options.method} ${url}`
@@ -89,8 +90,10 @@ async function request (url, options = {}) {
     throw new RequestError(reason, status, statusText, options.method, url)
   }
 
-  const dedup = options.method === 'GET' && options.dedup ? _dedup : (cache, id, f) => f()
-  const cache = options.method === 'GET' && !!options.cache ? _cache : (cache, id, ms, f) => f()
+  // Cancellable requests are not shared because one caller's abort should not fail the others
+  const shared = options.method === 'GET' && !options.signal
+  const dedup = shared && options.dedup ? _dedup : (cache, id, f) => f()
+  const cache = shared && !!options.cache ? _cache : (cache, id, ms, f) => f()
   const response = async f => options.response ? options.response(await f()) : await f()
 
   return await dedup(REQUESTS, id, async () => {
@@ -117,6 +120,7 @@ async function request (url, options = {}) {
  * @param {?object} body Optional body for POST methods
  * @param {number} timeout Timeout in milliseconds
  * @param {object} headers Custom HTTP headers
+ * @param {?AbortSignal} signal Optional signal to abort the request
  * @returns {Promise<{data, status, statusText}>} Response data, status code, and status message
  */
 let requestInternal = null
@@ -126,9 +130,11 @@ let requestInternal = null
 // ------------------------------------------------------------------------------------------------
 
 if (typeof VARIANT !== 'undefined' && VARIANT === 'browser') {
-  requestInternal = async function (url, method, body, timeout, headers) {
+  requestInternal = async function (url, method, body, timeout, headers, signal) {
     const { AbortController, fetch } = window
 
+    if (signal && signal.aborted) throw new AbortError('Request aborted')
+
     // Make a copy of the headers, because we will change it
     headers = Object.assign({}, headers)
 
@@ -145,6 +151,10 @@ if (typeof VARIANT !== 'undefined' && VARIANT === 'browser') {
     let timedOut = false
     const timerId = setTimeout(() => { timedOut = true; controller.abort() }, _limit(timeout, 'timeout'))
 
+    let aborted = false
+    const onAbort = () => { aborted = true; controller.abort() }
+    if (signal) signal.addEventListener('abort', onAbort)
+
     try {
       const res = await fetch(url, options)
 
@@ -162,9 +172,11 @@ if (typeof VARIANT !== 'undefined' && VARIANT === 'browser') {
       return { data, status: res.status, statusText: res.statusText }
     } catch (e) {
       if (timedOut) throw new TimeoutError(`Request timed out after ${timeout}ms`)
+      if (aborted) throw new AbortError('Request aborted')
       throw e
     } finally {
       clearTimeout(timerId)
+      if (signal) signal.removeEventListener('abort', onAbort)
     }
   }
 }
@@ -174,7 +186,9 @@ if (typeof VARIANT !== 'undefined' && VARIANT === 'browser') {
 // ------------------------------------------------------------------------------------------------
 
 if (typeof VARIANT === 'undefined' || VARIANT === 'node') {
-  requestInternal = async function (url, method, body, timeout, headers) {
+  requestInternal = async function (url, method, body, timeout, headers, signal) {
+    if (signal && signal.aborted) throw new AbortError('Request aborted')
+
     return new Promise((resolve, reject) => {
       const https = url.startsWith('http://') ? require('http') : require('https')
       const zlib = require('zlib')
@@ -233,6 +247,15 @@ if (typeof VARIANT === 'undefined' || VARIANT === 'node') {
         reject(new TimeoutError(`Request timed out after ${timeout}ms`))
       })
 
+      if (signal) {
+        const onAbort = () => {
+          req.abort()
+          reject(new AbortError('Request aborted'))
+        }
+        signal.addEventListener('abort', onAbort)
+        req.on('close', () => signal.removeEventListener('abort', onAbort))
+      }
+
       req.end()
     })
   }
@@ -255,7 +278,7 @@ async function _retry (retries, id, f) {
     try {
       return await f()
     } catch (e) {
-      if (i === retries) throw e
+      if (i === retries || e instanceof AbortError) throw e
       if (Log._warnOn) Log._warn(e.toString())
       if (Log._infoOn) Log._info(TAG, id, `(Retry ${i + 1}/${retries})`)
     }
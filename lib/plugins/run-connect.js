@@ -46,9 +46,9 @@ class RunConnect extends BlockchainWrapper {
   // fetch
   // --------------------------------------------------------------------------
 
-  async fetch (txid) {
+  async fetch (txid, options = {}) {
     const url = `${this.host}/v1/${this.network}/rawtx/${txid}`
-    const resp = await this.request(url)
+    const resp = await this.request(url, { signal: options.signal })
     return resp.toString('hex')
   }
 
@@ -67,10 +67,9 @@ class RunConnect extends BlockchainWrapper {
   // time
   // --------------------------------------------------------------------------
 
-  async time (txid) {
+  async time (txid, options = {}) {
     const url = `${this.host}/v1/${this.network}/tx/${txid}`
-    const options = { cache: 1000 }
-    const json = await this.request(url, options)
+    const json = await this.request(url, { cache: 1000, signal: options.signal })
     if (this.cache) {
       const cacheSets = []
       cacheSets.push(this.cache.set(`tx://${txid}`, json.hex))
@@ -84,10 +83,10 @@ class RunConnect extends BlockchainWrapper {
   // spends
   // --------------------------------------------------------------------------
 
-  async spends (txid, vout) {
+  async spends (txid, vout, options = {}) {
     try {
       const url = `${this.host}/v1/${this.network}/spends/${txid}_o${vout}`
-      const json = await this.request(url)
+      const json = await this.request(url, { signal: options.signal })
       return json.spentTxId
     } catch (e) {
       if (e instanceof _RequestError && e.status === 404) return null
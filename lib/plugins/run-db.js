@@ -46,9 +46,11 @@ class RunDB extends StateWrapper {
       default: return
     }
 
+    const signal = options && options.signal
+
     let value
     try {
-      value = await this.request(url)
+      value = await this.request(url, { signal })
     } catch (e) {
       if (e.status === 404) return undefined
       throw e
@@ -59,7 +61,7 @@ class RunDB extends StateWrapper {
       try {
         const txid = path.slice(0, 64)
         const txurl = `${this.host}/tx/${txid}`
-        const rawtx = await this.request(txurl)
+        const rawtx = await this.request(txurl, { signal })
         await this.cache.set(`tx://${txid}`, rawtx)
       } catch (e) { if (e.status !== 404) throw e }
     }
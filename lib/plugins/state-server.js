@@ -48,7 +48,7 @@ class StateServer extends StateWrapper {
       const tx = options.tx ? 1 : 0
       const filter = options.filter || StateFilter.toBase64(StateFilter.create())
       const url = `${this.host}/v1/${this.network}/state/${encodeURIComponent(location)}?all=${all}&tx=${tx}&filter=${filter}`
-      const requestOptions = { cache: 1000 }
+      const requestOptions = { cache: 1000, signal: options.signal }
       states = await this.request(url, requestOptions)
     } catch (e) {
       // Even if the state is missing, transaction data might still be present
@@ -0,0 +1,142 @@
+/**
+ * tiered-cache.js
+ *
+ * A cache composed of other caches, from fastest to slowest
+ */
+
+const CacheWrapper = require('./cache-wrapper')
+const { Cache } = require('../kernel/api')
+const { ArgumentError } = require('../kernel/error')
+const { _text } = require('../kernel/misc')
+
+// ------------------------------------------------------------------------------------------------
+// Globals
+// ------------------------------------------------------------------------------------------------
+
+const WRITE_POLICIES = ['all', 'first']
+
+// Tiers return these entries without when they expire, so they are not back-filled
+const EXPIRING_KEYS = ['spend', 'time']
+
+// ------------------------------------------------------------------------------------------------
+// TieredCache
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Reads through its tiers in order and returns the first value found, back-filling the faster
+ * writable tiers on a hit. Writes go to the writable tiers chosen by the write policy:
+ *
+ *    'all'       Every writable tier (default)
+ *    'first'     Only the first writable tier
+ *    function    (key, value, index) => boolean, called for each writable tier
+ *
+ * Tiers may be passed as caches, or as { cache, readOnly } to mark a tier read-only. Read-only
+ * tiers are never written to, back-filled, deleted from, or cleared. For example:
+ *
+ *    new TieredCache([new LocalCache(), new DiskCache(), { cache: sharedCache, readOnly: true }])
+ */
+class TieredCache extends CacheWrapper {
+  /**
+   * @param {Array<Cache|{cache: Cache, readOnly: ?boolean}>} caches Tiers, from fastest to slowest
+   * @param {?object} options
+   * @param {?string|function} options.write Write policy. Defaults to 'all'.
+   */
+  constructor (caches, options = {}) {
+    super()
+
+    if (!Array.isArray(caches) || !caches.length) throw new ArgumentError(`Invalid caches: ${_text(caches)}`)
+
+    this.tiers = caches.map(parseTier)
+    this.write = parseWritePolicy(options.write)
+  }
+
+  // --------------------------------------------------------------------------
+
+  async get (key) {
+    for (let i = 0; i < this.tiers.length; i++) {
+      const value = await this.tiers[i].cache.get(key)
+      if (typeof value === 'undefined') continue
+
+      // Back-fill the faster tiers so that the next read is quicker
+      if (EXPIRING_KEYS.includes(key.split('://')[0])) return value
+      const fasterTiers = this.tiers.slice(0, i).filter(tier => !tier.readOnly)
+      await Promise.all(fasterTiers.map(tier => tier.cache.set(key, value)))
+
+      return value
+    }
+  }
+
+  // --------------------------------------------------------------------------
+
+  async set (key, value) {
+    const writableTiers = this.tiers.filter(tier => !tier.readOnly)
+
+    const tiers = writableTiers.filter((tier, i) => {
+      if (this.write === 'all') return true
+      if (this.write === 'first') return i === 0
+      return this.write(key, value, this.tiers.indexOf(tier))
+    })
+
+    await Promise.all(tiers.map(tier => tier.cache.set(key, value)))
+  }
+
+  // --------------------------------------------------------------------------
+
+  async delete (key) {
+    const tiers = this.tiers.filter(tier => !tier.readOnly && typeof tier.cache.delete === 'function')
+    await Promise.all(tiers.map(tier => tier.cache.delete(key)))
+  }
+
+  // --------------------------------------------------------------------------
+
+  async keys (prefix) {
+    const tiers = this.tiers.filter(tier => typeof tier.cache.keys === 'function')
+    const keys = await Promise.all(tiers.map(tier => tier.cache.keys(prefix)))
+    return Array.from(new Set([].concat(...keys)))
+  }
+
+  // --------------------------------------------------------------------------
+
+  async clear (prefix) {
+    const tiers = this.tiers.filter(tier => !tier.readOnly && typeof tier.cache.clear === 'function')
+    await Promise.all(tiers.map(tier => tier.cache.clear(prefix)))
+  }
+
+  // --------------------------------------------------------------------------
+
+  // Holds the locks of every writable tier that has one, because any of them may be shared
+  async lock (key, fn) {
+    const tiers = this.tiers.filter(tier => !tier.readOnly && typeof tier.cache.lock === 'function')
+    const locked = tiers.reduceRight((next, tier) => () => tier.cache.lock(key, next), fn)
+    return locked()
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+// Parameter validation
+// ------------------------------------------------------------------------------------------------
+
+function parseTier (tier) {
+  if (tier instanceof Cache) return { cache: tier, readOnly: false }
+
+  if (typeof tier === 'object' && tier && tier.cache instanceof Cache) {
+    if (typeof tier.readOnly !== 'undefined' && typeof tier.readOnly !== 'boolean') {
+      throw new ArgumentError(`Invalid readOnly: ${_text(tier.readOnly)}`)
+    }
+    return { cache: tier.cache, readOnly: !!tier.readOnly }
+  }
+
+  throw new ArgumentError(`Invalid cache: ${_text(tier)}`)
+}
+
+// ------------------------------------------------------------------------------------------------
+
+function parseWritePolicy (write) {
+  if (typeof write === 'undefined') return 'all'
+  if (WRITE_POLICIES.includes(write) || typeof write === 'function') return write
+  throw new ArgumentError(`Invalid write policy: ${_text(write)}`)
+}
+
+// ------------------------------------------------------------------------------------------------
+
+module.exports = TieredCache
@@ -54,12 +54,11 @@ class WhatsOnChain extends BlockchainWrapper {
 
   // --------------------------------------------------------------------------
 
-  async fetch (txid) {
+  async fetch (txid, options = {}) {
     try {
       const url = `https://api.whatsonchain.com/v1/bsv/${this.network}/tx/${txid}/hex`
       const headers = this.apiKey ? { 'woc-api-key': this.apiKey } : {}
-      const options = { headers, cache: 1000 }
-      const json = await this.request(url, options)
+      const json = await this.request(url, { headers, cache: 1000, signal: options.signal })
       return json
     } catch (e) {
       if (e instanceof _RequestError && (e.status === 404 || e.status === 500)) {
@@ -88,12 +87,11 @@ class WhatsOnChain extends BlockchainWrapper {
 
   // --------------------------------------------------------------------------
 
-  async time (txid) {
+  async time (txid, options = {}) {
     try {
       const url = `https://api.whatsonchain.com/v1/bsv/${this.network}/tx/hash/${txid}`
       const headers = this.apiKey ? { 'woc-api-key': this.apiKey } : {}
-      const options = { headers, cache: 1000 }
-      const json = await this.request(url, options)
+      const json = await this.request(url, { headers, cache: 1000, signal: options.signal })
       return json.time * 1000 || Date.now()
     } catch (e) {
       if (e instanceof _RequestError && (e.status === 404 || e.status === 500)) {
@@ -17,33 +17,40 @@ const Code = require('./kernel/code')
 const Editor = require('./kernel/editor')
 const Commit = require('./kernel/commit')
 const _load = require('./kernel/load')
+const _audit = require('./kernel/audit')
+const { _bundle, _unbundle } = require('./kernel/bundle')
 const Creation = require('./kernel/creation')
 const CommonLock = require('./kernel/common-lock')
 const Transaction = require('./kernel/transaction')
 const { _unifyForMethod } = require('./kernel/unify')
 const Sandbox = require('./kernel/sandbox')
 const Log = require('./kernel/log')
-const { _text, _limit } = require('./kernel/misc')
+const { _text, _limit, _Timeout, _checkSignal, _activeKernel } = require('./kernel/misc')
 const { _browser, _nodejs } = require('./kernel/environment')
 const request = require('./plugins/request')
 const { ArgumentError } = require('./kernel/error')
-const { _extractMetadata, _extractTxDeps } = require('./kernel/metadata')
+const { _extractMetadata, _extractTxDeps, _decodeTx } = require('./kernel/metadata')
 
 // Plugins
 const BrowserCache = require('./plugins/browser-cache')
 const DiskCache = require('./plugins/disk-cache')
+const ElectrumX = require('./plugins/electrumx')
 const IndexedDbCache = require('./plugins/indexeddb-cache')
 const Inventory = require('./plugins/inventory')
 const LocalCache = require('./plugins/local-cache')
 const LocalOwner = require('./plugins/local-owner')
 const LocalPurse = require('./plugins/local-purse')
+const LocalIndexer = require('./plugins/local-indexer')
 const LocalState = require('./plugins/local-state')
 const Mockchain = require('./plugins/mockchain')
+const MultiBlockchain = require('./plugins/multi-blockchain')
 const NodeCache = require('./plugins/node-cache')
+const NodeRpc = require('./plugins/node-rpc')
 const PayServer = require('./plugins/pay-server')
 const RunConnect = require('./plugins/run-connect')
 const RunDB = require('./plugins/run-db')
 const StateServer = require('./plugins/state-server')
+const TieredCache = require('./plugins/tiered-cache')
 const Viewer = require('./plugins/viewer')
 const WhatsOnChain = require('./plugins/whatsonchain')
 
@@ -91,6 +98,7 @@ class Run {
     this._logger = parseLogger(options.logger, keys.includes('logger'))
     this._networkRetries = parseNetworkRetries(options.networkRetries, keys.includes('networkRetries'))
     this._networkTimeout = parseNetworkTimeout(options.networkTimeout, keys.includes('networkTimeout'))
+    this._verifyCache = parseVerifyCache(options.verifyCache, keys.includes('verifyCache'))
 
     const network = parseNetwork(options.network, keys.includes('network'))
     const wallet = parseWallet(options.wallet, keys.includes('wallet'))
@@ -148,6 +156,7 @@ class Run {
   get rollbacks () { return this._kernel._rollbacks }
   get timeout () { return this._kernel._timeout }
   get state () { return this._kernel._state }
+  get verifyCache () { return this._verifyCache }
   get wallet () { return this._kernel._purse === this._kernel._owner ? this._kernel._purse : undefined }
 
   // --------------------------------------------------------------------------
@@ -269,6 +278,11 @@ class Run {
     this._kernel._timeout = parseTimeout(timeout, true)
   }
 
+  set verifyCache (verifyCache) {
+    this._verifyCache = parseVerifyCache(verifyCache, true)
+    hookPlugins(this)
+  }
+
   set wallet (wallet) {
     parseWallet(wallet, true)
     this.purse = wallet
@@ -279,16 +293,54 @@ class Run {
   // Methods
   // --------------------------------------------------------------------------
 
+  /**
+   * Loads a jig, code, or berry at a location
+   *
+   * @param {string} location Location to load
+   * @param {?object} options
+   * @param {?boolean} options.trust Whether to trust the location's txid
+   * @param {?AbortSignal} options.signal Signal to cancel the load
+   */
   load (location, options = {}) {
     checkActive(this)
     if (Transaction._ATOMICALLY_UPDATING) throw new Error('load disabled during atomic update')
+    _checkSignal(options.signal)
     if (options.trust) this.trust(location.slice(0, 64))
-    return _load(location, undefined, this._kernel)
+    const timeout = new _Timeout('load', this._kernel._timeout, location, options.signal)
+    return _load(location, undefined, this._kernel, undefined, timeout)
+  }
+
+  /**
+   * Re-verifies a jig by replaying its entire history without using the state or cache, and
+   * reports every state held by the state provider or the cache that differs from the replay.
+   *
+   * @param {string} location Jig location to audit
+   * @param {?object} options
+   * @param {?AbortSignal} options.signal Signal to cancel the audit
+   * @returns {Promise<{location: string, checked: Array<string>, mismatches: Array<object>}>}
+   * Keys of the states checked, and mismatches in the form { key, source, expected, actual },
+   * where source is "state" or "cache" and expected and actual are state hashes.
+   */
+  audit (location, options = {}) {
+    checkActive(this)
+    if (Transaction._ATOMICALLY_UPDATING) throw new Error('audit disabled during atomic update')
+    if (typeof location !== 'string') throw new ArgumentError(`Invalid location: ${_text(location)}`)
+    _checkSignal(options.signal)
+    const timeout = new _Timeout('audit', this._kernel._timeout, location, options.signal)
+    return _audit(location, this._kernel, timeout)
   }
 
-  sync () {
+  /**
+   * Waits for all pending transactions to publish
+   *
+   * @param {?object} options
+   * @param {?AbortSignal} options.signal Signal to stop waiting. Publishing continues.
+   */
+  sync (options = {}) {
     if (Transaction._ATOMICALLY_UPDATING) throw new Error('sync all disabled during atomic update')
-    return Commit._syncAll()
+    _checkSignal(options.signal)
+    const timeout = new _Timeout('sync', Number.MAX_VALUE, undefined, options.signal)
+    return timeout._race(Commit._syncAll())
   }
 
   deploy (T) {
@@ -336,6 +388,23 @@ class Run {
     this._kernel._listeners = this._kernel._listeners.filter(x => !matches(x))
   }
 
+  /**
+   * Calls the callback with this instance active for it and any async work it starts.
+   *
+   * Run.instance is not changed, so several instances may be scoped concurrently, each loading,
+   * deploying and publishing through its own owner, purse and blockchain. Jigs loaded or created
+   * in a scope keep publishing through this instance after the scope ends. Loggers, request
+   * settings and the bsv network remain global and are set by activate().
+   *
+   * Scopes use AsyncLocalStorage and so are only supported in Node 12.17 and above. In the
+   * browser, this throws and activate() should be used instead.
+   */
+  scope (callback) {
+    if (typeof callback !== 'function') throw new ArgumentError(`Invalid callback: ${_text(callback)}`)
+    if (Transaction._ATOMICALLY_UPDATING) throw new Error('scope disabled during atomic update')
+    return this._kernel._scope(callback)
+  }
+
   activate () {
     if (Log._infoOn) Log._info(TAG, 'Activate')
 
@@ -378,13 +447,13 @@ Run.instance = null
 // ------------------------------------------------------------------------------------------------
 
 function isActive (run) {
-  return Kernel._instance === run._kernel
+  return Kernel._active() === run._kernel
 }
 
 // ------------------------------------------------------------------------------------------------
 
 function checkActive (run) {
-  if (Kernel._instance !== run._kernel) {
+  if (Kernel._active() !== run._kernel) {
     const hint = 'Hint: Call run.activate() on this instance first'
     throw new Error(`This Run instance is not active\n\n${hint}`)
   }
@@ -412,6 +481,11 @@ function hookPlugins (run) {
   if (run._kernel._purse instanceof PurseWrapper) {
     run._kernel._purse.blockchain = run._kernel._blockchain
   }
+
+  if (run._kernel._cache instanceof CacheWrapper) {
+    run._kernel._cache.verify = run._verifyCache
+    run._kernel._cache.blockchain = run._kernel._blockchain
+  }
 }
 
 // ------------------------------------------------------------------------------------------------
@@ -874,6 +948,14 @@ function parseTrust (trust, specified) {
 
 // ------------------------------------------------------------------------------------------------
 
+function parseVerifyCache (verifyCache, specified) {
+  if (typeof verifyCache === 'boolean') return verifyCache
+  if (typeof verifyCache === 'undefined' && !specified) return parseVerifyCache(Run.defaults.verifyCache, true)
+  throw new Error(`Invalid verifyCache: ${_text(verifyCache)}`)
+}
+
+// ------------------------------------------------------------------------------------------------
+
 function parseWallet (wallet, specified) {
   if (typeof wallet === 'undefined' && !specified) return wallet
   if (typeof wallet !== 'object' || wallet === null) throw new Error(`Invalid wallet: ${_text(wallet)}`)
@@ -932,6 +1014,7 @@ Run.defaults.rollbacks = true
 Run.defaults.state = undefined
 Run.defaults.timeout = 30000
 Run.defaults.trust = []
+Run.defaults.verifyCache = false
 
 // ------------------------------------------------------------------------------------------------
 // configure
@@ -1037,18 +1120,23 @@ Run.Transaction = Transaction
 Run.plugins = {}
 Run.plugins.BrowserCache = BrowserCache
 Run.plugins.DiskCache = DiskCache
+Run.plugins.ElectrumX = ElectrumX
 Run.plugins.IndexedDbCache = IndexedDbCache
 Run.plugins.Inventory = Inventory
 Run.plugins.LocalCache = LocalCache
+Run.plugins.LocalIndexer = LocalIndexer
 Run.plugins.LocalOwner = LocalOwner
 Run.plugins.LocalPurse = LocalPurse
 Run.plugins.LocalState = LocalState
 Run.plugins.Mockchain = Mockchain
+Run.plugins.MultiBlockchain = MultiBlockchain
 Run.plugins.NodeCache = NodeCache
+Run.plugins.NodeRpc = NodeRpc
 Run.plugins.PayServer = PayServer
 Run.plugins.RunConnect = RunConnect
 Run.plugins.RunDB = RunDB
 Run.plugins.StateServer = StateServer
+Run.plugins.TieredCache = TieredCache
 Run.plugins.Viewer = Viewer
 Run.plugins.WhatsOnChain = WhatsOnChain
 
@@ -1110,6 +1198,14 @@ Run.errors.RequestError = require('./plugins/request')._RequestError
 
 // Util
 Run.util = {}
+Run.util.bundle = async locations => {
+  if (!Array.isArray(locations) || locations.some(location => typeof location !== 'string')) {
+    throw new ArgumentError(`Invalid locations: ${_text(locations)}`)
+  }
+  const kernel = _activeKernel()
+  const timeout = new _Timeout('bundle', kernel._timeout)
+  return _bundle(locations, kernel, timeout)
+}
 Run.util.CommonLock = CommonLock
 Run.util.deps = rawtx => {
   if (typeof rawtx !== 'string' || !rawtx.length) throw new Error(`Invalid transaction: ${_text(rawtx)}`)
@@ -1119,8 +1215,22 @@ Run.util.metadata = rawtx => {
   if (typeof rawtx !== 'string' || !rawtx.length) throw new Error(`Invalid transaction: ${_text(rawtx)}`)
   return _extractMetadata(new bsv.Transaction(rawtx))
 }
+Run.util.decode = rawtx => {
+  if (typeof rawtx !== 'string' || !rawtx.length) throw new Error(`Invalid transaction: ${_text(rawtx)}`)
+  return _decodeTx(new bsv.Transaction(rawtx))
+}
+Run.util.describe = async rawtx => {
+  if (typeof rawtx !== 'string' || !rawtx.length) throw new Error(`Invalid transaction: ${_text(rawtx)}`)
+  const tx = new bsv.Transaction(rawtx)
+  const transaction = await Transaction._import(tx, tx.hash, _activeKernel())
+  return transaction.describe()
+}
 Run.util.install = install
 Run.util.recreateJigsFromStates = require('./kernel/recreate-sync')
+Run.util.unbundle = async (bundle, cache = _activeKernel()._cache) => {
+  if (!(cache instanceof Cache)) throw new ArgumentError(`Invalid cache: ${_text(cache)}`)
+  return _unbundle(bundle, cache)
+}
 Run.util.unify = unify
 Run.util.uninstall = uninstall
 Object.defineProperty(Run.util, 'sha256', {
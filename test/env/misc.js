@@ -179,6 +179,31 @@ async function createTestExtrasRun () {
   return run
 }
 
+// ------------------------------------------------------------------------------------------------
+// createAbortController
+// ------------------------------------------------------------------------------------------------
+
+// Older versions of node do not have AbortController, so we use a minimal stand-in for tests
+function createAbortController () {
+  if (typeof AbortController !== 'undefined') return new AbortController() // eslint-disable-line
+
+  const listeners = []
+  const signal = {
+    aborted: false,
+    addEventListener: (event, listener) => listeners.push(listener),
+    removeEventListener: (event, listener) => {
+      const index = listeners.indexOf(listener)
+      if (index !== -1) listeners.splice(index, 1)
+    }
+  }
+  const abort = () => {
+    if (signal.aborted) return
+    signal.aborted = true
+    listeners.slice().forEach(listener => listener())
+  }
+  return { signal, abort }
+}
+
 // ------------------------------------------------------------------------------------------------
 // rmrfSync
 // ------------------------------------------------------------------------------------------------
@@ -207,5 +232,6 @@ module.exports = {
   getTestExtrasBlockchain,
   createTestExtrasCache,
   createTestExtrasRun,
+  createAbortController,
   rmrfSync
 }
@@ -22,12 +22,14 @@ require('./extra/txo')
 
 require('./kernel/admin')
 require('./kernel/api')
+require('./kernel/audit')
 require('./kernel/auth')
 require('./kernel/berry')
 require('./kernel/bindings')
 require('./kernel/blockchain')
 require('./kernel/bsv')
 require('./kernel/build')
+require('./kernel/bundle')
 require('./kernel/cache')
 require('./kernel/call')
 require('./kernel/caller')
@@ -40,6 +42,7 @@ require('./kernel/deep')
 require('./kernel/deploy')
 require('./kernel/deps')
 require('./kernel/destroy')
+require('./kernel/describe')
 require('./kernel/determinism')
 require('./kernel/dynamic')
 require('./kernel/editor')
@@ -89,13 +92,17 @@ require('./plugins/blockchain-wrapper')
 require('./plugins/browser-cache')
 require('./plugins/cache-wrapper')
 require('./plugins/disk-cache')
+require('./plugins/electrumx')
 require('./plugins/indexeddb-cache')
 require('./plugins/inventory')
 require('./plugins/local-cache')
+require('./plugins/local-indexer')
 require('./plugins/local-owner')
 require('./plugins/local-purse')
 require('./plugins/mockchain')
+require('./plugins/multi-blockchain')
 require('./plugins/node-cache')
+require('./plugins/node-rpc')
 require('./plugins/pay-server')
 require('./plugins/purse-wrapper')
 require('./plugins/recent-broadcasts')
@@ -104,5 +111,6 @@ require('./plugins/run-connect')
 require('./plugins/run-db')
 require('./plugins/state-filter')
 require('./plugins/state-server')
+require('./plugins/tiered-cache')
 require('./plugins/viewer')
 require('./plugins/whatsonchain')
@@ -143,6 +143,17 @@ describe('Cache API', () => {
 
   // --------------------------------------------------------------------------
 
+  describe('optional methods', () => {
+    it('are not defined', () => {
+      expect(typeof new Cache().delete).to.equal('undefined')
+      expect(typeof new Cache().keys).to.equal('undefined')
+      expect(typeof new Cache().clear).to.equal('undefined')
+      expect(typeof new Cache().lock).to.equal('undefined')
+    })
+  })
+
+  // --------------------------------------------------------------------------
+
   describe('instanceof', () => {
     it('returns true if set and get functions are present', () => {
       expect(({ set: () => {}, get: () => {} }) instanceof Cache).to.equal(true)
@@ -0,0 +1,128 @@
+/**
+ * audit.js
+ *
+ * Tests for lib/kernel/audit.js
+ */
+
+const { describe, it, afterEach } = require('mocha')
+require('chai').use(require('chai-as-promised'))
+const { expect } = require('chai')
+const Run = require('../env/run')
+const { Jig } = Run
+const { LocalCache } = Run.plugins
+
+// ------------------------------------------------------------------------------------------------
+// audit
+// ------------------------------------------------------------------------------------------------
+
+describe('audit', () => {
+  // Wait for every test to finish. This makes debugging easier.
+  afterEach(() => Run.instance && Run.instance.sync())
+  // Deactivate the current run instance. This stops leaks across tests.
+  afterEach(() => Run.instance && Run.instance.deactivate())
+
+  it('no mismatches', async () => {
+    const run = new Run()
+    class A extends Jig { f () { this.n = 1 } }
+    const a = new A()
+    await a.sync()
+    const origin = a.location
+    a.f()
+    await a.sync()
+    const report = await run.audit(a.location)
+    expect(report.location).to.equal(a.location)
+    expect(report.checked).to.include(`jig://${a.location}`)
+    expect(report.checked).to.include(`jig://${origin}`)
+    expect(report.checked).to.include(`jig://${A.location}`)
+    expect(report.mismatches).to.deep.equal([])
+  })
+
+  // --------------------------------------------------------------------------
+
+  it('detects cache mismatch', async () => {
+    const run = new Run()
+    class A extends Jig { init () { this.n = 1 } }
+    const a = new A()
+    await a.sync()
+    const cache = new LocalCache()
+    cache.setWrappingEnabled(false)
+    const key = `jig://${a.location}`
+    const state = await run.cache.get(key)
+    await cache.set(key, Object.assign({}, state, { props: Object.assign({}, state.props, { n: 2 }) }))
+    run.cache = cache
+    const report = await run.audit(a.location)
+    expect(report.mismatches.length).to.equal(1)
+    expect(report.mismatches[0].key).to.equal(key)
+    expect(report.mismatches[0].source).to.equal('cache')
+    expect(report.mismatches[0].expected).not.to.equal(report.mismatches[0].actual)
+  })
+
+  // --------------------------------------------------------------------------
+
+  it('detects state mismatch', async () => {
+    const run = new Run()
+    class A extends Jig { init () { this.n = 1 } }
+    const a = new A()
+    await a.sync()
+    const key = `jig://${a.location}`
+    const state = await run.cache.get(key)
+    const tampered = Object.assign({}, state, { props: Object.assign({}, state.props, { n: 2 }) })
+    run.state = { pull: async k => k === key ? tampered : undefined }
+    const report = await run.audit(a.location)
+    expect(report.mismatches.length).to.equal(1)
+    expect(report.mismatches[0].key).to.equal(key)
+    expect(report.mismatches[0].source).to.equal('state')
+  })
+
+  // --------------------------------------------------------------------------
+
+  it('does not write to cache', async () => {
+    const run = new Run()
+    class A extends Jig { }
+    const a = new A()
+    await a.sync()
+    run.cache = new LocalCache()
+    const report = await run.audit(a.location)
+    expect(report.mismatches).to.deep.equal([])
+    expect(await run.cache.get(`jig://${a.location}`)).to.equal(undefined)
+  })
+
+  // --------------------------------------------------------------------------
+
+  it('does not affect the instance', async () => {
+    const run = new Run()
+    class A extends Jig { }
+    const a = new A()
+    await a.sync()
+    const misses = []
+    run.on('cache-miss', event => misses.push(event))
+    const trustlist = new Set(run._kernel._trustlist)
+    const report = await run.audit(a.location)
+    expect(report.mismatches).to.deep.equal([])
+    expect(Run.instance).to.equal(run)
+    expect(misses).to.deep.equal([])
+    expect(run._kernel._trustlist).to.deep.equal(trustlist)
+  })
+
+  // --------------------------------------------------------------------------
+
+  it('throws if untrusted', async () => {
+    const run = new Run()
+    class A extends Jig { }
+    run.deploy(A)
+    await run.sync()
+    const run2 = new Run({ trust: [] })
+    await expect(run2.audit(A.location)).to.be.rejectedWith('Cannot load untrusted code')
+  })
+
+  // --------------------------------------------------------------------------
+
+  it('throws if not a jig', async () => {
+    const run = new Run()
+    expect(() => run.audit(null)).to.throw('Invalid location')
+    await expect(run.audit('abc')).to.be.rejectedWith('Bad location')
+    await expect(run.audit('native://Jig')).to.be.rejectedWith('Not a jig')
+  })
+})
+
+// ------------------------------------------------------------------------------------------------
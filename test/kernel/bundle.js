@@ -0,0 +1,177 @@
+/**
+ * bundle.js
+ *
+ * Tests for lib/kernel/bundle.js
+ */
+
+const { describe, it, afterEach } = require('mocha')
+require('chai').use(require('chai-as-promised'))
+const { expect } = require('chai')
+const Run = require('../env/run')
+const { Jig, Berry } = Run
+const { LocalCache } = Run.plugins
+
+// ------------------------------------------------------------------------------------------------
+// bundle
+// ------------------------------------------------------------------------------------------------
+
+describe('bundle', () => {
+  // Wait for every test to finish. This makes debugging easier.
+  afterEach(() => Run.instance && Run.instance.sync())
+  // Deactivate the current run instance. This stops leaks across tests.
+  afterEach(() => Run.instance && Run.instance.deactivate())
+
+  // --------------------------------------------------------------------------
+  // bundle
+  // --------------------------------------------------------------------------
+
+  describe('bundle', () => {
+    it('exports jig, its class, and references', async () => {
+      const run = new Run()
+      class A extends Jig { init (x) { this.x = x } }
+      class B extends A { }
+      run.deploy(B)
+      await run.sync()
+      const a = new A(null)
+      const b = new B(a)
+      await run.sync()
+      const bundle = await Run.util.bundle([b.location])
+      const locations = [b.location, a.location, A.location, B.location]
+      const txids = new Set(locations.map(location => location.slice(0, 64)))
+      const keys = locations.map(location => `jig://${location}`)
+      txids.forEach(txid => keys.push(`tx://${txid}`))
+      expect(Object.keys(bundle)).to.have.members(keys)
+      expect(bundle[`tx://${A.location.slice(0, 64)}`]).to.equal(await run.blockchain.fetch(A.location.slice(0, 64)))
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('loads states not in the cache', async () => {
+      const run = new Run()
+      class A extends Jig { }
+      const a = new A()
+      await a.sync()
+      run.cache = new LocalCache()
+      const bundle = await Run.util.bundle([a.location])
+      expect(bundle[`jig://${a.location}`].kind).to.equal('jig')
+      expect(bundle[`jig://${A.location}`].kind).to.equal('code')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('exports berries', async () => {
+      const run = new Run()
+      class B extends Berry { static async pluck () { return new B() } }
+      run.deploy(B)
+      await run.sync()
+      const b = await B.load('abc')
+      const bundle = await Run.util.bundle([b.location])
+      expect(bundle[`jig://${B.location}`].kind).to.equal('code')
+      const berryKey = Object.keys(bundle).find(key => key.startsWith('berry://'))
+      expect(bundle[berryKey].kind).to.equal('berry')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid locations', async () => {
+      new Run() // eslint-disable-line
+      await expect(Run.util.bundle()).to.be.rejectedWith('Invalid locations')
+      await expect(Run.util.bundle('abc')).to.be.rejectedWith('Invalid locations')
+      await expect(Run.util.bundle([null])).to.be.rejectedWith('Invalid locations')
+      await expect(Run.util.bundle(['abc'])).to.be.rejectedWith('Bad location')
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // unbundle
+  // --------------------------------------------------------------------------
+
+  describe('unbundle', () => {
+    it('primes cache', async () => {
+      const run = new Run()
+      class A extends Jig { init (n) { this.n = n } }
+      const a = new A(1)
+      await a.sync()
+      const bundle = await Run.util.bundle([a.location])
+      run.cache = new LocalCache()
+      await Run.util.unbundle(bundle)
+      for (const key of Object.keys(bundle)) {
+        expect(await run.cache.get(key)).to.deep.equal(bundle[key])
+      }
+      const events = []
+      run.on('replay-start', (event, data) => events.push(data))
+      const a2 = await run.load(a.location)
+      expect(a2.n).to.equal(1)
+      expect(events.length).to.equal(0)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('primes custom cache', async () => {
+      new Run() // eslint-disable-line
+      class A extends Jig { }
+      const a = new A()
+      await a.sync()
+      const bundle = await Run.util.bundle([a.location])
+      const cache = new LocalCache()
+      await Run.util.unbundle(bundle, cache)
+      expect(await cache.get(`jig://${a.location}`)).to.deep.equal(bundle[`jig://${a.location}`])
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('recreates jigs synchronously', async () => {
+      new Run() // eslint-disable-line
+      class A extends Jig { init (n) { this.n = n } }
+      const a = new A(1)
+      await a.sync()
+      const bundle = await Run.util.bundle([a.location])
+      const jigs = Run.util.recreateJigsFromStates(bundle)
+      expect(jigs[a.location].n).to.equal(1)
+      expect(jigs[a.location].location).to.equal(a.location)
+      expect(jigs[a.location] instanceof jigs[A.location]).to.equal(true)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid bundle', async () => {
+      new Run() // eslint-disable-line
+      await expect(Run.util.unbundle()).to.be.rejectedWith('Invalid bundle')
+      await expect(Run.util.unbundle(null)).to.be.rejectedWith('Invalid bundle')
+      await expect(Run.util.unbundle([])).to.be.rejectedWith('Invalid bundle')
+      await expect(Run.util.unbundle({ 'config://code-filter': {} })).to.be.rejectedWith('Invalid bundle key')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if state does not match transaction', async () => {
+      const run = new Run()
+      class A extends Jig { init (n) { this.n = n } }
+      const a = new A(1)
+      await a.sync()
+      const bundle = await Run.util.bundle([a.location])
+      const key = `jig://${a.location}`
+      const state = bundle[key]
+      bundle[key] = Object.assign({}, state, { props: Object.assign({}, state.props, { n: 2 }) })
+      const cache = new LocalCache()
+      await expect(Run.util.unbundle(bundle, cache)).to.be.rejectedWith(`Invalid bundle state: ${key}`)
+      expect(await cache.keys()).to.deep.equal([])
+      delete bundle[`tx://${a.location.slice(0, 64)}`]
+      bundle[key] = state
+      await expect(Run.util.unbundle(bundle, cache)).to.be.rejectedWith(`Invalid bundle state: ${key}`)
+      const txid = run.blockchain.fund(run.purse.address, 10000)
+      bundle[`tx://${a.location.slice(0, 64)}`] = await run.blockchain.fetch(txid)
+      await expect(Run.util.unbundle(bundle, cache)).to.be.rejectedWith('Invalid bundle transaction')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid cache', async () => {
+      new Run() // eslint-disable-line
+      await expect(Run.util.unbundle({}, null)).to.be.rejectedWith('Invalid cache')
+      await expect(Run.util.unbundle({}, {})).to.be.rejectedWith('Invalid cache')
+    })
+  })
+})
+
+// ------------------------------------------------------------------------------------------------
@@ -0,0 +1,199 @@
+/**
+ * describe.js
+ *
+ * Tests for lib/kernel/describe.js
+ */
+
+const { describe, it, afterEach } = require('mocha')
+require('chai').use(require('chai-as-promised'))
+const { expect } = require('chai')
+const { PrivateKey } = require('bsv')
+const Run = require('../env/run')
+const { Jig, Transaction } = Run
+
+// ------------------------------------------------------------------------------------------------
+// describe
+// ------------------------------------------------------------------------------------------------
+
+describe('describe', () => {
+  // Wait for every test to finish. This makes debugging easier.
+  afterEach(() => Run.instance && Run.instance.sync())
+  // Deactivate the current run instance. This stops leaks across tests.
+  afterEach(() => Run.instance && Run.instance.deactivate())
+
+  it('deploy', () => {
+    const run = new Run()
+    class Dragon extends Jig { }
+    function f () { }
+    const tx = new Transaction()
+    tx.update(() => { run.deploy(Dragon); run.deploy(f) })
+    const { actions } = tx.describe()
+    expect(actions.length).to.equal(2)
+    expect(actions[0]).to.deep.equal({ op: 'DEPLOY', classes: ['class Dragon'], text: 'deploy class Dragon' })
+    expect(actions[1].text).to.equal('deploy function f')
+    tx.rollback()
+  })
+
+  // --------------------------------------------------------------------------
+
+  it('call', async () => {
+    new Run() // eslint-disable-line
+    class Token extends Jig { send (to, amount) { this.owner = to; this.amount = amount } }
+    const token = new Token()
+    await token.sync()
+    const location = token.location
+    const to = new PrivateKey().toAddress().toString()
+    const tx = new Transaction()
+    tx.update(() => token.send(to, 100))
+    const { actions } = tx.describe()
+    expect(actions[0].op).to.equal('CALL')
+    expect(actions[0].target).to.equal(`Token@${location}`)
+    expect(actions[0].method).to.equal('send')
+    expect(actions[0].args).to.deep.equal([`"${to}"`, '100'])
+    expect(actions[0].text).to.equal(`call send on Token@${location} with args ["${to}", 100]`)
+    tx.rollback()
+  })
+
+  // --------------------------------------------------------------------------
+
+  it('new with jig args', async () => {
+    const run = new Run()
+    class A extends Jig { init (b) { this.b = b } }
+    class B extends Jig { }
+    run.deploy(A)
+    const b = new B()
+    await run.sync()
+    const tx = new Transaction()
+    tx.update(() => new A(b))
+    const { actions } = tx.describe()
+    expect(actions[0].text).to.equal(`create instance of A@${A.location} with args [B@${b.location}]`)
+    tx.rollback()
+  })
+
+  // --------------------------------------------------------------------------
+
+  it('new jigs labeled by local location', () => {
+    const run = new Run()
+    class A extends Jig { }
+    const tx = new Transaction()
+    tx.update(() => { const A2 = run.deploy(A); new A2() }) // eslint-disable-line
+    const description = tx.describe()
+    expect(description.actions[1].text).to.equal('create instance of A@_o1 with args []')
+    expect(description.outputs.map(x => x.jig)).to.deep.equal(['A@_o1', 'A@_o2'])
+    tx.rollback()
+  })
+
+  // --------------------------------------------------------------------------
+
+  it('upgrade', async () => {
+    const run = new Run()
+    class A { }
+    class B { }
+    const CA = run.deploy(A)
+    await CA.sync()
+    const location = CA.location
+    const tx = new Transaction()
+    tx.update(() => CA.upgrade(B))
+    const { actions } = tx.describe()
+    expect(actions[0]).to.deep.equal({ op: 'UPGRADE', target: `A@${location}`, to: 'class B', text: `upgrade A@${location} to class B` })
+    tx.rollback()
+  })
+
+  // --------------------------------------------------------------------------
+
+  it('special args', async () => {
+    new Run() // eslint-disable-line
+    class A extends Jig { f () { } }
+    const a = new A()
+    await a.sync()
+    const tx = new Transaction()
+    tx.update(() => a.f(undefined, NaN, Infinity, new Set([1]), new Map([['a', 'b']]), { x: [1, null] }))
+    const { actions } = tx.describe()
+    expect(actions[0].args).to.deep.equal(['undefined', 'NaN', 'Infinity', 'Set [1]', 'Map [["a", "b"]]', '{ x: [1, null] }'])
+    tx.rollback()
+  })
+
+  // --------------------------------------------------------------------------
+
+  it('owners and satoshis', async () => {
+    const run = new Run()
+    class A extends Jig { init () { this.satoshis = 100 } f (owner) { this.owner = owner; this.satoshis = 300 } }
+    const a = new A()
+    await a.sync()
+    const location = a.location
+    const to = new PrivateKey().toAddress().toString()
+    const tx = new Transaction()
+    tx.update(() => a.f(to))
+    const { inputs, outputs, deletes } = tx.describe()
+    expect(inputs).to.deep.equal([{ jig: `A@${location}`, owner: run.owner.address, satoshis: 100 }])
+    expect(outputs).to.deep.equal([{ jig: `A@${location}`, location: '_o1', owner: to, satoshis: 300, change: 200 }])
+    expect(deletes).to.deep.equal([])
+    tx.rollback()
+  })
+
+  // --------------------------------------------------------------------------
+
+  it('deletes', async () => {
+    new Run() // eslint-disable-line
+    class A extends Jig { init () { this.satoshis = 100 } }
+    const a = new A()
+    await a.sync()
+    const location = a.location
+    const tx = new Transaction()
+    tx.update(() => a.destroy())
+    const { actions, deletes } = tx.describe()
+    expect(actions[0].text).to.equal(`call destroy on A@${location} with args []`)
+    expect(deletes).to.deep.equal([{ jig: `A@${location}`, location: '_d0', satoshis: 0, change: -100 }])
+    tx.rollback()
+  })
+
+  // --------------------------------------------------------------------------
+
+  it('group owner', async () => {
+    const run = new Run()
+    const { Group } = Run.extra.test
+    class A extends Jig { f (owner) { this.owner = owner } }
+    const a = new A()
+    await a.sync()
+    const group = new Group([run.owner.pubkey], 1)
+    const tx = new Transaction()
+    tx.update(() => a.f(group))
+    const { outputs } = tx.describe()
+    expect(outputs[0].owner).to.equal('[object Group]')
+    tx.rollback()
+  })
+
+  // --------------------------------------------------------------------------
+
+  it('util', async () => {
+    const run = new Run()
+    class A extends Jig { f (n) { this.n = n } }
+    const a = new A()
+    await a.sync()
+    const location = a.location
+    a.f(1)
+    await a.sync()
+    const rawtx = await run.blockchain.fetch(a.location.slice(0, 64))
+    const description = await Run.util.describe(rawtx)
+    expect(description.actions[0].text).to.equal(`call f on A@${location} with args [1]`)
+    expect(description.outputs[0].jig).to.equal(`A@${location}`)
+  })
+
+  // --------------------------------------------------------------------------
+
+  it('throws if nothing to describe', () => {
+    new Run() // eslint-disable-line
+    const tx = new Transaction()
+    expect(() => tx.describe()).to.throw('Nothing to describe')
+  })
+
+  // --------------------------------------------------------------------------
+
+  it('util throws if invalid transaction', async () => {
+    new Run() // eslint-disable-line
+    await expect(Run.util.describe(null)).to.be.rejectedWith('Invalid transaction')
+    await expect(Run.util.describe('')).to.be.rejectedWith('Invalid transaction')
+  })
+})
+
+// ------------------------------------------------------------------------------------------------
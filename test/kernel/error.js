@@ -13,6 +13,14 @@ const Run = require('../env/run')
 // ------------------------------------------------------------------------------------------------
 
 describe('Error', () => {
+  it('AbortError', () => {
+    const error = new Run.errors.AbortError('hello')
+    expect(error.name).to.equal('AbortError')
+    expect(error.message).to.equal('hello')
+  })
+
+  // --------------------------------------------------------------------------
+
   it('ArgumentError', () => {
     const error = new Run.errors.ArgumentError('hello')
     expect(error.name).to.equal('ArgumentError')
@@ -5,9 +5,12 @@
  */
 
 const { describe, it, afterEach } = require('mocha')
+require('chai').use(require('chai-as-promised'))
 const { expect } = require('chai')
+const { fake, stub } = require('sinon')
 const Run = require('../env/run')
 const { Jig } = Run
+const { LocalCache } = Run.plugins
 
 // ------------------------------------------------------------------------------------------------
 // Kernel
@@ -33,6 +36,126 @@ describe('Kernel', () => {
     expect(a.nonce).to.equal(1)
     expect(b.nonce).to.equal(1)
   })
+
+  // --------------------------------------------------------------------------
+
+  it('clone copies plugins and settings', () => {
+    const run = new Run({ trust: ['state'] })
+    run.on('publish', () => {})
+    const kernel = run._kernel._clone()
+    expect(kernel).not.to.equal(run._kernel)
+    expect(kernel._blockchain).to.equal(run._kernel._blockchain)
+    expect(kernel._cache).to.equal(run._kernel._cache)
+    expect(kernel._owner).to.equal(run._kernel._owner)
+    expect(kernel._timeout).to.equal(run._kernel._timeout)
+    expect(kernel._listeners).to.deep.equal([])
+    expect(kernel._trustlist.has('state')).to.equal(true)
+    kernel._trustlist.add('def')
+    expect(run._kernel._trustlist.has('def')).to.equal(false)
+  })
+
+  // --------------------------------------------------------------------------
+  // Events
+  // --------------------------------------------------------------------------
+
+  describe('events', () => {
+    it('pay, sign, and broadcast', async () => {
+      const run = new Run()
+      class A extends Jig { }
+      const a = new A()
+      await a.sync()
+      const pay = fake()
+      const sign = fake()
+      const broadcast = fake()
+      run.on('pay', pay)
+      run.on('sign', sign)
+      run.on('broadcast', broadcast)
+      const location = a.location
+      a.auth()
+      await a.sync()
+      expect(pay.firstCall.args[0]).to.equal('pay')
+      expect(pay.firstCall.args[1].locations).to.deep.equal([location])
+      expect(typeof pay.firstCall.args[1].time).to.equal('number')
+      expect(sign.firstCall.args[1].locations).to.deep.equal([location])
+      expect(broadcast.firstCall.args[1].txid).to.equal(a.location.slice(0, 64))
+      expect(broadcast.firstCall.args[1].locations).to.deep.equal([location])
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('broadcast-error', async () => {
+      const run = new Run()
+      const callback = fake()
+      run.on('broadcast-error', callback)
+      stub(run.blockchain, 'broadcast').throws(new Error('abc'))
+      class A extends Jig { }
+      const a = new A()
+      await expect(a.sync()).to.be.rejectedWith('Broadcast failed: abc')
+      const data = callback.firstCall.args[1]
+      expect(data.txid.length).to.equal(64)
+      expect(data.error.message).to.equal('Broadcast failed: abc')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('replay-start, replay-end, and cache-miss', async () => {
+      const run = new Run()
+      class A extends Jig { }
+      const a = new A()
+      await a.sync()
+      run.cache = new LocalCache()
+      const events = []
+      const callback = (event, data) => events.push([event, data])
+      run.on('replay-start', callback)
+      run.on('replay-end', callback)
+      run.on('cache-miss', callback)
+      await run.load(a.location)
+      const txid = a.location.slice(0, 64)
+      expect(events.some(([event, data]) => event === 'cache-miss' && data.key === `jig://${a.location}`)).to.equal(true)
+      expect(events.some(([event, data]) => event === 'replay-start' && data.txid === txid)).to.equal(true)
+      const [, end] = events.find(([event, data]) => event === 'replay-end' && data.txid === txid)
+      expect(end.locations).to.include(a.location)
+      expect(typeof end.time).to.equal('number')
+      expect(end.error).to.equal(undefined)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('trust-denied', async () => {
+      const run = new Run()
+      class A extends Jig { }
+      run.deploy(A)
+      await run.sync()
+      const run2 = new Run({ trust: [] })
+      run2.cache = new LocalCache()
+      const callback = fake()
+      run2.on('trust-denied', callback)
+      await expect(run2.load(A.location)).to.be.rejectedWith('Cannot load untrusted code')
+      expect(callback.firstCall.args[1].txid).to.equal(A.location.slice(0, 64))
+      expect(callback.firstCall.args[1].error instanceof Run.errors.TrustError).to.equal(true)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('rollback', async () => {
+      const run = new Run()
+      class A extends Jig { f () { this.n = 1; throw new Error('abc') } }
+      const a = new A()
+      await a.sync()
+      const callback = fake()
+      run.on('rollback', callback)
+      expect(() => a.f()).to.throw('abc')
+      expect(callback.firstCall.args[1].locations).to.deep.equal([a.location])
+      expect(callback.firstCall.args[1].error.message).to.equal('abc')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid event', () => {
+      const run = new Run()
+      expect(() => run.on('pay2', () => {})).to.throw('Invalid event')
+    })
+  })
 })
 
 // ------------------------------------------------------------------------------------------------
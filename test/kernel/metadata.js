@@ -275,3 +275,102 @@ describe('deps', () => {
 })
 
 // ------------------------------------------------------------------------------------------------
+// decode
+// ------------------------------------------------------------------------------------------------
+
+describe('decode', () => {
+  it('deploy and create', async () => {
+    const run = new Run({ app: 'TestApp' })
+    class A extends Jig { }
+    const tx = new Run.Transaction()
+    tx.update(() => { const A2 = run.deploy(A); new A2() }) // eslint-disable-line
+    await tx.publish()
+    const txid = A.location.slice(0, 64)
+    const rawtx = await run.blockchain.fetch(txid)
+    run.deactivate()
+    const decoded = Run.util.decode(rawtx)
+    expect(decoded.txid).to.equal(txid)
+    expect(decoded.app).to.equal('TestApp')
+    expect(decoded.version).to.equal(Run.protocol)
+    expect(decoded.in).to.deep.equal([])
+    expect(decoded.ref).to.deep.equal(['native://Jig'])
+    expect(decoded.out.length).to.equal(2)
+    expect(decoded.cre).to.deep.equal([run.owner.address, run.owner.address])
+    expect(decoded.exec[0].op).to.equal('DEPLOY')
+    expect(decoded.exec[0].data[1].deps).to.deep.equal({ Jig: { $jig: 'native://Jig' } })
+    expect(decoded.exec[1]).to.deep.equal({ op: 'NEW', data: [{ $jig: `${txid}_o1` }, []] })
+    const script = bsv.Script.fromAddress(run.owner.address).toHex()
+    expect(decoded.outputs).to.deep.equal([
+      { location: `${txid}_o1`, script, satoshis: 1 },
+      { location: `${txid}_o2`, script, satoshis: 1 }
+    ])
+    expect(decoded.deletes).to.deep.equal([])
+  })
+
+  // --------------------------------------------------------------------------
+
+  it('inputs and refs', async () => {
+    const run = new Run()
+    class A extends Jig { f (b) { this.b = b } }
+    const a = new A()
+    const b = new A()
+    await run.sync()
+    const location = a.location
+    a.f(b)
+    await a.sync()
+    const txid = a.location.slice(0, 64)
+    const rawtx = await run.blockchain.fetch(txid)
+    const decoded = Run.util.decode(rawtx)
+    expect(decoded.in).to.deep.equal([location])
+    expect(decoded.ref).to.include(b.location)
+    expect(decoded.exec).to.deep.equal([{ op: 'CALL', data: [{ $jig: location }, 'f', [{ $jig: b.location }]] }])
+    expect(decoded.outputs[0].location).to.equal(a.location)
+  })
+
+  // --------------------------------------------------------------------------
+
+  it('deletes', async () => {
+    const run = new Run()
+    class A extends Jig { f (x) { this.x = x } }
+    const a = new A()
+    const c = new A()
+    await run.sync()
+    const location = c.location
+    const tx = new Run.Transaction()
+    const b = tx.update(() => { a.destroy(); const b = new A(); c.f(b); return b })
+    await tx.publish()
+    const txid = b.location.slice(0, 64)
+    const rawtx = await run.blockchain.fetch(txid)
+    const decoded = Run.util.decode(rawtx)
+    expect(decoded.deletes).to.deep.equal([`${txid}_d0`])
+    expect(decoded.outputs.map(x => x.location)).to.deep.equal([c.location, b.location])
+    expect(decoded.exec[2].data[0]).to.deep.equal({ $jig: location })
+    expect(typeof decoded.exec[2].data[2][0].$jig).to.equal('number')
+  })
+
+  // --------------------------------------------------------------------------
+
+  it('base outputs', async () => {
+    const run = new Run()
+    const tx = new Run.Transaction()
+    const base = new bsv.Transaction().addSafeData('123')
+    tx.base = base.toString()
+    const CA = tx.update(() => run.deploy(class A {}))
+    await tx.publish()
+    const rawtx = await run.blockchain.fetch(CA.location.slice(0, 64))
+    const decoded = Run.util.decode(rawtx)
+    expect(decoded.vrun).to.equal(1)
+    expect(decoded.base).to.equal(base.toString())
+    expect(decoded.baseOutputs).to.deep.equal([{ script: base.outputs[0].script.toHex(), satoshis: 0 }])
+    expect(decoded.outputs[0].location).to.equal(CA.location)
+  })
+
+  // --------------------------------------------------------------------------
+
+  it('throws if not a RUN transaction', () => {
+    expect(() => Run.util.decode(new bsv.Transaction().toString())).to.throw('Not a RUN transaction')
+    expect(() => Run.util.decode(null)).to.throw('Invalid transaction')
+  })
+})
+
+// ------------------------------------------------------------------------------------------------
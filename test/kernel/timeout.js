@@ -1,7 +1,7 @@
 /**
  * timeout.js
  *
- * Tests for global timeout functionality
+ * Tests for global timeout and abort functionality
  */
 
 const { describe, it, afterEach } = require('mocha')
@@ -11,6 +11,8 @@ const { expect } = require('chai')
 const Run = require('../env/run')
 const { Jig } = Run
 const { LocalCache } = Run.plugins
+const { AbortError } = Run.errors
+const { createAbortController } = require('../env/misc')
 
 // ------------------------------------------------------------------------------------------------
 // Timeout
@@ -89,6 +91,101 @@ describe('Timeout', () => {
     run.timeout = Infinity
     await run.load(a.location)
   })
+
+  // --------------------------------------------------------------------------
+  // Abort
+  // --------------------------------------------------------------------------
+
+  describe('abort', () => {
+    it('load', async () => {
+      const run = new Run()
+      class A extends Jig { }
+      const a = new A()
+      await run.sync()
+      run.cache = new LocalCache()
+      const controller = createAbortController()
+      controller.abort()
+      await expect(run.load(a.location, { signal: controller.signal })).to.be.rejectedWith(AbortError, 'load aborted')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('load passes signal to blockchain', async () => {
+      const run = new Run()
+      class A extends Jig { }
+      const a = new A()
+      await run.sync()
+      run.cache = new LocalCache()
+      const controller = createAbortController()
+      const fetch = run.blockchain.fetch
+      const stubbed = stub(run.blockchain, 'fetch').callsFake(async (txid, options) => {
+        controller.abort()
+        return fetch.call(run.blockchain, txid)
+      })
+      await expect(run.load(a.location, { signal: controller.signal })).to.be.rejectedWith(AbortError)
+      expect(stubbed.firstCall.args[1].signal).to.equal(controller.signal)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('jig sync', async () => {
+      const run = new Run()
+      class A extends Jig { }
+      const a = new A()
+      await run.sync()
+      const controller = createAbortController()
+      const sleep = ms => new Promise((resolve, reject) => setTimeout(resolve, ms))
+      const pay = run.purse.pay
+      stub(run.purse, 'pay').callsFake(async (...args) => { await sleep(100); return pay.apply(run.purse, args) })
+      a.auth()
+      const promise = a.sync({ signal: controller.signal })
+      controller.abort()
+      await expect(promise).to.be.rejectedWith(AbortError, 'sync aborted')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('run sync', async () => {
+      const run = new Run()
+      class A extends Jig { }
+      const sleep = ms => new Promise((resolve, reject) => setTimeout(resolve, ms))
+      const pay = run.purse.pay
+      stub(run.purse, 'pay').callsFake(async (...args) => { await sleep(100); return pay.apply(run.purse, args) })
+      run.deploy(A)
+      const controller = createAbortController()
+      const promise = run.sync({ signal: controller.signal })
+      controller.abort()
+      await expect(promise).to.be.rejectedWith(AbortError, 'sync aborted')
+      await run.sync()
+      expect(A.location.length).to.equal(67)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('publish', async () => {
+      const run = new Run()
+      class A extends Jig { }
+      const controller = createAbortController()
+      stub(run.purse, 'pay').callsFake(async x => { controller.abort(); return x })
+      const tx = new Run.Transaction()
+      tx.update(() => run.deploy(A))
+      await expect(tx.publish({ signal: controller.signal })).to.be.rejectedWith(AbortError, 'publish aborted')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid signal', () => {
+      const run = new Run()
+      class A extends Jig { }
+      const location = '0000000000000000000000000000000000000000000000000000000000000000_o1'
+      expect(() => run.load(location, { signal: {} })).to.throw('Invalid signal')
+      expect(() => run.sync({ signal: null })).to.throw('Invalid signal')
+      const tx = new Run.Transaction()
+      tx.update(() => run.deploy(A))
+      expect(() => tx.publish({ signal: 123 })).to.throw('Invalid signal')
+      tx.rollback()
+    })
+  })
 })
 
 // ------------------------------------------------------------------------------------------------
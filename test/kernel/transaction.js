@@ -14,6 +14,7 @@ const Run = require('../env/run')
 const { Jig, Berry, Transaction } = Run
 const { LocalCache, LocalPurse, LocalOwner } = Run.plugins
 const { STRESS } = require('../env/config')
+const { createTestExtrasRun } = require('../env/misc')
 
 // ------------------------------------------------------------------------------------------------
 // Transaction
@@ -1815,6 +1816,529 @@ describe('Transaction', () => {
     })
   })
 
+  // --------------------------------------------------------------------------
+  // estimate
+  // --------------------------------------------------------------------------
+
+  describe('estimate', () => {
+    // One P2PKH input and one P2PKH change output that a typical purse adds
+    const PAY_SIZE = 149 + 34
+
+    it('deploy and create', async () => {
+      const run = new Run()
+      class A extends Jig { }
+      const tx = new Transaction()
+      tx.update(() => { const A2 = run.deploy(A); new A2() }) // eslint-disable-line
+      const estimate = tx.estimate()
+      const rawtx = await tx.export({ pay: false, sign: false })
+      expect(estimate.size).to.equal(rawtx.length / 2 + PAY_SIZE)
+      expect(estimate.fee).to.equal(Math.ceil(estimate.size * run.purse.feePerKb / 1000))
+      expect(estimate.satoshis).to.equal(2)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('includes payment', async () => {
+      const run = new Run()
+      class A extends Jig { }
+      const tx = new Transaction()
+      tx.update(() => { const A2 = run.deploy(A); new A2() }) // eslint-disable-line
+      const estimate = tx.estimate()
+      const paidtx = new bsv.Transaction(await tx.export({ sign: false }))
+      expect(paidtx.inputs.length).to.equal(1)
+      expect(Math.abs(estimate.size - paidtx.toBuffer().length) <= 2).to.equal(true)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('sizes unlocking scripts using domain', async () => {
+      const run = new Run()
+      class A extends Jig { f () { this.n = 1 } }
+      const a = new A()
+      const b = new A()
+      await run.sync()
+      const tx = new Transaction()
+      tx.update(() => { a.f(); b.f() })
+      const estimate = tx.estimate()
+      const rawtx = await tx.export({ pay: false, sign: false })
+      const domain = new Run.util.CommonLock(run.owner.address).domain()
+      expect(estimate.size).to.equal(rawtx.length / 2 + 2 * domain + PAY_SIZE)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('does not call purse or owner', async () => {
+      const run = new Run()
+      class A extends Jig { }
+      const pay = stub(run.purse, 'pay')
+      const nextOwner = stub(run.owner, 'nextOwner')
+      const sign = stub(run.owner, 'sign')
+      const tx = new Transaction()
+      tx.update(() => run.deploy(A))
+      tx.estimate()
+      expect(pay.called).to.equal(false)
+      expect(nextOwner.called).to.equal(false)
+      expect(sign.called).to.equal(false)
+      tx.rollback()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('fee uses purse feePerKb', () => {
+      const run = new Run()
+      class A extends Jig { }
+      run.purse.feePerKb = 2000
+      const tx = new Transaction()
+      tx.update(() => run.deploy(A))
+      const estimate = tx.estimate()
+      expect(estimate.fee).to.equal(estimate.size * 2)
+      tx.rollback()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('backing satoshis', async () => {
+      const run = new Run()
+      class A extends Jig { init () { this.satoshis = 1000 } }
+      run.deploy(A)
+      await run.sync()
+      const tx = new Transaction()
+      tx.update(() => new A())
+      expect(tx.estimate().satoshis).to.equal(1000)
+      tx.rollback()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('upstream unpublished', async () => {
+      const run = new Run()
+      class A extends Jig { f () { this.n = 1 } }
+      const a = new A()
+      const tx = new Transaction()
+      tx.update(() => a.f())
+      const estimate = tx.estimate()
+      const rawtx = await tx.export({ pay: false, sign: false })
+      const domain = new Run.util.CommonLock(run.owner.address).domain()
+      expect(estimate.size).to.equal(rawtx.length / 2 + domain + PAY_SIZE)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if nothing to estimate', () => {
+      new Run() // eslint-disable-line
+      const tx = new Transaction()
+      expect(() => tx.estimate()).to.throw('Nothing to estimate')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if published', async () => {
+      new Run() // eslint-disable-line
+      class A extends Jig { }
+      const tx = new Transaction()
+      tx.update(() => new A())
+      await tx.publish()
+      expect(() => tx.estimate()).to.throw('estimate disabled once published')
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // simulate
+  // --------------------------------------------------------------------------
+
+  describe('simulate', () => {
+    it('update', async () => {
+      const run = new Run()
+      class A extends Jig { send (to) { this.owner = to } }
+      const a = new A()
+      await run.sync()
+      const to = new PrivateKey().toAddress().toString()
+      const tx = new Transaction()
+      tx.update(() => a.send(to))
+      const result = await tx.simulate()
+      expect(result.outputs.length).to.equal(1)
+      expect(result.deletes.length).to.equal(0)
+      expect(result.outputs[0].props.owner).to.equal(to)
+      expect(result.outputs[0].props.nonce).to.equal(2)
+      await tx.publish()
+      const metadata = Run.util.metadata(await run.blockchain.fetch(a.location.slice(0, 64)))
+      expect(result.metadata).to.deep.equal(metadata)
+      expect(await run.cache.get(`jig://${a.location}`)).to.deep.equal(result.outputs[0])
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('deploy and create', async () => {
+      const run = new Run()
+      class A extends Jig { init (n) { this.n = n } }
+      const tx = new Transaction()
+      tx.update(() => { const A2 = run.deploy(A); new A2(1) }) // eslint-disable-line
+      const result = await tx.simulate()
+      expect(result.outputs.length).to.equal(2)
+      expect(result.outputs[0].kind).to.equal('code')
+      expect(result.outputs[1].props.n).to.equal(1)
+      expect(result.metadata.cre).to.deep.equal([run.owner.address, run.owner.address])
+      await tx.publish()
+      const metadata = Run.util.metadata(await run.blockchain.fetch(tx.outputs[0].location.slice(0, 64)))
+      expect(result.metadata).to.deep.equal(metadata)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('delete', async () => {
+      const run = new Run()
+      class A extends Jig { f () { this.destroy() } }
+      const a = new A()
+      await run.sync()
+      const tx = new Transaction()
+      tx.update(() => a.f())
+      const result = await tx.simulate()
+      expect(result.outputs.length).to.equal(0)
+      expect(result.deletes.length).to.equal(1)
+      expect(result.deletes[0].props.owner).to.equal(null)
+      tx.rollback()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('does not change live jigs', async () => {
+      const run = new Run()
+      class A extends Jig { f () { this.n = 1 } }
+      const a = new A()
+      await run.sync()
+      const location = a.location
+      const tx = new Transaction()
+      tx.update(() => a.f())
+      await tx.simulate()
+      tx.rollback()
+      expect(a.location).to.equal(location)
+      expect(a.nonce).to.equal(1)
+      expect(typeof a.n).to.equal('undefined')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('does not pay, sign, or broadcast', async () => {
+      const run = new Run()
+      class A extends Jig { f () { this.n = 1 } }
+      const a = new A()
+      await run.sync()
+      const pay = stub(run.purse, 'pay')
+      const sign = stub(run.owner, 'sign')
+      const broadcast = stub(run.blockchain, 'broadcast')
+      const tx = new Transaction()
+      tx.update(() => a.f())
+      await tx.simulate()
+      expect(pay.called).to.equal(false)
+      expect(sign.called).to.equal(false)
+      expect(broadcast.called).to.equal(false)
+      tx.rollback()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if nothing to simulate', async () => {
+      new Run() // eslint-disable-line
+      const tx = new Transaction()
+      await expect(tx.simulate()).to.be.rejectedWith('Nothing to simulate')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if inputs not published', async () => {
+      new Run() // eslint-disable-line
+      class A extends Jig { f () { this.n = 1 } }
+      const a = new A()
+      const tx = new Transaction()
+      tx.update(() => a.f())
+      await expect(tx.simulate()).to.be.rejectedWith('not published')
+      tx.rollback()
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // json
+  // --------------------------------------------------------------------------
+
+  describe('json', () => {
+    it('deploy and create', async () => {
+      const run = new Run()
+      class A extends Jig { init (n) { this.n = n } }
+      const tx = new Transaction()
+      tx.update(() => { const A2 = run.deploy(A); new A2(1) }) // eslint-disable-line
+      const json = JSON.parse(JSON.stringify(tx))
+      tx.rollback()
+      const tx2 = await Transaction.fromJSON(json)
+      expect(tx2.outputs.length).to.equal(2)
+      await tx2.publish()
+      const a = await run.load(tx2.outputs[1].location)
+      expect(a.n).to.equal(1)
+      expect(a.constructor.name).to.equal('A')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('inputs and refs', async () => {
+      const run = new Run()
+      class A extends Jig { f (b) { this.n = b.n } }
+      class B extends Jig { init () { this.n = 2 } }
+      const a = new A()
+      const b = new B()
+      await run.sync()
+      const location = a.location
+      const tx = new Transaction()
+      tx.update(() => a.f(b))
+      const json = tx.toJSON()
+      expect(json.in).to.deep.equal([location])
+      expect(json.ref).to.include(b.location)
+      tx.rollback()
+      const tx2 = await Transaction.fromJSON(json)
+      await tx2.publish()
+      const a2 = await run.load(location)
+      await a2.sync()
+      expect(a2.n).to.equal(2)
+      expect(a2.nonce).to.equal(2)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('base', async () => {
+      const run = new Run()
+      class A extends Jig { }
+      const tx = new Transaction()
+      const base = new bsv.Transaction()
+      base.addOutput(new bsv.Transaction.Output({ script: 'OP_RETURN', satoshis: '123' }))
+      tx.base = base.toString('hex')
+      tx.update(() => run.deploy(A))
+      const json = tx.toJSON()
+      tx.rollback()
+      const tx2 = await Transaction.fromJSON(json)
+      expect(tx2.base).to.equal(base.toString('hex'))
+      await tx2.publish()
+      expect(tx2.outputs[0].location.endsWith('_o2')).to.equal(true)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('pay and sign after restore', async () => {
+      const run = new Run()
+      class A extends Jig { f () { this.n = 1 } }
+      const a = new A()
+      await a.sync()
+      const location = a.location
+      const tx = new Transaction()
+      tx.update(() => a.f())
+      const json = tx.toJSON()
+      tx.rollback()
+      const tx2 = await Transaction.fromJSON(json)
+      await tx2.pay()
+      await tx2.sign()
+      await tx2.publish({ pay: false, sign: false })
+      const a2 = await run.load(location)
+      await a2.sync()
+      expect(a2.n).to.equal(1)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('null if nothing to serialize', () => {
+      new Run() // eslint-disable-line
+      const tx = new Transaction()
+      expect(tx.toJSON()).to.equal(null)
+      expect(JSON.stringify({ tx })).to.equal('{"tx":null}')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if unpublished input', () => {
+      new Run() // eslint-disable-line
+      class A extends Jig { f () { this.n = 1 } }
+      const a = new A()
+      const tx = new Transaction()
+      tx.update(() => a.f())
+      expect(() => tx.toJSON()).to.throw('not published')
+      tx.rollback()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('null if published', async () => {
+      const run = new Run()
+      const tx = new Transaction()
+      tx.update(() => run.deploy(class A extends Jig { }))
+      await tx.publish()
+      expect(tx.toJSON()).to.equal(null)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if code is untrusted', async () => {
+      const run = new Run({ trust: [] })
+      class A extends Jig { }
+      const tx = new Transaction()
+      tx.update(() => run.deploy(A))
+      const json = tx.toJSON()
+      tx.rollback()
+      const error = await Transaction.fromJSON(json).catch(e => e)
+      expect(error instanceof Run.errors.TrustError).to.equal(true)
+      expect(error.from).to.equal('json')
+      run.trust(error.txid)
+      const tx2 = await Transaction.fromJSON(json)
+      expect(tx2.outputs.length).to.equal(1)
+      tx2.rollback()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('trust option', async () => {
+      const run = new Run({ trust: [] })
+      class A extends Jig { }
+      const tx = new Transaction()
+      tx.update(() => run.deploy(A))
+      const json = tx.toJSON()
+      tx.rollback()
+      const tx2 = await Transaction.fromJSON(json, { trust: true })
+      expect(tx2.outputs.length).to.equal(1)
+      tx2.rollback()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid trust option', async () => {
+      const run = new Run({ trust: [] })
+      class A extends Jig { }
+      const tx = new Transaction()
+      tx.update(() => run.deploy(A))
+      const json = tx.toJSON()
+      tx.rollback()
+      await expect(Transaction.fromJSON(json, { trust: 1 })).to.be.rejectedWith('Invalid trust: 1')
+      await expect(Transaction.fromJSON(json, { trust: 'true' })).to.be.rejectedWith('Invalid trust: "true"')
+      await expect(Transaction.fromJSON(json, { trust: null })).to.be.rejectedWith('Invalid trust: null')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid json', async () => {
+      new Run() // eslint-disable-line
+      await expect(Transaction.fromJSON(null)).to.be.rejectedWith('Invalid json')
+      await expect(Transaction.fromJSON({ version: '06' })).to.be.rejectedWith('Unsupported RUN transaction version')
+      const json = { version: '05', base: '', in: [], ref: [], exec: [] }
+      await expect(Transaction.fromJSON(json)).to.be.rejectedWith('Invalid exec')
+      json.exec = [{ op: 'CALL', data: 1 }]
+      await expect(Transaction.fromJSON(json)).to.be.rejectedWith('Invalid data')
+      json.in = [1]
+      await expect(Transaction.fromJSON(json)).to.be.rejectedWith('Invalid in')
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // combine
+  // --------------------------------------------------------------------------
+
+  describe('combine', () => {
+    it('merges multi-sig signatures', async () => {
+      const run = await createTestExtrasRun()
+      const { Group } = Run.extra.test
+      const privkeys = [new PrivateKey(), new PrivateKey(), new PrivateKey()]
+      const pubkeys = privkeys.map(privkey => privkey.publicKey.toString())
+      class A extends Jig {
+        init (owner) { this.owner = owner }
+        set () { this.n = 1 }
+      }
+      const a = new A(new Group(pubkeys, 2))
+      await a.sync()
+      const location = a.location
+      const tx = new Transaction()
+      tx.update(() => a.set())
+      await tx.pay()
+      const paidtx = await tx.export({ pay: false, sign: false })
+      tx.rollback()
+      const signWith = async privkey => {
+        run.owner = privkey
+        const tx = await run.import(paidtx)
+        await tx.sign()
+        const rawtx = await tx.export({ pay: false, sign: false })
+        tx.rollback()
+        return rawtx
+      }
+      const rawtx3 = await signWith(privkeys[2])
+      const rawtx1 = await signWith(privkeys[0])
+      await expect(run.blockchain.broadcast(rawtx3)).to.be.rejectedWith('mandatory-script-verify-flag-failed')
+      const combined = await Transaction.combine([rawtx3, rawtx1])
+      const tx2 = await run.import(combined)
+      await tx2.publish({ pay: false, sign: false })
+      const a2 = await run.load(location)
+      await a2.sync()
+      expect(a2.n).to.equal(1)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('returns same transaction for identical copies', async () => {
+      const run = new Run()
+      class A extends Jig { }
+      const tx = new Transaction()
+      tx.update(() => run.deploy(A))
+      const rawtx = await tx.export()
+      tx.rollback()
+      expect(await Transaction.combine([rawtx, rawtx])).to.equal(rawtx)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('merges unsigned and signed copies', async () => {
+      const run = new Run()
+      class A extends Jig { }
+      const tx = new Transaction()
+      tx.update(() => run.deploy(A))
+      const unsigned = new bsv.Transaction(await tx.export())
+      tx.rollback()
+      const signed = unsigned.toString('hex')
+      unsigned.inputs.forEach(input => input.setScript(new bsv.Script()))
+      expect(await Transaction.combine([unsigned.toString('hex'), signed])).to.equal(signed)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if different transactions', async () => {
+      const run = new Run()
+      const tx = new Transaction()
+      tx.update(() => run.deploy(class A extends Jig { }))
+      const rawtx1 = await tx.export()
+      tx.rollback()
+      const tx2 = new Transaction()
+      tx2.update(() => run.deploy(class B extends Jig { }))
+      const rawtx2 = await tx2.export()
+      tx2.rollback()
+      await expect(Transaction.combine([rawtx1, rawtx2])).to.be.rejectedWith('Cannot combine different transactions')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if conflicting unlocking scripts', async () => {
+      const run = new Run()
+      const tx = new Transaction()
+      tx.update(() => run.deploy(class A extends Jig { }))
+      const bsvtx = new bsv.Transaction(await tx.export())
+      tx.rollback()
+      const rawtx1 = bsvtx.toString('hex')
+      bsvtx.inputs[0].setScript(bsv.Script.fromASM('OP_1'))
+      const rawtx2 = bsvtx.toString('hex')
+      const error = 'Cannot combine different unlocking scripts for input 0'
+      await expect(Transaction.combine([rawtx1, rawtx2])).to.be.rejectedWith(error)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid rawtxs', async () => {
+      new Run() // eslint-disable-line
+      await expect(Transaction.combine()).to.be.rejectedWith('Invalid rawtxs')
+      await expect(Transaction.combine([])).to.be.rejectedWith('Invalid rawtxs')
+      await expect(Transaction.combine([null])).to.be.rejectedWith('Invalid transaction')
+      await expect(Transaction.combine(['abc'])).to.be.rejectedWith('Invalid transaction')
+    })
+  })
+
   // --------------------------------------------------------------------------
   // sync
   // --------------------------------------------------------------------------
@@ -2240,14 +2764,81 @@ describe('Transaction', () => {
 
     // ------------------------------------------------------------------------
 
-    it('throws if custom input', async () => {
+    it('custom input', async () => {
+      const run = new Run()
+      class A extends Jig { }
+      const fundtxid = run.blockchain.fund(run.owner.address, 1000)
+      const base = new bsv.Transaction()
+      base.from({ txid: fundtxid, vout: 1, script: bsv.Script.fromAddress(run.owner.address), satoshis: 1000 })
+      const tx = new Transaction()
+      tx.base = base.toString('hex')
+      tx.update(() => run.deploy(A))
+      await tx.publish()
+      const txid = A.location.slice(0, 64)
+      expect(await run.blockchain.spends(fundtxid, 1)).to.equal(txid)
+      run.cache = new LocalCache()
+      await run.load(A.location)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('custom input after jig inputs', async () => {
+      const run = new Run()
+      class A extends Jig { f () { this.n = 1 } }
+      const a = new A()
+      await a.sync()
+      const location = a.location
+      const fundtxid = run.blockchain.fund(run.owner.address, 1000)
+      const base = new bsv.Transaction()
+      base.from({ txid: fundtxid, vout: 1, script: bsv.Script.fromAddress(run.owner.address), satoshis: 1000 })
+      const tx = new Transaction()
+      tx.base = base.toString('hex')
+      tx.update(() => a.f())
+      const rawtx = await tx.export()
+      const bsvtx = new bsv.Transaction(rawtx)
+      expect(`${bsvtx.inputs[0].prevTxId.toString('hex')}_o${bsvtx.inputs[0].outputIndex}`).to.equal(location)
+      expect(bsvtx.inputs[1].prevTxId.toString('hex')).to.equal(fundtxid)
+      expect(bsvtx.inputs[1].outputIndex).to.equal(1)
+      expect(Run.util.metadata(rawtx).in).to.equal(1)
+      await tx.publish()
+      run.cache = new LocalCache()
+      const a2 = await run.load(a.location)
+      expect(a2.n).to.equal(1)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('custom input with parents', async () => {
+      const run = new Run()
+      class A extends Jig { }
+      const fundtxid = run.blockchain.fund(run.owner.address, 1000)
+      const script = bsv.Script.fromAddress(run.owner.address).toHex()
+      const base = new bsv.Transaction()
+      base.from({ txid: fundtxid, vout: 1, script, satoshis: 1000 })
+      const tx = new Transaction()
+      tx.setBase(base.toString('hex'), [{ script, satoshis: 1000 }])
+      tx.update(() => run.deploy(A))
+      const fetch = stub(run.blockchain, 'fetch').callThrough()
+      const pay = stub(run.purse, 'pay').callThrough()
+      await tx.publish()
+      expect(fetch.calledWith(fundtxid)).to.equal(false)
+      expect(pay.firstCall.args[1][0]).to.deep.equal({ script, satoshis: 1000 })
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid parents', () => {
       new Run() // eslint-disable-line
       const tx = new Transaction()
       const base = new bsv.Transaction()
       const txid = '0000000000000000000000000000000000000000000000000000000000000000'
       base.from({ script: 'OP_RETURN', amount: '456', txid, vout: 0 })
-      const error = 'Only custom outputs are supported in base transactions'
-      expect(() => { tx.base = base.toString('hex') }).to.throw(error)
+      const rawtx = base.toString('hex')
+      expect(() => tx.setBase(rawtx, null)).to.throw('Invalid parents')
+      expect(() => tx.setBase(rawtx, [])).to.throw('Invalid parents')
+      expect(() => tx.setBase(rawtx, [{ script: '', satoshis: -1 }])).to.throw('Invalid parents')
+      expect(() => tx.setBase(rawtx, [{ satoshis: 1 }])).to.throw('Invalid parents')
+      expect(() => tx.setBase(rawtx, [{ script: '', satoshis: 1 }])).not.to.throw()
     })
   })
 
@@ -818,6 +818,46 @@ describe('BlockchainWrapper', () => {
       const value = await wrapper.cache.get(`spend://${a}_o0`)
       expect(value).to.equal(b)
     })
+
+    // ------------------------------------------------------------------------
+
+    it('does not cache unspent without ttl', async () => {
+      const blockchain = stubBlockchain()
+      const wrapper = new BlockchainWrapper(blockchain)
+      const a = '0000000000000000000000000000000000000000000000000000000000000000'
+      blockchain.spends.returns(null)
+      await wrapper.spends(a, 0)
+      expect(await wrapper.cache.get(`spend://${a}_o0`)).to.equal(undefined)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('caches unspent with ttl', async () => {
+      const blockchain = stubBlockchain()
+      const wrapper = new BlockchainWrapper(blockchain)
+      wrapper.ttl = { 'spend://': 60 }
+      const a = '0000000000000000000000000000000000000000000000000000000000000000'
+      blockchain.spends.returns(null)
+      expect(await wrapper.spends(a, 0)).to.equal(null)
+      expect(await wrapper.spends(a, 0)).to.equal(null)
+      expect(blockchain.spends.callCount).to.equal(1)
+      expect((await wrapper.cache.unwrappedGet(`spend://${a}_o0`)).expires).to.be.above(Date.now())
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('fetches again after ttl expires', async () => {
+      const blockchain = stubBlockchain()
+      const wrapper = new BlockchainWrapper(blockchain)
+      wrapper.ttl = { 'spend://': 0 }
+      const a = '0000000000000000000000000000000000000000000000000000000000000000'
+      const b = '1111111111111111111111111111111111111111111111111111111111111111'
+      blockchain.spends.returns(null)
+      expect(await wrapper.spends(a, 0)).to.equal(null)
+      blockchain.spends.returns(b)
+      expect(await wrapper.spends(a, 0)).to.equal(b)
+      expect(blockchain.spends.callCount).to.equal(2)
+    })
   })
 
   // --------------------------------------------------------------------------
@@ -908,6 +948,163 @@ describe('BlockchainWrapper', () => {
       const value = await wrapper.cache.get(`time://${txid}`)
       expect(value).to.deep.equal(time)
     })
+
+    // ------------------------------------------------------------------------
+
+    it('refreshes broadcast time after ttl expires', async () => {
+      const blockchain = stubBlockchain()
+      const wrapper = new BlockchainWrapper(blockchain)
+      wrapper.ttl = { 'time://': 0 }
+      const tx = mockTransaction()
+      blockchain.broadcast.returns(tx.hash)
+      await wrapper.broadcast(tx.toString())
+      blockchain.time.returns(1234)
+      expect(await wrapper.time(tx.hash)).to.equal(1234)
+      expect(blockchain.time.callCount).to.equal(1)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('refreshes mempool time', async () => {
+      const blockchain = stubBlockchain()
+      const wrapper = new BlockchainWrapper(blockchain)
+      const txid = '1111111111111111111111111111111111111111111111111111111111111111'
+      blockchain.time.returns(Date.now())
+      await wrapper.time(txid)
+      const entry = await wrapper.cache.unwrappedGet(`time://${txid}`)
+      expect(entry.expires).to.be.above(Date.now())
+      await wrapper.cache.set(`time://${txid}`, Object.assign({}, entry, { expires: 0 }))
+      blockchain.time.returns(1234)
+      expect(await wrapper.time(txid)).to.equal(1234)
+      expect(await wrapper.time(txid)).to.equal(1234)
+      expect(blockchain.time.callCount).to.equal(2)
+      expect(await wrapper.cache.unwrappedGet(`time://${txid}`)).to.equal(1234)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('refreshes broadcast time once confirmed', async () => {
+      const blockchain = stubBlockchain()
+      const wrapper = new BlockchainWrapper(blockchain)
+      const tx = mockTransaction()
+      blockchain.broadcast.returns(tx.hash)
+      await wrapper.broadcast(tx.toString())
+      const entry = await wrapper.cache.unwrappedGet(`time://${tx.hash}`)
+      expect(entry.expires).to.be.above(Date.now())
+      await wrapper.cache.set(`time://${tx.hash}`, Object.assign({}, entry, { expires: 0 }))
+      blockchain.time.returns(1234)
+      expect(await wrapper.time(tx.hash)).to.equal(1234)
+      expect(blockchain.time.callCount).to.equal(1)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('does not expire old times without ttl', async () => {
+      const blockchain = stubBlockchain()
+      const wrapper = new BlockchainWrapper(blockchain)
+      const txid = '1111111111111111111111111111111111111111111111111111111111111111'
+      blockchain.time.returns(1234)
+      await wrapper.time(txid)
+      expect(await wrapper.cache.unwrappedGet(`time://${txid}`)).to.equal(1234)
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // ttl
+  // --------------------------------------------------------------------------
+
+  describe('ttl', () => {
+    it('defaults to no ttls', () => {
+      expect(new BlockchainWrapper(stubBlockchain()).ttl).to.deep.equal({})
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('uses longest matching prefix', async () => {
+      const blockchain = stubBlockchain()
+      const wrapper = new BlockchainWrapper(blockchain)
+      const a = '0000000000000000000000000000000000000000000000000000000000000000'
+      const b = '1111111111111111111111111111111111111111111111111111111111111111'
+      wrapper.ttl = { 'spend://': 0, [`spend://${a}`]: 60 }
+      blockchain.spends.returns(null)
+      await wrapper.spends(a, 0)
+      await wrapper.spends(a, 0)
+      await wrapper.spends(b, 0)
+      await wrapper.spends(b, 0)
+      expect(blockchain.spends.callCount).to.equal(3)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid', () => {
+      const wrapper = new BlockchainWrapper(stubBlockchain())
+      expect(() => { wrapper.ttl = null }).to.throw('Invalid ttl')
+      expect(() => { wrapper.ttl = [] }).to.throw('Invalid ttl')
+      expect(() => { wrapper.ttl = { 'tx://': 1 } }).to.throw('Invalid ttl prefix')
+      expect(() => { wrapper.ttl = { 'spend://': -1 } }).to.throw('Invalid ttl for spend://')
+      expect(() => { wrapper.ttl = { 'spend://': '1' } }).to.throw('Invalid ttl for spend://')
+      expect(() => { wrapper.ttl = { 'spend://': NaN } }).to.throw('Invalid ttl for spend://')
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // invalidate
+  // --------------------------------------------------------------------------
+
+  describe('invalidate', () => {
+    it('fetches spend again', async () => {
+      const blockchain = stubBlockchain()
+      const wrapper = new BlockchainWrapper(blockchain)
+      const a = '0000000000000000000000000000000000000000000000000000000000000000'
+      const b = '1111111111111111111111111111111111111111111111111111111111111111'
+      await wrapper.cache.set(`spend://${a}_o0`, b)
+      await wrapper.invalidate(`spend://${a}_o0`)
+      blockchain.spends.returns(null)
+      expect(await wrapper.spends(a, 0)).to.equal(null)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('accepts location and txid', async () => {
+      const blockchain = stubBlockchain()
+      const wrapper = new BlockchainWrapper(blockchain)
+      const a = '0000000000000000000000000000000000000000000000000000000000000000'
+      await wrapper.cache.set(`spend://${a}_o1`, null)
+      await wrapper.cache.set(`time://${a}`, 123)
+      await wrapper.invalidate(`${a}_o1`)
+      await wrapper.invalidate(a)
+      expect(await wrapper.cache.get(`spend://${a}_o1`)).to.equal(undefined)
+      expect(await wrapper.cache.get(`time://${a}`)).to.equal(undefined)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('expires entry for run', async () => {
+      const run = new Run()
+      class A extends Run.Jig { f () { this.n = 1 } }
+      const a = new A()
+      await a.sync()
+      const a2 = await run.load(a.location)
+      a2.f()
+      await a2.sync()
+      const spendKey = `spend://${a.location}`
+      await run.cache.set(spendKey, null)
+      await a.sync()
+      expect(a.n).to.equal(undefined)
+      await run.blockchain.invalidate(spendKey)
+      await a.sync()
+      expect(a.n).to.equal(1)
+      run.deactivate()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid key', async () => {
+      const wrapper = new BlockchainWrapper(stubBlockchain())
+      await expect(wrapper.invalidate()).to.be.rejectedWith('Invalid key')
+      await expect(wrapper.invalidate('tx://abc')).to.be.rejectedWith('Invalid key')
+      await expect(wrapper.invalidate('abc')).to.be.rejectedWith('Invalid key')
+    })
   })
 
   // --------------------------------------------------------------------------
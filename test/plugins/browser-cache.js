@@ -62,6 +62,17 @@ describe('BrowserCache', () => {
 
     // ------------------------------------------------------------------------
 
+    it('supports maxIndexedDbSizeMB option', () => {
+      const browserCache = new BrowserCache({ maxIndexedDbSizeMB: 123 })
+      const indexedDbCache = browserCache.indexedDbCache
+      expect(indexedDbCache.maxSizeMB).to.equal(123)
+      browserCache.maxIndexedDbSizeMB = 456
+      expect(browserCache.maxIndexedDbSizeMB).to.equal(456)
+      expect(indexedDbCache.maxSizeMB).to.equal(456)
+    })
+
+    // ------------------------------------------------------------------------
+
     it('supports indexeddb cache options', () => {
       const cache = new BrowserCache({ dbName: 'abc', dbVersion: 456, dbStore: 'def' })
       expect(unmangle(cache.indexedDbCache)._name).to.equal('abc')
@@ -4,14 +4,16 @@
  * Tests for lib/plugins/cache-wrapper.js
  */
 
-const { describe, it } = require('mocha')
+const { describe, it, afterEach } = require('mocha')
 require('chai').use(require('chai-as-promised'))
 const { expect } = require('chai')
 const { stub } = require('sinon')
 const Run = require('../env/run')
-const { CacheWrapper } = Run.plugins
+const { CacheWrapper, LocalCache } = Run.plugins
+const { Jig } = Run
 const unmangle = require('../env/unmangle')
 const Log = unmangle(unmangle(Run)._Log)
+const StateFilter = unmangle(Run)._StateFilter
 
 // ------------------------------------------------------------------------------------------------
 // CacheWrapper
@@ -129,6 +131,26 @@ describe('CacheWrapper', () => {
       cache.get.returns([Infinity])
       await expect(wrapper.get('123')).to.be.rejectedWith('Invalid value retrieved for 123')
     })
+
+    // ------------------------------------------------------------------------
+
+    it('treats expired entries as missing', async () => {
+      const cache = new LocalCache()
+      await cache.set('spend://abc_o0', { value: null, expires: 0 })
+      await cache.set('time://abc', { value: 123, expires: Date.now() + 60000 })
+      expect(await cache.get('spend://abc_o0')).to.equal(undefined)
+      expect(await cache.get('time://abc')).to.equal(123)
+      await cache.set('spend://abc_o0', null)
+      expect(await cache.get('spend://abc_o0')).to.equal(null)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('only unwraps spend and time entries', async () => {
+      const cache = new LocalCache()
+      await cache.set('ban://abc_o0', { value: 1, expires: 0 })
+      expect(await cache.get('ban://abc_o0')).to.deep.equal({ value: 1, expires: 0 })
+    })
   })
 
   // --------------------------------------------------------------------------
@@ -222,6 +244,245 @@ describe('CacheWrapper', () => {
     })
   })
 
+  // --------------------------------------------------------------------------
+  // delete
+  // --------------------------------------------------------------------------
+
+  describe('delete', () => {
+    it('wraps call', async () => {
+      const cache = stub({ get: () => {}, set: () => {}, delete: () => {} })
+      const wrapper = new CacheWrapper(cache)
+      await wrapper.delete('123')
+      expect(cache.delete.calledWith('123')).to.equal(true)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('not wrapped if not implemented', () => {
+      const cache = stub({ get: () => {}, set: () => {} })
+      const wrapper = new CacheWrapper(cache)
+      expect(wrapper.delete).to.equal(undefined)
+      expect(wrapper.keys).to.equal(undefined)
+      expect(wrapper.clear).to.equal(undefined)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('validates key is string', async () => {
+      const cache = stub({ get: () => {}, set: () => {}, delete: () => {} })
+      const wrapper = new CacheWrapper(cache)
+      await expect(wrapper.delete(null)).to.be.rejectedWith('Invalid key: null')
+      await expect(wrapper.delete('')).to.be.rejectedWith('Invalid key: ""')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('updates code filter', async () => {
+      const cache = new LocalCache()
+      await cache.set('jig://abc', { kind: 'code' })
+      expect(StateFilter.possiblyHas(await cache.get('config://code-filter'), 'jig://abc')).to.equal(true)
+      await cache.delete('jig://abc')
+      expect(StateFilter.possiblyHas(await cache.get('config://code-filter'), 'jig://abc')).to.equal(false)
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // keys
+  // --------------------------------------------------------------------------
+
+  describe('keys', () => {
+    it('wraps call', async () => {
+      const cache = stub({ get: () => {}, set: () => {}, keys: () => {} })
+      cache.keys.returns(['ban://abc'])
+      const wrapper = new CacheWrapper(cache)
+      expect(await wrapper.keys('ban://')).to.deep.equal(['ban://abc'])
+      expect(cache.keys.calledWith('ban://')).to.equal(true)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('validates prefix', async () => {
+      const cache = stub({ get: () => {}, set: () => {}, keys: () => {} })
+      cache.keys.returns([])
+      const wrapper = new CacheWrapper(cache)
+      await wrapper.keys()
+      await expect(wrapper.keys(null)).to.be.rejectedWith('Invalid prefix: null')
+      await expect(wrapper.keys(1)).to.be.rejectedWith('Invalid prefix: 1')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('validates response', async () => {
+      const cache = stub({ get: () => {}, set: () => {}, keys: () => {} })
+      const wrapper = new CacheWrapper(cache)
+      cache.keys.returns(undefined)
+      await expect(wrapper.keys()).to.be.rejectedWith('Received invalid keys')
+      cache.keys.returns([1])
+      await expect(wrapper.keys()).to.be.rejectedWith('Received invalid keys')
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // clear
+  // --------------------------------------------------------------------------
+
+  describe('clear', () => {
+    it('wraps call', async () => {
+      const cache = stub({ get: () => {}, set: () => {}, clear: () => {} })
+      const wrapper = new CacheWrapper(cache)
+      await wrapper.clear('spend://')
+      expect(cache.clear.calledWith('spend://')).to.equal(true)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('validates prefix', async () => {
+      const cache = stub({ get: () => {}, set: () => {}, clear: () => {} })
+      const wrapper = new CacheWrapper(cache)
+      await expect(wrapper.clear(null)).to.be.rejectedWith('Invalid prefix: null')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('updates code filter', async () => {
+      const cache = new LocalCache()
+      await cache.set('jig://abc', { kind: 'code' })
+      await cache.set('jig://def', { kind: 'code' })
+      await cache.clear('jig://a')
+      const filter = await cache.get('config://code-filter')
+      expect(StateFilter.possiblyHas(filter, 'jig://abc')).to.equal(false)
+      expect(StateFilter.possiblyHas(filter, 'jig://def')).to.equal(true)
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // verify
+  // --------------------------------------------------------------------------
+
+  describe('verify', () => {
+    // Deactivate the current run instance. This stops leaks across tests.
+    afterEach(() => Run.instance && Run.instance.deactivate())
+
+    async function setup () {
+      const run = new Run()
+      class A extends Jig { init () { this.n = 1 } }
+      const a = new A()
+      await a.sync()
+      const key = `jig://${a.location}`
+      const state = await run.cache.get(key)
+      const txkey = `tx://${a.location.slice(0, 64)}`
+      const rawtx = await run.cache.get(txkey)
+      const tampered = Object.assign({}, state, { props: Object.assign({}, state.props, { n: 2 }) })
+      return { run, a, key, state, txkey, rawtx, tampered }
+    }
+
+    // ------------------------------------------------------------------------
+
+    it('off by default', async () => {
+      const { key, txkey, rawtx, tampered } = await setup()
+      const cache = new LocalCache()
+      expect(cache.verify).to.equal(false)
+      await cache.set(txkey, rawtx)
+      await cache.set(key, tampered)
+      expect(await cache.get(key)).to.deep.equal(tampered)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('returns valid states', async () => {
+      const { key, state, txkey, rawtx } = await setup()
+      const cache = new LocalCache()
+      cache.verify = true
+      await cache.set(txkey, rawtx)
+      await cache.set(key, state)
+      expect(await cache.get(key)).to.deep.equal(state)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('evicts invalid states', async () => {
+      const { key, txkey, rawtx, tampered } = await setup()
+      const cache = new LocalCache()
+      await cache.set(txkey, rawtx)
+      await cache.set(key, tampered)
+      cache.verify = true
+      expect(await cache.get(key)).to.equal(undefined)
+      cache.verify = false
+      expect(await cache.get(key)).to.equal(undefined)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('does not return unverifiable states', async () => {
+      const { key, state } = await setup()
+      const cache = new LocalCache()
+      await cache.set(key, state)
+      cache.verify = true
+      expect(await cache.get(key)).to.equal(undefined)
+      cache.verify = false
+      expect(await cache.get(key)).to.deep.equal(state)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('fetches missing transactions from blockchain', async () => {
+      const { run, key, state, txkey, tampered } = await setup()
+      const cache = new LocalCache()
+      await cache.set(key, state)
+      cache.verify = true
+      cache.blockchain = run.blockchain
+      expect(await cache.get(key)).to.deep.equal(state)
+      await cache.delete(key)
+      await cache.delete(txkey)
+      await cache.set(key, tampered)
+      expect(await cache.get(key)).to.equal(undefined)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('does not trust transactions with wrong txid', async () => {
+      const { key, state, txkey, run } = await setup()
+      const cache = new LocalCache()
+      const othertxid = run.blockchain.fund(run.purse.address, 10000)
+      await cache.set(txkey, await run.blockchain.fetch(othertxid))
+      await cache.set(key, state)
+      cache.verify = true
+      expect(await cache.get(key)).to.equal(undefined)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('replaces invalid states without delete', async () => {
+      const { key, state, txkey, rawtx, tampered } = await setup()
+      const map = new Map()
+      const wrapper = new CacheWrapper({ get: async k => map.get(k), set: async (k, v) => { map.set(k, v) } })
+      await wrapper.set(txkey, rawtx)
+      await wrapper.set(key, tampered)
+      await expect(wrapper.set(key, state)).to.be.rejectedWith('Attempt to set different values')
+      wrapper.verify = true
+      expect(await wrapper.get(key)).to.equal(undefined)
+      await wrapper.set(key, state)
+      expect(await wrapper.get(key)).to.deep.equal(state)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('replays invalid states', async () => {
+      const { run, a, key, txkey, rawtx, tampered } = await setup()
+      const cache = new LocalCache()
+      await cache.set(txkey, rawtx)
+      await cache.set(key, tampered)
+      run.cache = cache
+      run.verifyCache = true
+      const events = []
+      run.on('replay-start', (event, data) => events.push(data))
+      const a2 = await run.load(a.location)
+      expect(a2.n).to.equal(1)
+      expect(events.length).to.equal(1)
+      expect((await cache.get(key)).props.n).to.equal(1)
+    })
+  })
+
   // --------------------------------------------------------------------------
   // setWrappingEnabled
   // --------------------------------------------------------------------------
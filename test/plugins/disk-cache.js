@@ -5,6 +5,7 @@
  */
 
 const { describe, it, afterEach } = require('mocha')
+require('chai').use(require('chai-as-promised'))
 const { expect } = require('chai')
 const { stub } = require('sinon')
 const fs = require('fs')
@@ -15,6 +16,7 @@ const { rmrfSync } = require('../env/misc')
 const { DiskCache, CacheWrapper } = Run.plugins
 const unmangle = require('../env/unmangle')
 const Log = unmangle(unmangle(Run)._Log)
+const StateFilter = unmangle(Run)._StateFilter
 
 // ------------------------------------------------------------------------------------------------
 // DiskCache
@@ -78,7 +80,7 @@ describe('DiskCache', () => {
         new DiskCache({ dir }) // eslint-disable-line
         expect(fs.existsSync(dir)).to.equal(true)
       } finally {
-        fs.rmdirSync(dir)
+        rmrfSync(dir)
       }
     })
 
@@ -114,6 +116,44 @@ describe('DiskCache', () => {
         Log._logger = previousLogger
       }
     })
+
+    // ------------------------------------------------------------------------
+
+    it('creates shard directories on first write', async () => {
+      const dir = path.join(TMP, Math.random().toString())
+      const cache = new DiskCache({ dir })
+      const filename = await unmangle(cache)._filename('abc')
+      expect(fs.readdirSync(dir)).to.deep.equal([])
+      await cache.set('abc', 'def')
+      expect(fs.existsSync(path.dirname(filename))).to.equal(true)
+      expect(fs.readdirSync(dir).length).to.equal(2)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('maxSizeMB defaults to unlimited', () => {
+      const dir = path.join(TMP, Math.random().toString())
+      expect(new DiskCache({ dir }).maxSizeMB).to.equal(Infinity)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('valid maxSizeMB', () => {
+      const dir = path.join(TMP, Math.random().toString())
+      expect(new DiskCache({ dir, maxSizeMB: 0 }).maxSizeMB).to.equal(0)
+      expect(new DiskCache({ dir, maxSizeMB: 0.5 }).maxSizeMB).to.equal(0.5)
+      expect(new DiskCache({ dir, maxSizeMB: 100 }).maxSizeMB).to.equal(100)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid maxSizeMB', () => {
+      const dir = path.join(TMP, Math.random().toString())
+      expect(() => new DiskCache({ dir, maxSizeMB: -1 })).to.throw('Invalid maxSizeMB')
+      expect(() => new DiskCache({ dir, maxSizeMB: NaN })).to.throw('Invalid maxSizeMB')
+      expect(() => new DiskCache({ dir, maxSizeMB: '1' })).to.throw('Invalid maxSizeMB')
+      expect(() => new DiskCache({ dir, maxSizeMB: null })).to.throw('Invalid maxSizeMB')
+    })
   })
 
   // --------------------------------------------------------------------------
@@ -127,7 +167,40 @@ describe('DiskCache', () => {
       await cache.set('abc', 'def')
       const filename = await unmangle(cache)._filename('abc')
       expect(fs.existsSync(filename)).to.equal(true)
-      expect(fs.readFileSync(filename, 'utf8')).to.equal('"def"')
+      expect(fs.readFileSync(filename, 'utf8')).to.equal('"abc"\n"def"')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('shards by hash prefix', async () => {
+      const dir = path.join(TMP, Math.random().toString())
+      const cache = new DiskCache({ dir })
+      await cache.set('abc', 'def')
+      const filename = await unmangle(cache)._filename('abc')
+      expect(path.dirname(filename)).to.equal(path.join(dir, path.basename(filename).slice(0, 2)))
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('stores config keys separately', async () => {
+      const dir = path.join(TMP, Math.random().toString())
+      const cache = new DiskCache({ dir })
+      await cache.set('config://abc', 'def')
+      const filename = await unmangle(cache)._filename('config://abc')
+      expect(path.dirname(filename)).to.equal(path.join(dir, 'config'))
+      expect(fs.readFileSync(filename, 'utf8')).to.equal('"config://abc"\n"def"')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('writes atomically', async () => {
+      const dir = path.join(TMP, Math.random().toString())
+      const cache = new DiskCache({ dir })
+      await Promise.all([cache.set('abc', 'def'), cache.set('abc', 'def')])
+      const filename = await unmangle(cache)._filename('abc')
+      const names = fs.readdirSync(path.dirname(filename))
+      expect(names.filter(name => name.endsWith('.tmp')).length).to.equal(0)
+      expect(fs.readFileSync(filename, 'utf8')).to.equal('"abc"\n"def"')
     })
 
     // ------------------------------------------------------------------------
@@ -140,7 +213,7 @@ describe('DiskCache', () => {
       await cache.set(key, [1, 2, 3])
       const filename = await unmangle(cache)._filename(key)
       expect(fs.existsSync(filename)).to.equal(true)
-      expect(fs.readFileSync(filename, 'utf8')).to.equal('[1,2,3]')
+      expect(fs.readFileSync(filename, 'utf8')).to.equal(`${JSON.stringify(key)}\n[1,2,3]`)
     })
 
     // ------------------------------------------------------------------------
@@ -171,6 +244,7 @@ describe('DiskCache', () => {
       const dir = path.join(TMP, Math.random().toString())
       const cache = new DiskCache({ dir })
       const filename = await unmangle(cache)._filename('mmm')
+      fs.mkdirSync(path.dirname(filename))
       fs.writeFileSync(filename, '"nnn"')
       expect(await cache.get('mmm')).to.equal('nnn')
     })
@@ -184,6 +258,7 @@ describe('DiskCache', () => {
         const dir = path.join(TMP, Math.random().toString())
         const cache = new DiskCache({ dir })
         const filename = await unmangle(cache)._filename('mmm')
+        fs.mkdirSync(path.dirname(filename))
         fs.writeFileSync(filename, '[{a')
         expect(await cache.get('mmm')).to.equal(undefined)
         expect(Log._logger.error.called).to.equal(true)
@@ -194,6 +269,26 @@ describe('DiskCache', () => {
 
     // ------------------------------------------------------------------------
 
+    it('removes partially written file', async () => {
+      const previousLogger = Log._logger
+      try {
+        Log._logger = stub({ error: () => {}, warn: () => {} })
+        const dir = path.join(TMP, Math.random().toString())
+        const cache = new DiskCache({ dir })
+        await cache.set('mmm', { a: [1, 2, 3] })
+        const filename = await unmangle(cache)._filename('mmm')
+        fs.writeFileSync(filename, '{"a":[1,2')
+        expect(await cache.get('mmm')).to.equal(undefined)
+        expect(fs.existsSync(filename)).to.equal(false)
+        await cache.set('mmm', { a: [1, 2, 3] })
+        expect(await cache.get('mmm')).to.deep.equal({ a: [1, 2, 3] })
+      } finally {
+        Log._logger = previousLogger
+      }
+    })
+
+    // ------------------------------------------------------------------------
+
     it('doesnt exist', async () => {
       const previousLogger = Log._logger
       try {
@@ -209,6 +304,45 @@ describe('DiskCache', () => {
 
     // ------------------------------------------------------------------------
 
+    it('migrates unsharded file', async () => {
+      const dir = path.join(TMP, Math.random().toString())
+      const cache = new DiskCache({ dir })
+      const filename = await unmangle(cache)._filename('mmm')
+      const legacyFilename = path.join(dir, path.basename(filename))
+      fs.writeFileSync(legacyFilename, '"nnn"')
+      expect(await cache.get('mmm')).to.equal('nnn')
+      expect(fs.existsSync(legacyFilename)).to.equal(false)
+      expect(fs.existsSync(filename)).to.equal(true)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('migrates unsharded config file', async () => {
+      const dir = path.join(TMP, Math.random().toString())
+      const cache = new DiskCache({ dir })
+      const filename = await unmangle(cache)._filename('config://code-filter')
+      fs.writeFileSync(path.join(dir, path.basename(filename)), '{}')
+      expect(await cache.get('config://code-filter')).to.deep.equal({})
+      expect(path.dirname(filename)).to.equal(path.join(dir, 'config'))
+      expect(fs.existsSync(filename)).to.equal(true)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('migrates once', async () => {
+      const dir = path.join(TMP, Math.random().toString())
+      await new DiskCache({ dir }).get('a')
+      const cache = new DiskCache({ dir })
+      const filename = await unmangle(cache)._filename('mmm')
+      const legacyFilename = path.join(dir, path.basename(filename))
+      fs.writeFileSync(legacyFilename, '"nnn"')
+      expect(await cache.get('mmm')).to.equal(undefined)
+      expect(fs.existsSync(legacyFilename)).to.equal(true)
+      expect(await cache.get('config://disk-cache-version')).to.equal(1)
+    })
+
+    // ------------------------------------------------------------------------
+
     it('race condition', async () => {
       const dir = path.join(TMP, Math.random().toString())
       const cache = new DiskCache({ dir })
@@ -220,6 +354,289 @@ describe('DiskCache', () => {
       }
     })
   })
+
+  // --------------------------------------------------------------------------
+  // delete
+  // --------------------------------------------------------------------------
+
+  describe('delete', () => {
+    it('removes file', async () => {
+      const dir = path.join(TMP, Math.random().toString())
+      const cache = new DiskCache({ dir })
+      await cache.set('a', 1)
+      await cache.delete('a')
+      expect(await cache.get('a')).to.equal(undefined)
+      expect(fs.existsSync(await unmangle(cache)._filename('a'))).to.equal(false)
+      expect(await cache.keys()).to.deep.equal([])
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('does not create other files', async () => {
+      const dir = path.join(TMP, Math.random().toString())
+      const cache = new DiskCache({ dir })
+      await cache.set('a', 1)
+      const filename = await unmangle(cache)._filename('a')
+      expect(fs.readdirSync(path.dirname(filename))).to.deep.equal([path.basename(filename)])
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('does nothing if missing', async () => {
+      const dir = path.join(TMP, Math.random().toString())
+      const cache = new DiskCache({ dir })
+      await cache.delete('a')
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // keys
+  // --------------------------------------------------------------------------
+
+  describe('keys', () => {
+    it('returns keys with prefix', async () => {
+      const dir = path.join(TMP, Math.random().toString())
+      const cache = new DiskCache({ dir })
+      await cache.set('ban://a', {})
+      await cache.set('tx://b', 'c')
+      await cache.set('config://d', 1)
+      expect((await cache.keys()).sort()).to.deep.equal(['ban://a', 'config://d', 'tx://b'])
+      expect(await cache.keys('ban://')).to.deep.equal(['ban://a'])
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('long key', async () => {
+      const dir = path.join(TMP, Math.random().toString())
+      const cache = new DiskCache({ dir })
+      const key = 'ban://' + 'x'.repeat(5000)
+      await cache.set(key, 'y'.repeat(5000))
+      expect(await cache.keys()).to.deep.equal([key])
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('skips files without keys', async () => {
+      const dir = path.join(TMP, Math.random().toString())
+      const cache = new DiskCache({ dir })
+      await cache.set('a', 1)
+      const filename = await unmangle(cache)._filename('b')
+      fs.mkdirSync(path.dirname(filename), { recursive: true })
+      fs.writeFileSync(filename, '2')
+      expect(await cache.get('b')).to.equal(2)
+      expect(await cache.keys()).to.deep.equal(['a'])
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // clear
+  // --------------------------------------------------------------------------
+
+  describe('clear', () => {
+    it('removes all files', async () => {
+      const dir = path.join(TMP, Math.random().toString())
+      const cache = new DiskCache({ dir })
+      await cache.set('a', 1)
+      await cache.set('config://b', 2)
+      fs.writeFileSync(path.join(dir, path.basename(await unmangle(cache)._filename('c'))), '3')
+      await cache.clear()
+      expect(await cache.get('a')).to.equal(undefined)
+      expect(await cache.get('config://b')).to.equal(undefined)
+      expect(await cache.get('c')).to.equal(undefined)
+      expect(fs.existsSync(path.dirname(await unmangle(cache)._filename('a')))).to.equal(true)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('removes files with prefix', async () => {
+      const dir = path.join(TMP, Math.random().toString())
+      const cache = new DiskCache({ dir })
+      await cache.set('spend://a', 'x')
+      await cache.set('tx://a', 'y')
+      await cache.clear('spend://')
+      expect(await cache.get('spend://a')).to.equal(undefined)
+      expect(await cache.get('tx://a')).to.equal('y')
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // maxSizeMB
+  // --------------------------------------------------------------------------
+
+  describe('maxSizeMB', () => {
+    // Each entry with a single character key is 1000 bytes
+    const value = 'x'.repeat(994)
+
+    it('evicts least recently used', async () => {
+      const dir = path.join(TMP, Math.random().toString())
+      const cache = new DiskCache({ dir, maxSizeMB: 0.003 })
+      await cache.set('a', value)
+      await cache.set('b', value)
+      await cache.set('c', value)
+      await cache.get('a')
+      await cache.set('d', value)
+      expect(await cache.get('a')).to.equal(value)
+      expect(await cache.get('b')).to.equal(undefined)
+      expect(await cache.get('c')).to.equal(value)
+      expect(await cache.get('d')).to.equal(value)
+      expect(fs.existsSync(await unmangle(cache)._filename('b'))).to.equal(false)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('preserves config keys', async () => {
+      const dir = path.join(TMP, Math.random().toString())
+      const cache = new DiskCache({ dir, maxSizeMB: 0.002 })
+      await cache.set('config://x', value)
+      await cache.set('a', value)
+      await cache.set('b', value)
+      await cache.set('c', value)
+      expect(await cache.get('config://x')).to.equal(value)
+      expect(await cache.get('a')).to.equal(undefined)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('reduces when lowered', async () => {
+      const dir = path.join(TMP, Math.random().toString())
+      const cache = new DiskCache({ dir })
+      await cache.set('a', value)
+      await cache.set('b', value)
+      const past = new Date(Date.now() - 60000)
+      fs.utimesSync(await unmangle(cache)._filename('a'), past, past)
+      cache.maxSizeMB = 0.001
+      await unmangle(cache)._reduceToFit()
+      expect(await cache.get('a')).to.equal(undefined)
+      expect(await cache.get('b')).to.equal(value)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('counts existing files', async () => {
+      const dir = path.join(TMP, Math.random().toString())
+      const cache = new DiskCache({ dir })
+      await cache.set('a', value)
+      await cache.set('b', value)
+      const cache2 = new DiskCache({ dir, maxSizeMB: 0.002 })
+      await cache2.set('c', value)
+      expect(await cache2.get('c')).to.equal(value)
+      const remaining = await Promise.all(['a', 'b'].map(key => cache2.get(key)))
+      expect(remaining.filter(x => typeof x !== 'undefined').length).to.equal(1)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('removes evicted code from code filter', async () => {
+      const run = new Run()
+      class A { }
+      run.deploy(A)
+      await run.sync()
+      const key = `jig://${A.location}`
+      const state = await run.cache.get(key)
+      run.deactivate()
+      const dir = path.join(TMP, Math.random().toString())
+      const cache = new DiskCache({ dir, maxSizeMB: 0.01 })
+      await cache.set(key, state)
+      expect(StateFilter.possiblyHas(await cache.get('config://code-filter'), key)).to.equal(true)
+      await cache.set('a', 'x'.repeat(9994))
+      expect(await cache.get(key)).to.equal(undefined)
+      expect(StateFilter.possiblyHas(await cache.get('config://code-filter'), key)).to.equal(false)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('updates modification time at most once a minute', async () => {
+      const dir = path.join(TMP, Math.random().toString())
+      const cache = new DiskCache({ dir, maxSizeMB: 1 })
+      await cache.set('a', value)
+      const filename = await unmangle(cache)._filename('a')
+      const past = new Date(Date.now() - 60000)
+      fs.utimesSync(filename, past, past)
+      await cache.get('a')
+      await new Promise(resolve => setTimeout(resolve, 10))
+      expect(fs.statSync(filename).mtimeMs).to.be.closeTo(past.getTime(), 1)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('ignores temporary and lock files', async () => {
+      const dir = path.join(TMP, Math.random().toString())
+      const cache = new DiskCache({ dir })
+      await cache.set('a', 'x'.repeat(1000))
+      const filename = await unmangle(cache)._filename('a')
+      fs.writeFileSync(filename + '.123.abc.tmp', 'x'.repeat(5000))
+      fs.writeFileSync(filename + '.lock', '')
+      const cache2 = new DiskCache({ dir, maxSizeMB: 0.002 })
+      await unmangle(cache2)._reduceToFit()
+      expect(await cache2.get('a')).to.equal('x'.repeat(1000))
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // lock
+  // --------------------------------------------------------------------------
+
+  describe('lock', () => {
+    it('serializes read-modify-writes across instances', async () => {
+      const dir = path.join(TMP, Math.random().toString())
+      const caches = [new DiskCache({ dir }), new DiskCache({ dir })]
+      await caches[0].set('config://n', 0)
+      const increment = cache => cache.lock('config://n', async () => {
+        const n = await cache.get('config://n')
+        await new Promise(resolve => setTimeout(resolve, 1))
+        await cache.set('config://n', n + 1)
+      })
+      const promises = []
+      for (let i = 0; i < 10; i++) caches.forEach(cache => promises.push(increment(cache)))
+      await Promise.all(promises)
+      expect(await caches[1].get('config://n')).to.equal(20)
+      const filename = await unmangle(caches[0])._filename('config://n')
+      expect(fs.existsSync(filename + '.lock')).to.equal(false)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('releases lock on error', async () => {
+      const dir = path.join(TMP, Math.random().toString())
+      const cache = new DiskCache({ dir })
+      const error = new Error('abc')
+      await expect(cache.lock('config://n', async () => { throw error })).to.be.rejectedWith(error)
+      const filename = await unmangle(cache)._filename('config://n')
+      expect(fs.existsSync(filename + '.lock')).to.equal(false)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('breaks stale lock', async () => {
+      const previousLogger = Log._logger
+      try {
+        Log._logger = stub({ error: () => {}, warn: () => {} })
+        const dir = path.join(TMP, Math.random().toString())
+        const cache = new DiskCache({ dir })
+        const filename = await unmangle(cache)._filename('config://n')
+        fs.mkdirSync(path.dirname(filename))
+        fs.writeFileSync(filename + '.lock', '')
+        const old = new Date(Date.now() - 60000)
+        fs.utimesSync(filename + '.lock', old, old)
+        expect(await cache.lock('config://n', async () => 1)).to.equal(1)
+        expect(Log._logger.warn.called).to.equal(true)
+      } finally {
+        Log._logger = previousLogger
+      }
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('updates code filter across instances', async () => {
+      const dir = path.join(TMP, Math.random().toString())
+      const caches = [new DiskCache({ dir }), new DiskCache({ dir })]
+      const keys = []
+      for (let i = 0; i < 20; i++) keys.push(`jig://${i.toString().padStart(64, '0')}_o1`)
+      await Promise.all(keys.map((key, i) => caches[i % 2].set(key, { kind: 'code' })))
+      const filter = await caches[0].get('config://code-filter')
+      keys.forEach(key => expect(StateFilter.possiblyHas(filter, key)).to.equal(true))
+    })
+  })
 })
 
 // ------------------------------------------------------------------------------------------------
@@ -0,0 +1,508 @@
+/**
+ * electrumx.js
+ *
+ * Tests for lib/plugins/electrumx.js
+ */
+
+const { describe, it, afterEach } = require('mocha')
+require('chai').use(require('chai-as-promised'))
+const { expect } = require('chai')
+const bsv = require('bsv')
+const Run = require('../env/run')
+const { BROWSER } = require('../env/config')
+const { createAbortController } = require('../env/misc')
+const { Jig } = Run
+const { ElectrumX, BlockchainWrapper, Mockchain } = Run.plugins
+const { TimeoutError, AbortError } = Run.errors
+
+// ------------------------------------------------------------------------------------------------
+// Stand-in server
+// ------------------------------------------------------------------------------------------------
+
+function scripthash (script) {
+  return bsv.crypto.Hash.sha256(script.toBuffer()).reverse().toString('hex')
+}
+
+// ------------------------------------------------------------------------------------------------
+
+// Answers ElectrumX requests from a Mockchain. Handlers may be overridden per test.
+function mockHandlers (mockchain) {
+  const transactions = () => Array.from(mockchain._transactions.values()).map(rawtx => new bsv.Transaction(rawtx))
+
+  const prevout = input => {
+    const rawtx = mockchain._transactions.get(input.prevTxId.toString('hex'))
+    return rawtx && new bsv.Transaction(rawtx).outputs[input.outputIndex]
+  }
+
+  return {
+    'server.version': () => ['ElectrumX 1.16.0', '1.4'],
+
+    'blockchain.transaction.broadcast': ([rawtx]) => mockchain.broadcast(rawtx),
+
+    'blockchain.transaction.get': async ([txid, verbose]) => {
+      const rawtx = mockchain._transactions.get(txid)
+      if (!rawtx) throw new Error('daemon error: DaemonError({\'code\': -5, \'message\': \'No such mempool or blockchain transaction. Use gettransaction for wallet transactions.\'})')
+      return verbose ? { hex: rawtx, txid, time: Math.floor(mockchain._times.get(txid) / 1000) } : rawtx
+    },
+
+    'blockchain.scripthash.listunspent': ([hash]) => {
+      const locations = Array.from(mockchain._ulocations.get(hash) || [])
+      return locations.map(location => mockchain._utxos.get(location))
+        .map(utxo => ({ tx_hash: utxo.txid, tx_pos: utxo.vout, value: utxo.satoshis, height: 0 }))
+    },
+
+    'blockchain.scripthash.get_history': ([hash]) => {
+      return transactions()
+        .filter(tx => tx.outputs.some(output => scripthash(output.script) === hash) ||
+          tx.inputs.some(input => { const output = prevout(input); return output && scripthash(output.script) === hash }))
+        .map(tx => ({ tx_hash: tx.hash, height: 0 }))
+    }
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+
+// Starts a newline-delimited JSON-RPC server on a random local port
+async function startServer (handlers) {
+  const net = require('net')
+
+  const server = { handlers, requests: [], sockets: [] }
+
+  server.net = net.createServer(socket => {
+    server.sockets.push(socket)
+    let buffer = ''
+    socket.setEncoding('utf8')
+    socket.on('error', () => {})
+    socket.on('data', data => {
+      const lines = (buffer + data).split('\n')
+      buffer = lines.pop()
+      lines.forEach(async line => {
+        const { id, method, params } = JSON.parse(line)
+        server.requests.push({ method, params })
+        const handler = handlers[method]
+        if (handler === null) return // Never respond
+        try {
+          if (!handler) throw new Error(`unknown method ${method}`)
+          const result = await handler(params)
+          socket.write(JSON.stringify({ jsonrpc: '2.0', id, result }) + '\n')
+        } catch (e) {
+          socket.write(JSON.stringify({ jsonrpc: '2.0', id, error: { code: 1, message: e.message } }) + '\n')
+        }
+      })
+    })
+  })
+
+  await new Promise(resolve => server.net.listen(0, '127.0.0.1', resolve))
+  server.url = `tcp://127.0.0.1:${server.net.address().port}`
+  server.close = () => {
+    server.sockets.forEach(socket => socket.destroy())
+    return new Promise(resolve => server.net.close(resolve))
+  }
+
+  return server
+}
+
+// ------------------------------------------------------------------------------------------------
+
+// A WebSocket stand-in that answers from handlers directly
+function mockWebSocket (handlers, requests = []) {
+  return class {
+    constructor (url) {
+      this.url = url
+      setTimeout(() => this.onopen(), 0)
+    }
+
+    async send (data) {
+      const { id, method, params } = JSON.parse(data)
+      requests.push({ method, params })
+      const result = await handlers[method](params)
+      this.onmessage({ data: JSON.stringify({ jsonrpc: '2.0', id, result }) })
+    }
+
+    close () { this.onclose() }
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+// ElectrumX
+// ------------------------------------------------------------------------------------------------
+
+describe('ElectrumX', () => {
+  const openBlockchains = []
+  const openServers = []
+
+  // Close connections and servers so that tests don't leak sockets
+  afterEach(async () => {
+    await Promise.all(openBlockchains.splice(0).map(blockchain => blockchain.close()))
+    await Promise.all(openServers.splice(0).map(server => server.close()))
+  })
+
+  async function setup (options = {}, handlers) {
+    const mockchain = new Mockchain()
+    handlers = Object.assign(mockHandlers(mockchain), handlers)
+    const server = await startServer(handlers)
+    openServers.push(server)
+    const blockchain = new ElectrumX(Object.assign({ url: server.url, network: 'mock' }, options))
+    openBlockchains.push(blockchain)
+    return { mockchain, server, blockchain }
+  }
+
+  // --------------------------------------------------------------------------
+  // constructor
+  // --------------------------------------------------------------------------
+
+  describe('constructor', () => {
+    it('is BlockchainWrapper', () => {
+      expect(new ElectrumX({ url: 'tcp://localhost:50001' }) instanceof BlockchainWrapper).to.equal(true)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('with defaults', () => {
+      const blockchain = new ElectrumX({ url: 'ssl://electrumx.example.com:50002' })
+      expect(blockchain.url).to.equal('ssl://electrumx.example.com:50002')
+      expect(blockchain.network).to.equal('main')
+      expect(blockchain.timeout).to.equal(10000)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('with options', () => {
+      const WebSocket = mockWebSocket({})
+      const blockchain = new ElectrumX({ url: 'wss://example.com/electrumx', network: 'test', timeout: 1000, WebSocket })
+      expect(blockchain.url).to.equal('wss://example.com/electrumx')
+      expect(blockchain.network).to.equal('test')
+      expect(blockchain.timeout).to.equal(1000)
+      expect(blockchain.WebSocket).to.equal(WebSocket)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid url', () => {
+      expect(() => new ElectrumX()).to.throw('Invalid url: undefined')
+      expect(() => new ElectrumX({ url: null })).to.throw('Invalid url: null')
+      expect(() => new ElectrumX({ url: 'http://localhost:50001' })).to.throw('Invalid url')
+      expect(() => new ElectrumX({ url: 'tcp://localhost' })).to.throw('Invalid url')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid network', () => {
+      const url = 'tcp://localhost:50001'
+      expect(() => new ElectrumX({ url, network: null })).to.throw('Invalid network: null')
+      expect(() => new ElectrumX({ url, network: '' })).to.throw('Invalid network')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid timeout', () => {
+      const url = 'tcp://localhost:50001'
+      expect(() => new ElectrumX({ url, timeout: null })).to.throw('Invalid timeout: null')
+      expect(() => new ElectrumX({ url, timeout: 0 })).to.throw('Invalid timeout: 0')
+      expect(() => new ElectrumX({ url, timeout: Infinity })).to.throw('Invalid timeout: Infinity')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid WebSocket', () => {
+      const url = 'ws://localhost:50003'
+      expect(() => new ElectrumX({ url, WebSocket: null })).to.throw('Invalid WebSocket: null')
+      expect(() => new ElectrumX({ url, WebSocket: {} })).to.throw('Invalid WebSocket')
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // WebSocket
+  // --------------------------------------------------------------------------
+
+  describe('WebSocket', () => {
+    it('calls over WebSocket', async () => {
+      const mockchain = new Mockchain()
+      const txid = mockchain.fund(new bsv.PrivateKey('testnet').toAddress().toString(), 1000)
+      const requests = []
+      const WebSocket = mockWebSocket(mockHandlers(mockchain), requests)
+      const blockchain = new ElectrumX({ url: 'ws://localhost:50003', WebSocket })
+      expect(await blockchain.fetch(txid)).to.equal(mockchain._transactions.get(txid))
+      expect(requests.map(request => request.method)).to.deep.equal(['server.version', 'blockchain.transaction.get'])
+      await blockchain.close()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if WebSocket not available', async () => {
+      const blockchain = new ElectrumX({ url: 'ws://localhost:50003' })
+      blockchain.WebSocket = undefined
+      await expect(blockchain.fetch('0000000000000000000000000000000000000000000000000000000000000000'))
+        .to.be.rejectedWith('WebSocket is not available')
+    })
+  })
+
+  // The remaining tests use a TCP server
+  if (BROWSER) return
+
+  // --------------------------------------------------------------------------
+  // broadcast
+  // --------------------------------------------------------------------------
+
+  describe('broadcast', () => {
+    it('broadcasts transaction', async () => {
+      const { mockchain, blockchain } = await setup()
+      const privkey = new bsv.PrivateKey('testnet')
+      const fundtxid = mockchain.fund(privkey.toAddress().toString(), 100000)
+      const utxo = (await mockchain.utxos(bsv.Script.fromAddress(privkey.toAddress()).toHex()))[0]
+      const tx = new bsv.Transaction().from(utxo).to(privkey.toAddress(), 1000).change(privkey.toAddress()).sign(privkey)
+      const txid = await blockchain.broadcast(tx.toString())
+      expect(txid).to.equal(tx.hash)
+      expect(mockchain._spends.get(`${fundtxid}_o1`)).to.equal(txid)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if rejected', async () => {
+      const handlers = { 'blockchain.transaction.broadcast': () => { throw new Error('txn-mempool-conflict') } }
+      const { blockchain } = await setup({}, handlers)
+      const privkey = new bsv.PrivateKey('testnet')
+      const tx = new bsv.Transaction()
+        .from({ txid: '0000000000000000000000000000000000000000000000000000000000000000', vout: 0, script: '', satoshis: 1000 })
+        .to(privkey.toAddress(), 500)
+      await expect(blockchain.broadcast(tx.toString())).to.be.rejectedWith('txn-mempool-conflict')
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // fetch
+  // --------------------------------------------------------------------------
+
+  describe('fetch', () => {
+    it('fetches transaction', async () => {
+      const { mockchain, blockchain } = await setup()
+      const txid = mockchain.fund(new bsv.PrivateKey('testnet').toAddress().toString(), 1000)
+      expect(await blockchain.fetch(txid)).to.equal(mockchain._transactions.get(txid))
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if missing', async () => {
+      const { blockchain } = await setup()
+      const txid = '0000000000000000000000000000000000000000000000000000000000000000'
+      await expect(blockchain.fetch(txid)).to.be.rejectedWith('No such mempool or blockchain transaction')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if aborted', async () => {
+      const { blockchain } = await setup({}, { 'blockchain.transaction.get': null })
+      const controller = createAbortController()
+      const txid = '0000000000000000000000000000000000000000000000000000000000000000'
+      const promise = blockchain.fetch(txid, { signal: controller.signal })
+      setTimeout(() => controller.abort(), 10)
+      await expect(promise).to.be.rejectedWith(AbortError)
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // utxos
+  // --------------------------------------------------------------------------
+
+  describe('utxos', () => {
+    it('queries by scripthash', async () => {
+      const { mockchain, server, blockchain } = await setup()
+      const address = new bsv.PrivateKey('testnet').toAddress()
+      const script = bsv.Script.fromAddress(address)
+      const txid = mockchain.fund(address.toString(), 1000)
+      const utxos = await blockchain.utxos(script.toHex())
+      expect(utxos).to.deep.equal([{ txid, vout: 1, satoshis: 1000, script: script.toHex() }])
+      const request = server.requests.find(request => request.method === 'blockchain.scripthash.listunspent')
+      expect(request.params).to.deep.equal([scripthash(script)])
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // time
+  // --------------------------------------------------------------------------
+
+  describe('time', () => {
+    it('returns transaction time', async () => {
+      const { mockchain, blockchain } = await setup()
+      const txid = mockchain.fund(new bsv.PrivateKey('testnet').toAddress().toString(), 1000)
+      const time = await blockchain.time(txid)
+      expect(time).to.equal(Math.floor(mockchain._times.get(txid) / 1000) * 1000)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('prefers block time', async () => {
+      const handlers = { 'blockchain.transaction.get': () => ({ time: 1000, blocktime: 2000 }) }
+      const { blockchain } = await setup({}, handlers)
+      const txid = '0000000000000000000000000000000000000000000000000000000000000000'
+      expect(await blockchain.time(txid)).to.equal(2000000)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('returns now if in mempool without time', async () => {
+      const handlers = { 'blockchain.transaction.get': () => ({ }) }
+      const { blockchain } = await setup({}, handlers)
+      const txid = '0000000000000000000000000000000000000000000000000000000000000000'
+      const before = Date.now()
+      expect(await blockchain.time(txid)).to.be.at.least(before)
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // spends
+  // --------------------------------------------------------------------------
+
+  describe('spends', () => {
+    it('returns spending transaction', async () => {
+      const { mockchain, blockchain } = await setup()
+      const privkey = new bsv.PrivateKey('testnet')
+      const fundtxid = mockchain.fund(privkey.toAddress().toString(), 100000)
+      const utxo = (await mockchain.utxos(bsv.Script.fromAddress(privkey.toAddress()).toHex()))[0]
+      const tx = new bsv.Transaction().from(utxo).to(privkey.toAddress(), 1000).change(privkey.toAddress()).sign(privkey)
+      await mockchain.broadcast(tx.toString())
+      expect(await blockchain.spends(fundtxid, 1)).to.equal(tx.hash)
+      expect(await blockchain.spends(tx.hash, 0)).to.equal(null)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('searches from output block in height order', async () => {
+      const { mockchain, blockchain, server } = await setup()
+      const privkey = new bsv.PrivateKey('testnet')
+      const fundtxid = mockchain.fund(privkey.toAddress().toString(), 100000)
+      const utxo = (await mockchain.utxos(bsv.Script.fromAddress(privkey.toAddress()).toHex()))[0]
+      const tx = new bsv.Transaction().from(utxo).to(privkey.toAddress(), 1000).change(privkey.toAddress()).sign(privkey)
+      await mockchain.broadcast(tx.toString())
+      const before = mockchain.fund(privkey.toAddress().toString(), 1000)
+      const after = mockchain.fund(privkey.toAddress().toString(), 1000)
+      server.handlers['blockchain.scripthash.get_history'] = () => [
+        { tx_hash: before, height: 99 },
+        { tx_hash: tx.hash, height: 0 },
+        { tx_hash: fundtxid, height: 100 },
+        { tx_hash: after, height: 101 }
+      ]
+      expect(await blockchain.spends(fundtxid, 1)).to.equal(tx.hash)
+      const fetched = server.requests.filter(r => r.method === 'blockchain.transaction.get').map(r => r.params[0])
+      expect(fetched).to.deep.equal([fundtxid, after, tx.hash])
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if history is too long', async () => {
+      const { mockchain, blockchain, server } = await setup()
+      const txid = mockchain.fund(new bsv.PrivateKey('testnet').toAddress().toString(), 1000)
+      const others = new Array(101).fill().map(() => mockchain.fund(new bsv.PrivateKey('testnet').toAddress().toString(), 1000))
+      server.handlers['blockchain.scripthash.get_history'] = () => others.map(txid => ({ tx_hash: txid, height: 0 }))
+      await expect(blockchain.spends(txid, 0)).to.be.rejectedWith(`Too many transactions to search for spend: ${txid}_o0`)
+      expect(server.requests.filter(r => r.method === 'blockchain.transaction.get').length).to.equal(101)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if no output', async () => {
+      const { mockchain, blockchain } = await setup()
+      const txid = mockchain.fund(new bsv.PrivateKey('testnet').toAddress().toString(), 1000)
+      await expect(blockchain.spends(txid, 2)).to.be.rejectedWith(`No such output: ${txid}_o2`)
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // connection
+  // --------------------------------------------------------------------------
+
+  describe('connection', () => {
+    it('sends version first', async () => {
+      const { server, blockchain } = await setup()
+      await blockchain.utxos(bsv.Script.fromAddress(new bsv.PrivateKey('testnet').toAddress()).toHex())
+      expect(server.requests[0]).to.deep.equal({ method: 'server.version', params: ['run', '1.4'] })
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('reuses connection', async () => {
+      const { mockchain, server, blockchain } = await setup()
+      const txid = mockchain.fund(new bsv.PrivateKey('testnet').toAddress().toString(), 1000)
+      await Promise.all([blockchain.fetch(txid), blockchain.time(txid)])
+      await blockchain.time(txid)
+      expect(server.sockets.length).to.equal(1)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('reconnects after disconnect', async () => {
+      const { server, blockchain } = await setup()
+      const script = bsv.Script.fromAddress(new bsv.PrivateKey('testnet').toAddress()).toHex()
+      await blockchain.utxos(script)
+      server.sockets[0].destroy()
+      await new Promise(resolve => setTimeout(resolve, 10))
+      await blockchain.utxos(script)
+      expect(server.sockets.length).to.equal(2)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('rejects pending requests on disconnect', async () => {
+      const { server, blockchain } = await setup({}, { 'blockchain.transaction.get': null })
+      const txid = '0000000000000000000000000000000000000000000000000000000000000000'
+      const promise = blockchain.fetch(txid)
+      setTimeout(() => server.sockets[0].destroy(), 10)
+      await expect(promise).to.be.rejectedWith('Connection closed')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if request times out', async () => {
+      const { blockchain } = await setup({ timeout: 50 }, { 'blockchain.transaction.get': null })
+      const txid = '0000000000000000000000000000000000000000000000000000000000000000'
+      await expect(blockchain.fetch(txid)).to.be.rejectedWith(TimeoutError)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if cannot connect', async () => {
+      const { server } = await setup()
+      const url = server.url
+      await server.close()
+      const blockchain = new ElectrumX({ url })
+      const txid = '0000000000000000000000000000000000000000000000000000000000000000'
+      await expect(blockchain.fetch(txid)).to.be.rejectedWith('ECONNREFUSED')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('close then reopen', async () => {
+      const { server, blockchain } = await setup()
+      const script = bsv.Script.fromAddress(new bsv.PrivateKey('testnet').toAddress()).toHex()
+      await blockchain.utxos(script)
+      await blockchain.close()
+      await blockchain.utxos(script)
+      expect(server.sockets.length).to.equal(2)
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // Run
+  // --------------------------------------------------------------------------
+
+  describe('Run', () => {
+    it('deploys and loads jigs', async () => {
+      const { mockchain, blockchain } = await setup()
+      const purse = new bsv.PrivateKey('testnet')
+      mockchain.fund(purse.toAddress().toString(), 100000000)
+      const run = new Run({ blockchain, purse, cache: new Run.plugins.LocalCache() })
+      class A extends Jig { f () { this.n = 1 } }
+      const a = new A()
+      await a.sync()
+      const a2 = await run.load(a.location)
+      a2.f()
+      await a2.sync()
+      run.cache = new Run.plugins.LocalCache()
+      await a.sync()
+      expect(a.n).to.equal(1)
+      run.deactivate()
+    })
+  })
+})
+
+// ------------------------------------------------------------------------------------------------
@@ -4,6 +4,8 @@
  * Tests for lib/plugins/indexeddb-cache.js
  */
 
+/* global DOMException */
+
 const { describe, it } = require('mocha')
 const { expect } = require('chai')
 require('chai').use(require('chai-as-promised'))
@@ -11,6 +13,7 @@ const unmangle = require('../env/unmangle')
 const { BROWSER } = require('../env/config')
 const Run = require('../env/run')
 const { IndexedDbCache, CacheWrapper } = Run.plugins
+const StateFilter = unmangle(Run)._StateFilter
 
 // ------------------------------------------------------------------------------------------------
 // IndexedDbCache
@@ -51,24 +54,43 @@ describe('IndexedDbCache', () => {
 
     // ------------------------------------------------------------------------
 
-    it('throws if upgrade required', async () => {
+    it('upgrades from version 1', async () => {
       const dbName = Math.random().toString()
       const cache1 = new IndexedDbCache({ dbName, dbVersion: 1 })
+      await cache1.set('jig://a', { kind: 'code' })
       const db1 = await (unmangle(cache1)._dbPromise)
       db1.close()
       const cache2 = new IndexedDbCache({ dbName, dbVersion: 2 })
-      const key = Math.random().toString()
-      await expect(cache2.get(key)).to.be.rejectedWith('Upgrade not supported')
+      expect(await cache2.get('jig://a')).to.deep.equal({ kind: 'code' })
+      expect(await cache2.keys('jig://')).to.deep.equal(['jig://a'])
     })
 
     // ------------------------------------------------------------------------
 
-    it('throws if different versions open', async () => {
+    it('upgrades while older version open', async () => {
       const dbName = Math.random().toString()
-      const cache1 = new IndexedDbCache({ dbName, dbVersion: 1 }) // eslint-disable-line
+      const cache1 = new IndexedDbCache({ dbName, dbVersion: 1 })
+      await cache1.set('a', 1)
       const cache2 = new IndexedDbCache({ dbName, dbVersion: 2 })
-      const key = Math.random().toString()
-      await expect(cache2.get(key)).to.be.rejectedWith('Upgrade not supported')
+      expect(await cache2.get('a')).to.equal(1)
+      await expect(cache1.get('a')).to.be.rejectedWith('Database upgraded by another connection')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('supports version 1 without eviction', async () => {
+      const dbName = Math.random().toString()
+      const cache = new IndexedDbCache({ dbName, dbVersion: 1, maxSizeMB: 0 })
+      await cache.set('a', 1)
+      expect(await cache.get('a')).to.equal(1)
+      expect(await cache.keys('a')).to.deep.equal(['a'])
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid maxSizeMB', () => {
+      expect(() => new IndexedDbCache({ maxSizeMB: -1 })).to.throw('Invalid maxSizeMB')
+      expect(() => new IndexedDbCache({ maxSizeMB: null })).to.throw('Invalid maxSizeMB')
     })
 
     // ------------------------------------------------------------------------
@@ -116,6 +138,151 @@ describe('IndexedDbCache', () => {
       expect(await cache.get(key)).to.deep.equal(json)
     })
   })
+
+  // --------------------------------------------------------------------------
+  // delete
+  // --------------------------------------------------------------------------
+
+  describe('delete', () => {
+    it('removes value', async () => {
+      const cache = new IndexedDbCache()
+      const key = Math.random().toString()
+      await cache.set(key, 1)
+      await cache.delete(key)
+      expect(await cache.get(key)).to.equal(undefined)
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // keys
+  // --------------------------------------------------------------------------
+
+  describe('keys', () => {
+    it('returns keys with prefix', async () => {
+      const cache = new IndexedDbCache()
+      const prefix = `${Math.random()}://`
+      await cache.set(`${prefix}a`, 1)
+      await cache.set(`${prefix}b`, 2)
+      expect((await cache.keys(prefix)).sort()).to.deep.equal([`${prefix}a`, `${prefix}b`])
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('returns keys by protocol', async () => {
+      const dbName = Math.random().toString()
+      const cache = new IndexedDbCache({ dbName })
+      await cache.set('ban://a', { reason: 'x' })
+      await cache.set('trust://b', true)
+      await cache.set('ban://c', { reason: 'y' })
+      expect((await cache.keys('ban://')).sort()).to.deep.equal(['ban://a', 'ban://c'])
+      expect(await cache.keys('trust://')).to.deep.equal(['trust://b'])
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // clear
+  // --------------------------------------------------------------------------
+
+  describe('clear', () => {
+    it('removes values with prefix', async () => {
+      const cache = new IndexedDbCache()
+      const prefix = `${Math.random()}://`
+      const other = Math.random().toString()
+      await cache.set(`${prefix}a`, 1)
+      await cache.set(other, 2)
+      await cache.clear(prefix)
+      expect(await cache.get(`${prefix}a`)).to.equal(undefined)
+      expect(await cache.get(other)).to.equal(2)
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // maxSizeMB
+  // --------------------------------------------------------------------------
+
+  describe('maxSizeMB', () => {
+    it('evicts least recently used', async () => {
+      const dbName = Math.random().toString()
+      const cache = new IndexedDbCache({ dbName, maxSizeMB: 0.003 })
+      const value = 'x'.repeat(1000)
+      await cache.set('a', value)
+      await new Promise(resolve => setTimeout(resolve, 10))
+      await cache.set('b', value)
+      await new Promise(resolve => setTimeout(resolve, 10))
+      await cache.get('a')
+      await new Promise(resolve => setTimeout(resolve, 10))
+      await cache.set('c', value)
+      expect(await cache.get('a')).to.equal(value)
+      expect(await cache.get('b')).to.equal(undefined)
+      expect(await cache.get('c')).to.equal(value)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('preserves config keys', async () => {
+      const dbName = Math.random().toString()
+      const cache = new IndexedDbCache({ dbName, maxSizeMB: 0.001 })
+      await cache.set('config://a', 'x'.repeat(2000))
+      await cache.set('b', 'x'.repeat(2000))
+      expect(await cache.get('config://a')).to.equal('x'.repeat(2000))
+      expect(await cache.get('b')).to.equal(undefined)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('reduces when lowered', async () => {
+      const dbName = Math.random().toString()
+      const cache = new IndexedDbCache({ dbName })
+      await cache.set('a', 'x'.repeat(2000))
+      cache.maxSizeMB = 0.001
+      await unmangle(cache)._reduceToFit()
+      expect(await cache.get('a')).to.equal(undefined)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('removes evicted code from code filter', async () => {
+      const dbName = Math.random().toString()
+      const cache = new IndexedDbCache({ dbName, maxSizeMB: 0.002 })
+      await cache.set('jig://a', { kind: 'code', src: 'x'.repeat(1000) })
+      expect(StateFilter.possiblyHas(await cache.get('config://code-filter'), 'jig://a')).to.equal(true)
+      await cache.set('b', 'x'.repeat(1500))
+      expect(await cache.get('jig://a')).to.equal(undefined)
+      expect(StateFilter.possiblyHas(await cache.get('config://code-filter'), 'jig://a')).to.equal(false)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('evicts when quota exceeded', async () => {
+      const dbName = Math.random().toString()
+      const cache = new IndexedDbCache({ dbName })
+      await cache.set('a', 'x'.repeat(1000))
+      const put = unmangle(cache)._put
+      let calls = 0
+      unmangle(cache)._put = function (...args) {
+        if (calls++ === 0) return Promise.reject(new DOMException('Quota exceeded', 'QuotaExceededError'))
+        return put.call(this, ...args)
+      }
+      await cache.set('b', 'y')
+      expect(await cache.get('a')).to.equal(undefined)
+      expect(await cache.get('b')).to.equal('y')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('batches recency updates', async () => {
+      const dbName = Math.random().toString()
+      const cache = new IndexedDbCache({ dbName, maxSizeMB: 1 })
+      await cache.set('a', 1)
+      await cache.set('b', 2)
+      await cache.get('a')
+      await cache.get('b')
+      await cache.get('a')
+      expect(Array.from(unmangle(cache)._touched.keys())).to.deep.equal(['a', 'b'])
+      await unmangle(cache)._flushTouches(await unmangle(cache)._dbPromise)
+      expect(unmangle(cache)._touched.size).to.equal(0)
+    })
+  })
 })
 
 // ------------------------------------------------------------------------------------------------
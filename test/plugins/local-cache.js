@@ -188,6 +188,66 @@ describe('LocalCache', () => {
       await cache.set('b', 'b')
       expect(await cache.get('b')).to.equal('b')
     })
+
+    // ------------------------------------------------------------------------
+
+    it('removes entries with prefix', async () => {
+      const cache = new LocalCache()
+      await cache.set('spend://a', 'x')
+      await cache.set('spend://b', 'y')
+      await cache.set('tx://a', 'z')
+      await cache.clear('spend://')
+      expect(await cache.get('spend://a')).to.equal(undefined)
+      expect(await cache.get('spend://b')).to.equal(undefined)
+      expect(await cache.get('tx://a')).to.equal('z')
+      expect(cache.sizeBytes).to.equal(LocalCache._estimateSize('tx://a') + LocalCache._estimateSize('z'))
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // delete
+  // --------------------------------------------------------------------------
+
+  describe('delete', () => {
+    it('removes entry', async () => {
+      const cache = new LocalCache()
+      await cache.set('a', 1)
+      await cache.set('b', 2)
+      await cache.delete('a')
+      expect(await cache.get('a')).to.equal(undefined)
+      expect(await cache.get('b')).to.equal(2)
+      expect(cache.sizeBytes).to.equal(LocalCache._estimateSize('b') + LocalCache._estimateSize(2))
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('does nothing if missing', async () => {
+      const cache = new LocalCache()
+      await cache.delete('a')
+      expect(cache.sizeBytes).to.equal(0)
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // keys
+  // --------------------------------------------------------------------------
+
+  describe('keys', () => {
+    it('returns all keys', async () => {
+      const cache = new LocalCache()
+      await cache.set('ban://a', {})
+      await cache.set('tx://b', 'c')
+      expect((await cache.keys()).sort()).to.deep.equal(['ban://a', 'tx://b'])
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('returns keys with prefix', async () => {
+      const cache = new LocalCache()
+      await cache.set('ban://a', {})
+      await cache.set('tx://b', 'c')
+      expect(await cache.keys('ban://')).to.deep.equal(['ban://a'])
+    })
   })
 
   // --------------------------------------------------------------------------
@@ -0,0 +1,233 @@
+/**
+ * local-indexer.js
+ *
+ * Tests for lib/plugins/local-indexer.js
+ */
+
+const { describe, it, afterEach } = require('mocha')
+require('chai').use(require('chai-as-promised'))
+const { expect } = require('chai')
+const Run = require('../env/run')
+const { Jig } = Run
+const { LocalIndexer, LocalCache, StateWrapper } = Run.plugins
+
+// ------------------------------------------------------------------------------------------------
+// LocalIndexer
+// ------------------------------------------------------------------------------------------------
+
+describe('LocalIndexer', () => {
+  // Wait for every test to finish. This makes debugging easier.
+  afterEach(() => Run.instance && Run.instance.sync())
+  // Deactivate the current run instance. This stops leaks across tests.
+  afterEach(() => Run.instance && Run.instance.deactivate())
+
+  // --------------------------------------------------------------------------
+  // constructor
+  // --------------------------------------------------------------------------
+
+  describe('constructor', () => {
+    it('is StateWrapper', () => {
+      const run = new Run()
+      expect(new LocalIndexer({ blockchain: run.blockchain }) instanceof StateWrapper).to.equal(true)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid blockchain', () => {
+      expect(() => new LocalIndexer()).to.throw('Invalid blockchain')
+      expect(() => new LocalIndexer({ blockchain: {} })).to.throw('Invalid blockchain')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid cache', () => {
+      const run = new Run()
+      expect(() => new LocalIndexer({ blockchain: run.blockchain, cache: null })).to.throw('Invalid cache')
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // index
+  // --------------------------------------------------------------------------
+
+  describe('index', () => {
+    it('indexes states and transactions', async () => {
+      const run = new Run()
+      class A extends Jig { init (n) { this.n = n } }
+      const a = new A(1)
+      await a.sync()
+      const indexer = new LocalIndexer({ blockchain: run.blockchain })
+      await indexer.index(a.location.slice(0, 64))
+      const state = await indexer.pull(`jig://${a.location}`)
+      expect(state.kind).to.equal('jig')
+      expect(state.props.n).to.equal(1)
+      expect((await indexer.pull(`jig://${A.location}`)).kind).to.equal('code')
+      expect(await indexer.pull(`tx://${a.location.slice(0, 64)}`)).to.equal(await run.blockchain.fetch(a.location.slice(0, 64)))
+      expect(Run.instance).to.equal(run)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('indexes while no instance is active', async () => {
+      const run = new Run()
+      class A extends Jig { f () { this.n = 1 } }
+      const a = new A()
+      a.f()
+      await a.sync()
+      const cache = run.blockchain.cache
+      run.deactivate()
+      const indexer = new LocalIndexer({ blockchain: run.blockchain, trust: '*' })
+      await indexer.index(a.location.slice(0, 64))
+      expect((await indexer.pull(`jig://${a.location}`)).props.n).to.equal(1)
+      expect(Run.instance).to.equal(null)
+      expect(run.blockchain.cache).to.equal(cache)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('indexes dependencies first', async () => {
+      const run = new Run()
+      class A extends Jig { f () { this.n = 1 } }
+      run.deploy(A)
+      await run.sync()
+      const a = new A()
+      await a.sync()
+      a.f()
+      await a.sync()
+      const indexer = new LocalIndexer({ blockchain: run.blockchain })
+      await indexer.index(a.location.slice(0, 64))
+      expect(await indexer.store.get(`index://${A.location.slice(0, 64)}`)).to.equal(true)
+      expect(await indexer.store.get(`index://${a.origin.slice(0, 64)}`)).to.equal(true)
+      expect((await indexer.pull(`jig://${a.location}`)).props.n).to.equal(1)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('persists to cache', async () => {
+      const run = new Run()
+      class A extends Jig { }
+      const a = new A()
+      await a.sync()
+      const cache = new LocalCache()
+      const indexer = new LocalIndexer({ blockchain: run.blockchain, cache })
+      await indexer.index(a.location.slice(0, 64))
+      expect((await cache.get(`jig://${a.location}`)).kind).to.equal('jig')
+      const indexer2 = new LocalIndexer({ blockchain: run.blockchain, cache })
+      expect((await indexer2.pull(`jig://${a.location}`)).kind).to.equal('jig')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('returns null for non-RUN transaction', async () => {
+      const run = new Run()
+      const txid = run.blockchain.fund(run.purse.address, 10000)
+      const indexer = new LocalIndexer({ blockchain: run.blockchain })
+      expect(await indexer.index(txid)).to.equal(null)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if untrusted', async () => {
+      const run = new Run()
+      class A extends Jig { }
+      run.deploy(A)
+      await run.sync()
+      const indexer = new LocalIndexer({ blockchain: run.blockchain, trust: [] })
+      await expect(indexer.index(A.location.slice(0, 64))).to.be.rejectedWith('Cannot load untrusted code')
+      expect(await indexer.pull(`jig://${A.location}`)).to.equal(undefined)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid txid', async () => {
+      const run = new Run()
+      const indexer = new LocalIndexer({ blockchain: run.blockchain })
+      await expect(indexer.index('abc')).to.be.rejectedWith('Invalid txid')
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // crawl
+  // --------------------------------------------------------------------------
+
+  describe('crawl', () => {
+    it('indexes spending transactions', async () => {
+      const run = new Run()
+      class A extends Jig { f () { this.n = 1 } }
+      const a = new A()
+      await a.sync()
+      const origintxid = a.origin.slice(0, 64)
+      a.f()
+      await a.sync()
+      const indexer = new LocalIndexer({ blockchain: run.blockchain })
+      const indexed = await indexer.crawl(origintxid)
+      expect(indexed).to.deep.equal([origintxid, a.location.slice(0, 64)])
+      expect((await indexer.pull(`jig://${a.location}`)).props.n).to.equal(1)
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // locations
+  // --------------------------------------------------------------------------
+
+  describe('locations', () => {
+    it('returns unspent locations', async () => {
+      const run = new Run()
+      class A extends Jig { send (to) { this.owner = to } }
+      const a = new A()
+      const b = new A()
+      await run.sync()
+      const origin = a.location
+      const to = new Run.plugins.LocalOwner().address
+      a.send(to)
+      await a.sync()
+      const indexer = new LocalIndexer({ blockchain: run.blockchain })
+      await indexer.index(b.location.slice(0, 64))
+      await indexer.index(a.location.slice(0, 64))
+      const mine = await indexer.locations(run.owner.address)
+      expect(mine).to.include(b.location)
+      expect(mine).not.to.include(origin)
+      expect(await indexer.locations(to)).to.deep.equal([a.location])
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // Run
+  // --------------------------------------------------------------------------
+
+  describe('Run', () => {
+    it('indexes broadcasts and loads from state', async () => {
+      const run = new Run()
+      const indexer = new LocalIndexer({ blockchain: run.blockchain })
+      run.state = indexer
+      class A extends Jig { init (n) { this.n = n } }
+      const a = new A(2)
+      await a.sync()
+      expect((await indexer.store.get(`jig://${a.location}`)).props.n).to.equal(2)
+      expect(await indexer.locations(run.owner.address)).to.include(a.location)
+      run.cache = new LocalCache()
+      const events = []
+      run.on('replay-start', (event, data) => events.push(data))
+      const a2 = await run.load(a.location)
+      expect(a2.n).to.equal(2)
+      expect(events.length).to.equal(0)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('pulls referenced states with all', async () => {
+      const run = new Run()
+      class A extends Jig { }
+      const a = new A()
+      await a.sync()
+      const indexer = new LocalIndexer({ blockchain: run.blockchain })
+      await indexer.index(a.location.slice(0, 64))
+      indexer.cache = new LocalCache()
+      await indexer.pull(`jig://${a.location}`, { all: true, tx: true })
+      expect((await indexer.cache.get(`jig://${A.location}`)).kind).to.equal('code')
+      expect(typeof await indexer.cache.get(`tx://${a.location.slice(0, 64)}`)).to.equal('string')
+    })
+  })
+})
+
+// ------------------------------------------------------------------------------------------------
@@ -5,11 +5,17 @@
  */
 
 const { PrivateKey, Transaction, Script } = require('bsv')
-const { describe, it } = require('mocha')
+const { describe, it, afterEach } = require('mocha')
+const { spy } = require('sinon')
 require('chai').use(require('chai-as-promised'))
 const { expect } = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
 const Run = require('../env/run')
-const { STRESS } = require('../env/config')
+const { STRESS, BROWSER } = require('../env/config')
+const { rmrfSync } = require('../env/misc')
+const { Jig } = Run
 const { Mockchain, BlockchainWrapper } = Run.plugins
 
 // ------------------------------------------------------------------------------------------------
@@ -39,6 +45,53 @@ describe('Mockchain', () => {
         await mockchain.broadcast(tx)
       }
     })
+
+    // ------------------------------------------------------------------------
+
+    it('counts from confirmed parents', async () => {
+      const mockchain = new Mockchain()
+      mockchain.mempoolChainLimit = 2
+
+      const privkey = new PrivateKey('testnet')
+      const address = privkey.toAddress()
+      const script = Script.fromAddress(address)
+      mockchain.fund(address, 100000000)
+      mockchain.block()
+
+      for (let i = 0; i < 3; i++) {
+        const utxo = (await mockchain.utxos(script))[0]
+        await mockchain.broadcast(new Transaction().from(utxo).change(address).sign(privkey))
+      }
+
+      const utxo = (await mockchain.utxos(script))[0]
+      const tx = new Transaction().from(utxo).change(address).sign(privkey)
+      await expect(mockchain.broadcast(tx)).to.be.rejectedWith('too-long-mempool-chain')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('counts mixed confirmed and unconfirmed parents', async () => {
+      const mockchain = new Mockchain()
+      mockchain.mempoolChainLimit = 2
+
+      const privkey = new PrivateKey('testnet')
+      const address = privkey.toAddress()
+      const script = Script.fromAddress(address)
+      const confirmedtxid = mockchain.fund(address, 100000000)
+      const chaintxid = mockchain.fund(address, 100000000)
+      mockchain.block()
+
+      let utxo = (await mockchain.utxos(script)).find(utxo => utxo.txid === chaintxid)
+      for (let i = 0; i < 3; i++) {
+        const tx = new Transaction().from(utxo).change(address).sign(privkey)
+        await mockchain.broadcast(tx)
+        utxo = (await mockchain.utxos(script)).find(utxo => utxo.txid === tx.hash)
+      }
+
+      const confirmed = (await mockchain.utxos(script)).find(utxo => utxo.txid === confirmedtxid)
+      const tx = new Transaction().from(confirmed).from(utxo).change(address).sign(privkey)
+      await expect(mockchain.broadcast(tx)).to.be.rejectedWith('too-long-mempool-chain')
+    })
   })
 
   // --------------------------------------------------------------------------
@@ -93,6 +146,416 @@ describe('Mockchain', () => {
       expect(txid).to.equal(utxos[0].txid)
     })
   })
+
+  // --------------------------------------------------------------------------
+  // snapshot
+  // --------------------------------------------------------------------------
+
+  describe('snapshot', () => {
+    it('returns increasing ids', () => {
+      const mockchain = new Mockchain()
+      const id1 = mockchain.snapshot()
+      const id2 = mockchain.snapshot()
+      expect(typeof id1).to.equal('number')
+      expect(id2 > id1).to.equal(true)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('is not changed by later broadcasts', async () => {
+      const mockchain = new Mockchain()
+      const privkey = new PrivateKey('testnet')
+      const address = privkey.toAddress()
+      const script = Script.fromAddress(address)
+      mockchain.fund(address, 10000)
+      const id = mockchain.snapshot()
+      const utxos = await mockchain.utxos(script)
+      utxos[0].satoshis = 1
+      await mockchain.revert(id)
+      expect((await mockchain.utxos(script))[0].satoshis).to.equal(10000)
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // revert
+  // --------------------------------------------------------------------------
+
+  describe('revert', () => {
+    it('restores transactions, utxos, spends, and mempool', async () => {
+      const mockchain = new Mockchain()
+      const privkey = new PrivateKey('testnet')
+      const address = privkey.toAddress()
+      const script = Script.fromAddress(address)
+      const fundtxid = mockchain.fund(address, 10000)
+      const before = await mockchain.utxos(script)
+      const id = mockchain.snapshot()
+
+      const tx = new Transaction().from(before[0]).change(address).sign(privkey)
+      await mockchain.broadcast(tx)
+      const fundtxid2 = mockchain.fund(address, 20000)
+      mockchain.block()
+
+      await mockchain.revert(id)
+      await expect(mockchain.fetch(tx.hash)).to.be.rejectedWith('No such mempool or blockchain transaction')
+      await expect(mockchain.fetch(fundtxid2)).to.be.rejectedWith('No such mempool or blockchain transaction')
+      expect(await mockchain.spends(fundtxid, 1)).to.equal(null)
+      expect(await mockchain.utxos(script)).to.deep.equal(before)
+      expect(Array.from(mockchain._mempool.keys())).to.deep.equal([fundtxid])
+
+      // The reverted utxo may be spent again
+      const tx2 = new Transaction().from(before[0]).to(address, 5000).change(address).sign(privkey)
+      await mockchain.broadcast(tx2)
+      expect(await mockchain.spends(fundtxid, 1)).to.equal(tx2.hash)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('removes the snapshot and later snapshots', async () => {
+      const mockchain = new Mockchain()
+      const id1 = mockchain.snapshot()
+      const id2 = mockchain.snapshot()
+      const id3 = mockchain.snapshot()
+      await mockchain.revert(id2)
+      await expect(mockchain.revert(id2)).to.be.rejectedWith('Invalid snapshot')
+      await expect(mockchain.revert(id3)).to.be.rejectedWith('Invalid snapshot')
+      await mockchain.revert(id1)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('reverts repeatedly with new snapshots', async () => {
+      const mockchain = new Mockchain()
+      const address = new PrivateKey('testnet').toAddress()
+      const script = Script.fromAddress(address)
+      mockchain.fund(address, 10000)
+      for (let i = 0; i < 3; i++) {
+        const id = mockchain.snapshot()
+        mockchain.fund(address, 10000)
+        expect((await mockchain.utxos(script)).length).to.equal(2)
+        await mockchain.revert(id)
+        expect((await mockchain.utxos(script)).length).to.equal(1)
+      }
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('removes reverted entries from the cache', async () => {
+      const mockchain = new Mockchain()
+      const privkey = new PrivateKey('testnet')
+      const address = privkey.toAddress()
+      const fundtxid = mockchain.fund(address, 10000)
+      const id = mockchain.snapshot()
+
+      const utxo = (await mockchain.utxos(address))[0]
+      const tx = new Transaction().from(utxo).change(address).sign(privkey)
+      await mockchain.broadcast(tx)
+      await mockchain.fetch(tx.hash)
+      await mockchain.time(tx.hash)
+      await mockchain.cache.set(`jig://${tx.hash}_o0`, { kind: 'jig', props: {}, version: '04' })
+      await mockchain.cache.set(`berry://${tx.hash}_o1?berry=abc&hash=def&version=5`, { kind: 'berry' })
+      await mockchain.cache.set(`ban://${tx.hash}_o0`, { reason: 'Bad' })
+      await mockchain.cache.set(`ban://${tx.hash}_o1?berry=abc&hash=def&version=5`, { reason: 'Bad' })
+      await mockchain.cache.set(`jig://${fundtxid}_o1`, { kind: 'jig', props: {}, version: '04' })
+      await mockchain.cache.set(`ban://${fundtxid}_o1`, { reason: 'Bad' })
+      expect(await mockchain.cache.get(`spend://${fundtxid}_o1`)).to.equal(tx.hash)
+
+      await mockchain.revert(id)
+      expect(await mockchain.cache.get(`tx://${tx.hash}`)).to.equal(undefined)
+      expect(await mockchain.cache.get(`time://${tx.hash}`)).to.equal(undefined)
+      expect(await mockchain.cache.get(`spend://${fundtxid}_o1`)).to.equal(undefined)
+      expect(await mockchain.cache.keys('jig://')).to.deep.equal([`jig://${fundtxid}_o1`])
+      expect(await mockchain.cache.keys('berry://')).to.deep.equal([])
+      expect(await mockchain.cache.keys('ban://')).to.deep.equal([`ban://${fundtxid}_o1`])
+      expect(await mockchain.cache.get('config://recent-broadcasts')).to.deep.equal([])
+      expect(await mockchain.spends(fundtxid, 1)).to.equal(null)
+      expect((await mockchain.utxos(address))[0].txid).to.equal(fundtxid)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('reloads jigs from before the snapshot', async () => {
+      const run = new Run({ blockchain: new Mockchain() })
+      run.purse.cacheUtxos = false
+      class A extends Jig { f () { this.n = 1 } }
+      const a = new A()
+      await run.sync()
+      const id = run.blockchain.snapshot()
+
+      a.f()
+      await run.sync()
+      const b = new A()
+      await run.sync()
+
+      await run.blockchain.revert(id)
+      await expect(run.load(b.location)).to.be.rejected
+      const a2 = await run.load(a.origin)
+      await a2.sync()
+      expect(a2.location).to.equal(a.origin)
+      expect(a2.n).to.equal(undefined)
+      a2.f()
+      await a2.sync()
+      expect(a2.n).to.equal(1)
+      run.deactivate()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('removes states of reverted deletes from the cache', async () => {
+      const run = new Run({ blockchain: new Mockchain() })
+      class A extends Jig { }
+      const a = new A()
+      await run.sync()
+      const id = run.blockchain.snapshot()
+
+      a.destroy()
+      await run.sync()
+      expect(a.location.endsWith('_d0')).to.equal(true)
+      expect(await run.cache.get(`jig://${a.location}`)).not.to.equal(undefined)
+
+      await run.blockchain.revert(id)
+      expect(await run.cache.get(`jig://${a.location}`)).to.equal(undefined)
+      expect(await run.cache.get(`jig://${a.origin}`)).not.to.equal(undefined)
+      run.deactivate()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('calls revert listeners', async () => {
+      const mockchain = new Mockchain()
+      const address = new PrivateKey('testnet').toAddress()
+      const id = mockchain.snapshot()
+      const txid = mockchain.fund(address, 10000)
+      const calls = []
+      const listener = async (event, data) => { calls.push([event, data]) }
+      mockchain.on('revert', listener)
+      mockchain.on('revert', listener)
+      await mockchain.revert(id)
+      expect(calls).to.deep.equal([['revert', { txids: [txid], locations: [] }]])
+      mockchain.off('revert', listener)
+      await mockchain.revert(mockchain.snapshot())
+      expect(calls.length).to.equal(1)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('warns if cache does not support delete', async () => {
+      const mockchain = new Mockchain()
+      mockchain.cache = new Map()
+      mockchain.cache.delete = undefined
+      const id = mockchain.snapshot()
+      mockchain.fund(new PrivateKey('testnet').toAddress(), 10000)
+      await mockchain.revert(id)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid snapshot', async () => {
+      const mockchain = new Mockchain()
+      await expect(mockchain.revert()).to.be.rejectedWith('Invalid snapshot: undefined')
+      await expect(mockchain.revert(123)).to.be.rejectedWith('Invalid snapshot: 123')
+      await expect(mockchain.revert('1')).to.be.rejectedWith('Invalid snapshot')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid event or listener', () => {
+      const mockchain = new Mockchain()
+      expect(() => mockchain.on('publish', () => {})).to.throw('Invalid event: "publish"')
+      expect(() => mockchain.on('revert', null)).to.throw('Invalid listener: null')
+      expect(() => mockchain.off('sync', () => {})).to.throw('Invalid event: "sync"')
+      expect(() => mockchain.off('revert', 1)).to.throw('Invalid listener: 1')
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // persistence
+  // --------------------------------------------------------------------------
+
+  describe('persistence', () => {
+    const TMP = path.join(os.tmpdir(), 'run-mockchain-test')
+
+    afterEach(() => { if (!BROWSER) rmrfSync(TMP) })
+
+    function tmpfile () {
+      if (!fs.existsSync(TMP)) fs.mkdirSync(TMP)
+      return path.join(TMP, `mockchain-${Math.random().toString().slice(2)}.json`)
+    }
+
+    // ------------------------------------------------------------------------
+
+    it('throws in browser', async () => {
+      if (!BROWSER) return
+      expect(() => new Mockchain({ persist: 'mockchain.json' })).to.throw('Mockchain persistence is only supported in node')
+      await expect(new Mockchain().save('mockchain.json')).to.be.rejectedWith('Saving the mockchain is only supported in node')
+      await expect(Mockchain.load('mockchain.json')).to.be.rejectedWith('Loading the mockchain is only supported in node')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('saves and loads', async () => {
+      if (BROWSER) return
+      const mockchain = new Mockchain()
+      const privkey = new PrivateKey('testnet')
+      const address = privkey.toAddress()
+      const script = Script.fromAddress(address)
+      const fundtxid = mockchain.fund(address, 10000)
+      mockchain.block()
+      const utxo = (await mockchain.utxos(script))[0]
+      const tx = new Transaction().from(utxo).change(address).sign(privkey)
+      await mockchain.broadcast(tx.toString('hex'))
+
+      const file = tmpfile()
+      await mockchain.save(file)
+      const mockchain2 = await Mockchain.load(file)
+
+      expect(await mockchain2.fetch(tx.hash)).to.equal(tx.toString('hex'))
+      expect(await mockchain2.time(tx.hash)).to.equal(mockchain._times.get(tx.hash))
+      expect(await mockchain2.spends(fundtxid, 1)).to.equal(tx.hash)
+      expect(await mockchain2.spends(tx.hash, 0)).to.equal(null)
+      expect(await mockchain2.utxos(script)).to.deep.equal(await mockchain.utxos(script))
+      expect(mockchain2._mempool).to.deep.equal(mockchain._mempool)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('continues after load', async () => {
+      if (BROWSER) return
+      const mockchain = new Mockchain()
+      const privkey = new PrivateKey('testnet')
+      const address = privkey.toAddress()
+      const script = Script.fromAddress(address)
+      mockchain.fund(address, 10000)
+
+      const file = tmpfile()
+      await mockchain.save(file)
+      const mockchain2 = await Mockchain.load(file)
+
+      const utxo = (await mockchain2.utxos(script))[0]
+      const tx = new Transaction().from(utxo).change(address).sign(privkey)
+      await mockchain2.broadcast(tx.toString('hex'))
+      await expect(mockchain2.broadcast(new Transaction().from(utxo).to(address, 5000).sign(privkey)
+        .toString('hex'))).to.be.rejectedWith('txn-mempool-conflict')
+      expect((await mockchain2.utxos(script))[0].txid).to.equal(tx.hash)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('persists across instances', async () => {
+      if (BROWSER) return
+      const file = tmpfile()
+      const mockchain = new Mockchain({ persist: file })
+      expect(mockchain.persist).to.equal(file)
+      const privkey = new PrivateKey('testnet')
+      const address = privkey.toAddress()
+      const script = Script.fromAddress(address)
+      mockchain.fund(address, 10000)
+      const utxo = (await mockchain.utxos(script))[0]
+      const tx = new Transaction().from(utxo).change(address).sign(privkey)
+      await mockchain.broadcast(tx.toString('hex'))
+      await mockchain.flush()
+
+      const mockchain2 = new Mockchain({ persist: file })
+      expect(await mockchain2.fetch(tx.hash)).to.equal(tx.toString('hex'))
+      expect((await mockchain2.utxos(script))[0].txid).to.equal(tx.hash)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('loads jigs after restart', async () => {
+      if (BROWSER) return
+      const file = tmpfile()
+      const purse = new PrivateKey('testnet')
+      const owner = new PrivateKey('testnet')
+      const blockchain = new Mockchain({ persist: file })
+      blockchain.fund(purse.toAddress(), 100000000)
+      const run = new Run({ blockchain, purse, owner, cache: new Map() })
+      class A extends Jig { }
+      const a = new A()
+      await run.sync()
+      await blockchain.flush()
+      run.deactivate()
+
+      const run2 = new Run({ blockchain: new Mockchain({ persist: file }), purse, owner, cache: new Map() })
+      const a2 = await run2.load(a.location)
+      expect(a2.location).to.equal(a.location)
+      run2.deactivate()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('writes changes made together once', async () => {
+      if (BROWSER) return
+      const file = tmpfile()
+      const mockchain = new Mockchain({ persist: file })
+      const exportState = spy(mockchain, '_exportState')
+      const address = new PrivateKey('testnet').toAddress()
+      const txids = [mockchain.fund(address, 1000), mockchain.fund(address, 2000)]
+      mockchain.block()
+      await mockchain.flush()
+      expect(exportState.callCount).to.equal(1)
+      const mockchain2 = new Mockchain({ persist: file })
+      expect(Array.from(mockchain2._transactions.keys())).to.deep.equal(txids)
+      expect(mockchain2._mempool.size).to.equal(0)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('flush waits for saves', async () => {
+      if (BROWSER) return
+      const file = tmpfile()
+      const mockchain = new Mockchain()
+      mockchain.fund(new PrivateKey('testnet').toAddress(), 1000)
+      mockchain.save(file)
+      await mockchain.flush()
+      expect(fs.existsSync(file)).to.equal(true)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('starts empty if file does not exist', async () => {
+      if (BROWSER) return
+      const file = tmpfile()
+      const mockchain = new Mockchain({ persist: file })
+      expect(mockchain._transactions.size).to.equal(0)
+      expect(fs.existsSync(file)).to.equal(false)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid persist', () => {
+      expect(() => new Mockchain({ persist: null })).to.throw('Invalid persist: null')
+      expect(() => new Mockchain({ persist: '' })).to.throw('Invalid persist')
+      expect(() => new Mockchain({ persist: 123 })).to.throw('Invalid persist: 123')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid path', async () => {
+      await expect(new Mockchain().save()).to.be.rejectedWith('Invalid path: undefined')
+      await expect(new Mockchain().save(null)).to.be.rejectedWith('Invalid path: null')
+      await expect(Mockchain.load('')).to.be.rejectedWith('Invalid path')
+      await expect(Mockchain.load({})).to.be.rejectedWith('Invalid path')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid file', async () => {
+      if (BROWSER) return
+      const file = tmpfile()
+      fs.writeFileSync(file, 'abc')
+      await expect(Mockchain.load(file)).to.be.rejectedWith(`Invalid mockchain file: ${file}`)
+      expect(() => new Mockchain({ persist: file })).to.throw(`Invalid mockchain file: ${file}`)
+      fs.writeFileSync(file, JSON.stringify({ version: 2 }))
+      await expect(Mockchain.load(file)).to.be.rejectedWith(`Unsupported mockchain file: ${file}`)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if file does not exist', async () => {
+      if (BROWSER) return
+      await expect(Mockchain.load(path.join(TMP, 'missing.json'))).to.be.rejected
+    })
+  })
 })
 
 // ------------------------------------------------------------------------------------------------
@@ -0,0 +1,450 @@
+/**
+ * multi-blockchain.js
+ *
+ * Tests for lib/plugins/multi-blockchain.js
+ */
+
+const { describe, it } = require('mocha')
+require('chai').use(require('chai-as-promised'))
+const { expect } = require('chai')
+const { stub } = require('sinon')
+const bsv = require('bsv')
+const Run = require('../env/run')
+const { createAbortController } = require('../env/misc')
+const { Jig } = Run
+const { MultiBlockchain, BlockchainWrapper, Mockchain } = Run.plugins
+const { AbortError, TimeoutError } = Run.errors
+
+// ------------------------------------------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------------------------------------------
+
+function stubBlockchain (network = 'mock') {
+  return stub({
+    network,
+    broadcast: () => {},
+    fetch: () => {},
+    utxos: () => {},
+    spends: () => {},
+    time: () => {}
+  })
+}
+
+// ------------------------------------------------------------------------------------------------
+
+function mockTransaction () {
+  return new bsv.Transaction()
+    .from({ txid: '0000000000000000000000000000000000000000000000000000000000000000', vout: 0, script: '', satoshis: 0 })
+    .to(new bsv.PrivateKey().toAddress(), 0)
+}
+
+// ------------------------------------------------------------------------------------------------
+
+const never = () => new Promise(() => {})
+
+const TXID = '1111111111111111111111111111111111111111111111111111111111111111'
+const SPEND = '2222222222222222222222222222222222222222222222222222222222222222'
+const SCRIPT = bsv.Script.fromAddress(new bsv.PrivateKey().toAddress()).toHex()
+
+// ------------------------------------------------------------------------------------------------
+// MultiBlockchain
+// ------------------------------------------------------------------------------------------------
+
+describe('MultiBlockchain', () => {
+  // --------------------------------------------------------------------------
+  // constructor
+  // --------------------------------------------------------------------------
+
+  describe('constructor', () => {
+    it('is BlockchainWrapper', () => {
+      expect(new MultiBlockchain([stubBlockchain()]) instanceof BlockchainWrapper).to.equal(true)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('with defaults', () => {
+      const a = stubBlockchain('test')
+      const b = stubBlockchain('test')
+      const blockchain = new MultiBlockchain([a, b])
+      expect(blockchain.blockchains).to.deep.equal([a, b])
+      expect(blockchain.network).to.equal('test')
+      expect(blockchain.timeout).to.equal(5000)
+      expect(blockchain.quorum).to.equal(1)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('with options', () => {
+      const blockchain = new MultiBlockchain([stubBlockchain(), stubBlockchain()], { timeout: 100, quorum: 2 })
+      expect(blockchain.timeout).to.equal(100)
+      expect(blockchain.quorum).to.equal(2)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid blockchains', () => {
+      expect(() => new MultiBlockchain()).to.throw('Invalid blockchains')
+      expect(() => new MultiBlockchain([])).to.throw('Invalid blockchains')
+      expect(() => new MultiBlockchain(stubBlockchain())).to.throw('Invalid blockchains')
+      expect(() => new MultiBlockchain([null])).to.throw('Invalid blockchain')
+      expect(() => new MultiBlockchain([{}])).to.throw('Invalid blockchain')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if networks differ', () => {
+      expect(() => new MultiBlockchain([stubBlockchain('main'), stubBlockchain('test')])).to.throw('Blockchain network mismatch')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid timeout', () => {
+      expect(() => new MultiBlockchain([stubBlockchain()], { timeout: null })).to.throw('Invalid timeout: null')
+      expect(() => new MultiBlockchain([stubBlockchain()], { timeout: 0 })).to.throw('Invalid timeout: 0')
+      expect(() => new MultiBlockchain([stubBlockchain()], { timeout: Infinity })).to.throw('Invalid timeout')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid quorum', () => {
+      expect(() => new MultiBlockchain([stubBlockchain()], { quorum: 0 })).to.throw('Invalid quorum: 0')
+      expect(() => new MultiBlockchain([stubBlockchain()], { quorum: 1.5 })).to.throw('Invalid quorum')
+      expect(() => new MultiBlockchain([stubBlockchain()], { quorum: 2 })).to.throw('Invalid quorum: 2')
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // broadcast
+  // --------------------------------------------------------------------------
+
+  describe('broadcast', () => {
+    it('broadcasts to all', async () => {
+      const a = stubBlockchain()
+      const b = stubBlockchain()
+      const tx = mockTransaction()
+      a.broadcast.returns(tx.hash)
+      b.broadcast.returns(tx.hash)
+      const blockchain = new MultiBlockchain([a, b])
+      expect(await blockchain.broadcast(tx)).to.equal(tx.hash)
+      expect(a.broadcast.calledWith(tx.toString())).to.equal(true)
+      expect(b.broadcast.calledWith(tx.toString())).to.equal(true)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('succeeds if any accepts', async () => {
+      const a = stubBlockchain()
+      const b = stubBlockchain()
+      const tx = mockTransaction()
+      a.broadcast.rejects(new Error('Service unavailable'))
+      b.broadcast.returns(tx.hash)
+      const blockchain = new MultiBlockchain([a, b])
+      expect(await blockchain.broadcast(tx)).to.equal(tx.hash)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('does not wait for slow providers once accepted', async () => {
+      const a = stubBlockchain()
+      const b = stubBlockchain()
+      const tx = mockTransaction()
+      a.broadcast.callsFake(never)
+      b.broadcast.returns(tx.hash)
+      const blockchain = new MultiBlockchain([a, b], { timeout: 1000 })
+      expect(await blockchain.broadcast(tx)).to.equal(tx.hash)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('accepts already known', async () => {
+      const a = stubBlockchain()
+      const b = stubBlockchain()
+      const tx = mockTransaction()
+      a.broadcast.rejects(new Error('257: txn-already-known'))
+      b.broadcast.rejects(new Error('Service unavailable'))
+      const blockchain = new MultiBlockchain([a, b])
+      expect(await blockchain.broadcast(tx)).to.equal(tx.hash)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws highest priority error if all reject', async () => {
+      const a = stubBlockchain()
+      const b = stubBlockchain()
+      a.broadcast.callsFake(async () => { await new Promise(resolve => setTimeout(resolve, 10)); throw new Error('Missing inputs') })
+      b.broadcast.rejects(new Error('Service unavailable'))
+      const blockchain = new MultiBlockchain([a, b])
+      await expect(blockchain.broadcast(mockTransaction())).to.be.rejectedWith('Missing inputs')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('does not rebroadcast recent transactions', async () => {
+      const a = stubBlockchain()
+      const tx = mockTransaction()
+      a.broadcast.returns(tx.hash)
+      const blockchain = new MultiBlockchain([a])
+      await blockchain.broadcast(tx)
+      await blockchain.broadcast(tx)
+      expect(a.broadcast.callCount).to.equal(1)
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // fetch
+  // --------------------------------------------------------------------------
+
+  describe('fetch', () => {
+    it('uses first provider', async () => {
+      const a = stubBlockchain()
+      const b = stubBlockchain()
+      const tx = mockTransaction()
+      a.fetch.returns(tx.toString())
+      const blockchain = new MultiBlockchain([a, b])
+      expect(await blockchain.fetch(tx.hash)).to.equal(tx.toString())
+      expect(b.fetch.called).to.equal(false)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('falls back on error', async () => {
+      const a = stubBlockchain()
+      const b = stubBlockchain()
+      const tx = mockTransaction()
+      a.fetch.rejects(new Error('Service unavailable'))
+      b.fetch.returns(tx.toString())
+      const blockchain = new MultiBlockchain([a, b])
+      expect(await blockchain.fetch(tx.hash)).to.equal(tx.toString())
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('falls back on timeout', async () => {
+      const a = stubBlockchain()
+      const b = stubBlockchain()
+      const tx = mockTransaction()
+      a.fetch.callsFake(never)
+      b.fetch.returns(tx.toString())
+      const blockchain = new MultiBlockchain([a, b], { timeout: 50 })
+      expect(await blockchain.fetch(tx.hash)).to.equal(tx.toString())
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('forwards options', async () => {
+      const a = stubBlockchain()
+      const tx = mockTransaction()
+      a.fetch.returns(tx.toString())
+      const blockchain = new MultiBlockchain([a])
+      await blockchain.fetch(tx.hash, { extra: 1 })
+      expect(a.fetch.args[0][0]).to.equal(tx.hash)
+      expect(a.fetch.args[0][1].extra).to.equal(1)
+      expect(a.fetch.args[0][1].signal.aborted).to.equal(false)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('aborts provider on timeout', async () => {
+      const a = stubBlockchain()
+      const b = stubBlockchain()
+      const tx = mockTransaction()
+      a.fetch.callsFake(never)
+      b.fetch.returns(tx.toString())
+      const blockchain = new MultiBlockchain([a, b], { timeout: 50 })
+      await blockchain.fetch(tx.hash)
+      expect(a.fetch.args[0][1].signal.aborted).to.equal(true)
+      expect(b.fetch.args[0][1].signal.aborted).to.equal(false)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('aborts provider when caller aborts', async () => {
+      const a = stubBlockchain()
+      a.fetch.callsFake((txid, options) => new Promise((resolve, reject) => {
+        if (options.signal.aborted) reject(new AbortError('Request aborted'))
+        options.signal.addEventListener('abort', () => reject(new AbortError('Request aborted')))
+      }))
+      const blockchain = new MultiBlockchain([a])
+      const controller = createAbortController()
+      const promise = blockchain.fetch(TXID, { signal: controller.signal })
+      controller.abort()
+      await expect(promise).to.be.rejectedWith(AbortError)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if all fail', async () => {
+      const a = stubBlockchain()
+      const b = stubBlockchain()
+      a.fetch.callsFake(never)
+      b.fetch.rejects(new Error('No such mempool or blockchain transaction'))
+      const blockchain = new MultiBlockchain([a, b], { timeout: 50 })
+      await expect(blockchain.fetch(TXID)).to.be.rejectedWith('No such mempool or blockchain transaction')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws timeout if all time out', async () => {
+      const a = stubBlockchain()
+      a.fetch.callsFake(never)
+      const blockchain = new MultiBlockchain([a], { timeout: 50 })
+      await expect(blockchain.fetch(TXID)).to.be.rejectedWith(TimeoutError)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('does not fall back if aborted', async () => {
+      const a = stubBlockchain()
+      const b = stubBlockchain()
+      a.fetch.rejects(new AbortError('Request aborted'))
+      const blockchain = new MultiBlockchain([a, b])
+      await expect(blockchain.fetch(TXID)).to.be.rejectedWith(AbortError)
+      expect(b.fetch.called).to.equal(false)
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // time
+  // --------------------------------------------------------------------------
+
+  describe('time', () => {
+    it('falls back on error', async () => {
+      const a = stubBlockchain()
+      const b = stubBlockchain()
+      a.time.rejects(new Error('Service unavailable'))
+      b.time.returns(1234)
+      const blockchain = new MultiBlockchain([a, b])
+      expect(await blockchain.time(TXID)).to.equal(1234)
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // utxos
+  // --------------------------------------------------------------------------
+
+  describe('utxos', () => {
+    const utxo = { txid: TXID, vout: 0, script: SCRIPT, satoshis: 1000 }
+    const utxo2 = { txid: SPEND, vout: 1, script: SCRIPT, satoshis: 2000 }
+
+    it('falls back on error', async () => {
+      const a = stubBlockchain()
+      const b = stubBlockchain()
+      a.utxos.rejects(new Error('Service unavailable'))
+      b.utxos.returns([utxo])
+      const blockchain = new MultiBlockchain([a, b])
+      expect(await blockchain.utxos(SCRIPT)).to.deep.equal([utxo])
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('returns if quorum agrees', async () => {
+      const a = stubBlockchain()
+      const b = stubBlockchain()
+      const c = stubBlockchain()
+      a.utxos.returns([utxo, utxo2])
+      b.utxos.returns([utxo2, utxo])
+      const blockchain = new MultiBlockchain([a, b, c], { quorum: 2 })
+      expect(await blockchain.utxos(SCRIPT)).to.deep.equal([utxo, utxo2])
+      expect(c.utxos.called).to.equal(false)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('asks next provider to reach quorum', async () => {
+      const a = stubBlockchain()
+      const b = stubBlockchain()
+      const c = stubBlockchain()
+      a.utxos.returns([utxo])
+      b.utxos.rejects(new Error('Service unavailable'))
+      c.utxos.returns([utxo])
+      const blockchain = new MultiBlockchain([a, b, c], { quorum: 2 })
+      expect(await blockchain.utxos(SCRIPT)).to.deep.equal([utxo])
+      expect(c.utxos.called).to.equal(true)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if quorum disagrees', async () => {
+      const a = stubBlockchain()
+      const b = stubBlockchain()
+      a.utxos.returns([utxo])
+      b.utxos.returns([utxo, utxo2])
+      const blockchain = new MultiBlockchain([a, b], { quorum: 2 })
+      await expect(blockchain.utxos(SCRIPT)).to.be.rejectedWith('Quorum not reached for utxos')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if not enough providers answer', async () => {
+      const a = stubBlockchain()
+      const b = stubBlockchain()
+      a.utxos.returns([utxo])
+      b.utxos.rejects(new Error('Service unavailable'))
+      const blockchain = new MultiBlockchain([a, b], { quorum: 2 })
+      await expect(blockchain.utxos(SCRIPT)).to.be.rejectedWith('Quorum not reached for utxos: 1 of 2 providers answered')
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // spends
+  // --------------------------------------------------------------------------
+
+  describe('spends', () => {
+    it('falls back on error', async () => {
+      const a = stubBlockchain()
+      const b = stubBlockchain()
+      a.spends.rejects(new Error('Service unavailable'))
+      b.spends.returns(SPEND)
+      const blockchain = new MultiBlockchain([a, b])
+      expect(await blockchain.spends(TXID, 0)).to.equal(SPEND)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('returns if quorum agrees', async () => {
+      const a = stubBlockchain()
+      const b = stubBlockchain()
+      a.spends.returns(null)
+      b.spends.returns(null)
+      const blockchain = new MultiBlockchain([a, b], { quorum: 2 })
+      expect(await blockchain.spends(TXID, 0)).to.equal(null)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if quorum disagrees', async () => {
+      const a = stubBlockchain()
+      const b = stubBlockchain()
+      a.spends.returns(null)
+      b.spends.returns(SPEND)
+      const blockchain = new MultiBlockchain([a, b], { quorum: 2 })
+      await expect(blockchain.spends(TXID, 0)).to.be.rejectedWith(`Quorum not reached for spends for ${TXID}_o0`)
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // Run
+  // --------------------------------------------------------------------------
+
+  describe('Run', () => {
+    it('survives provider outage', async () => {
+      const down = stubBlockchain()
+      Object.keys(down).forEach(key => typeof down[key] === 'function' && down[key].rejects(new Error('Service unavailable')))
+      const mockchain = new Mockchain()
+      const purse = new bsv.PrivateKey('testnet')
+      mockchain.fund(purse.toAddress().toString(), 100000000)
+      const blockchain = new MultiBlockchain([down, mockchain])
+      const run = new Run({ blockchain, purse, cache: new Run.plugins.LocalCache() })
+      class A extends Jig { }
+      const a = new A()
+      await a.sync()
+      run.cache = new Run.plugins.LocalCache()
+      const a2 = await run.load(a.location)
+      expect(a2.location).to.equal(a.location)
+      expect(down.broadcast.called).to.equal(true)
+      run.deactivate()
+    })
+  })
+})
+
+// ------------------------------------------------------------------------------------------------
@@ -67,6 +67,17 @@ describe('NodeCache', () => {
 
     // ------------------------------------------------------------------------
 
+    it('supports maxDiskSizeMB option', () => {
+      const nodeCache = new NodeCache({ maxDiskSizeMB: 123 })
+      const diskCache = nodeCache.diskCache
+      expect(diskCache.maxSizeMB).to.equal(123)
+      nodeCache.maxDiskSizeMB = 456
+      expect(nodeCache.maxDiskSizeMB).to.equal(456)
+      expect(diskCache.maxSizeMB).to.equal(456)
+    })
+
+    // ------------------------------------------------------------------------
+
     it('supports dir option', () => {
       const cache = new NodeCache({ dir: '.tmp' })
       expect(cache.diskCache.dir).to.equal('.tmp')
@@ -126,6 +137,51 @@ describe('NodeCache', () => {
       expect(cache.diskCache.get.called).to.equal(true)
     })
   })
+
+  // --------------------------------------------------------------------------
+  // delete
+  // --------------------------------------------------------------------------
+
+  describe('delete', () => {
+    it('deletes from both caches', async () => {
+      const cache = new NodeCache()
+      await cache.set('abc', 123)
+      await cache.delete('abc')
+      expect(await cache.localCache.get('abc')).to.equal(undefined)
+      expect(await cache.diskCache.get('abc')).to.equal(undefined)
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // keys
+  // --------------------------------------------------------------------------
+
+  describe('keys', () => {
+    it('combines keys from both caches', async () => {
+      const cache = new NodeCache()
+      await cache.set('ban://a', {})
+      await cache.diskCache.set('ban://b', {})
+      await cache.set('tx://c', 'd')
+      expect((await cache.keys('ban://')).sort()).to.deep.equal(['ban://a', 'ban://b'])
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // clear
+  // --------------------------------------------------------------------------
+
+  describe('clear', () => {
+    it('clears both caches', async () => {
+      const cache = new NodeCache()
+      await cache.set('spend://a', 'b')
+      await cache.set('tx://c', 'd')
+      await cache.clear('spend://')
+      expect(await cache.get('spend://a')).to.equal(undefined)
+      expect(await cache.get('tx://c')).to.equal('d')
+      await cache.clear()
+      expect(await cache.get('tx://c')).to.equal(undefined)
+    })
+  })
 })
 
 // ------------------------------------------------------------------------------------------------
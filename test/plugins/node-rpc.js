@@ -0,0 +1,399 @@
+/**
+ * node-rpc.js
+ *
+ * Tests for lib/plugins/node-rpc.js
+ */
+
+const { describe, it, afterEach } = require('mocha')
+require('chai').use(require('chai-as-promised'))
+const { expect } = require('chai')
+const bsv = require('bsv')
+const Run = require('../env/run')
+const { BROWSER } = require('../env/config')
+const { Jig } = Run
+const { NodeRpc, BlockchainWrapper, Mockchain } = Run.plugins
+
+// ------------------------------------------------------------------------------------------------
+// Stand-in node
+// ------------------------------------------------------------------------------------------------
+
+// Answers node RPC requests from a Mockchain, with or without the optional indexes
+function mockHandlers (mockchain, options = {}) {
+  const rpcError = (code, message) => Object.assign(new Error(message), { code })
+
+  const handlers = {
+    sendrawtransaction: ([rawtx]) => mockchain.broadcast(rawtx),
+
+    getrawtransaction: ([txid, verbose]) => {
+      const rawtx = mockchain._transactions.get(txid)
+      if (!rawtx) {
+        const message = options.txindex === false
+          ? 'No such mempool transaction. Use -txindex or provide a block hash to enable blockchain transaction queries. Use gettransaction for wallet transactions.'
+          : 'No such mempool or blockchain transaction. Use gettransaction for wallet transactions.'
+        throw rpcError(-5, message)
+      }
+      if (!verbose) return rawtx
+      if (mockchain._mempool.has(txid)) return { hex: rawtx, txid }
+      return { hex: rawtx, txid, blockhash: 'block', time: 1 }
+    },
+
+    getblock: ([blockhash]) => ({ hash: blockhash, time: 2 })
+  }
+
+  if (options.addressindex !== false) {
+    handlers.getaddressutxos = ([{ addresses }]) => {
+      const script = bsv.Script.fromAddress(new bsv.Address(addresses[0], 'testnet')).toHex()
+      return Array.from(mockchain._utxos.values())
+        .filter(utxo => utxo.script === script)
+        .map(utxo => ({ address: addresses[0], txid: utxo.txid, outputIndex: utxo.vout, script, satoshis: utxo.satoshis, height: 1 }))
+    }
+  }
+
+  if (options.spentindex !== false) {
+    handlers.getspentinfo = ([{ txid, index }]) => {
+      const spend = mockchain._spends.get(`${txid}_o${index}`)
+      if (!spend) throw rpcError(-5, 'Unable to get spent info')
+      return { txid: spend, index: 0, height: 1 }
+    }
+  }
+
+  return handlers
+}
+
+// ------------------------------------------------------------------------------------------------
+
+// Starts a JSON-RPC server over HTTP on a random local port
+async function startServer (handlers, auth) {
+  const http = require('http')
+
+  const server = { requests: [] }
+
+  server.http = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', data => { body += data })
+    req.on('end', async () => {
+      const { id, method, params } = JSON.parse(body)
+      server.requests.push({ method, params, headers: req.headers })
+
+      const respond = (status, json) => {
+        res.writeHead(status, { 'content-type': 'application/json' })
+        res.end(JSON.stringify(Object.assign({ id }, json)))
+      }
+
+      if (auth && req.headers.authorization !== `Basic ${Buffer.from(auth).toString('base64')}`) {
+        res.writeHead(401)
+        res.end()
+        return
+      }
+
+      const handler = handlers[method]
+      if (!handler) return respond(404, { result: null, error: { code: -32601, message: 'Method not found' } })
+
+      try {
+        respond(200, { result: await handler(params), error: null })
+      } catch (e) {
+        respond(500, { result: null, error: { code: e.code || -26, message: e.message } })
+      }
+    })
+  })
+
+  await new Promise(resolve => server.http.listen(0, '127.0.0.1', resolve))
+  server.url = `http://127.0.0.1:${server.http.address().port}`
+  server.close = () => new Promise(resolve => server.http.close(resolve))
+
+  return server
+}
+
+// ------------------------------------------------------------------------------------------------
+// NodeRpc
+// ------------------------------------------------------------------------------------------------
+
+describe('NodeRpc', () => {
+  const openServers = []
+
+  afterEach(async () => {
+    await Promise.all(openServers.splice(0).map(server => server.close()))
+  })
+
+  async function setup (options = {}, nodeOptions = {}) {
+    const mockchain = new Mockchain()
+    const server = await startServer(mockHandlers(mockchain, nodeOptions), nodeOptions.auth)
+    openServers.push(server)
+    const blockchain = new NodeRpc(Object.assign({ url: server.url, network: 'test', index: 'address' }, options))
+    return { mockchain, server, blockchain }
+  }
+
+  function fundedTransaction (mockchain) {
+    const privkey = new bsv.PrivateKey('testnet')
+    const fundtxid = mockchain.fund(privkey.toAddress().toString(), 100000)
+    const utxo = mockchain._utxos.get(`${fundtxid}_o1`)
+    const tx = new bsv.Transaction().from(utxo).to(privkey.toAddress(), 1000).change(privkey.toAddress()).sign(privkey)
+    return { privkey, fundtxid, tx }
+  }
+
+  // --------------------------------------------------------------------------
+  // constructor
+  // --------------------------------------------------------------------------
+
+  describe('constructor', () => {
+    it('is BlockchainWrapper', () => {
+      expect(new NodeRpc({ url: 'http://127.0.0.1:8332' }) instanceof BlockchainWrapper).to.equal(true)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('with defaults', () => {
+      const blockchain = new NodeRpc({ url: 'http://127.0.0.1:8332' })
+      expect(blockchain.url).to.equal('http://127.0.0.1:8332')
+      expect(blockchain.network).to.equal('main')
+      expect(blockchain.username).to.equal(undefined)
+      expect(blockchain.password).to.equal(undefined)
+      expect(blockchain.index).to.equal(undefined)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('with options', () => {
+      const index = new Mockchain()
+      const blockchain = new NodeRpc({ url: 'https://node:8332', username: 'a', password: 'b', network: 'test', index })
+      expect(blockchain.username).to.equal('a')
+      expect(blockchain.password).to.equal('b')
+      expect(blockchain.network).to.equal('test')
+      expect(blockchain.index).to.equal(index)
+      expect(new NodeRpc({ url: 'https://node:8332', index: 'address' }).index).to.equal('address')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid url', () => {
+      expect(() => new NodeRpc()).to.throw('Invalid url: undefined')
+      expect(() => new NodeRpc({ url: 'tcp://127.0.0.1:8332' })).to.throw('Invalid url')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid credentials', () => {
+      const url = 'http://127.0.0.1:8332'
+      expect(() => new NodeRpc({ url, username: null })).to.throw('Invalid username: null')
+      expect(() => new NodeRpc({ url, password: 1 })).to.throw('Invalid password: 1')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid network', () => {
+      const url = 'http://127.0.0.1:8332'
+      expect(() => new NodeRpc({ url, network: null })).to.throw('Invalid network: null')
+      expect(() => new NodeRpc({ url, network: '' })).to.throw('Invalid network')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid index', () => {
+      const url = 'http://127.0.0.1:8332'
+      expect(() => new NodeRpc({ url, index: null })).to.throw('Invalid index: null')
+      expect(() => new NodeRpc({ url, index: 'scripthash' })).to.throw('Invalid index: "scripthash"')
+      expect(() => new NodeRpc({ url, index: {} })).to.throw('Invalid index')
+    })
+  })
+
+  // The remaining tests use a local HTTP server
+  if (BROWSER) return
+
+  // --------------------------------------------------------------------------
+  // broadcast
+  // --------------------------------------------------------------------------
+
+  describe('broadcast', () => {
+    it('sends raw transaction', async () => {
+      const { mockchain, server, blockchain } = await setup()
+      const { fundtxid, tx } = fundedTransaction(mockchain)
+      expect(await blockchain.broadcast(tx.toString())).to.equal(tx.hash)
+      expect(mockchain._spends.get(`${fundtxid}_o1`)).to.equal(tx.hash)
+      expect(server.requests[0].method).to.equal('sendrawtransaction')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if rejected', async () => {
+      const { mockchain, blockchain } = await setup()
+      const { privkey, fundtxid, tx } = fundedTransaction(mockchain)
+      const utxo = mockchain._utxos.get(`${fundtxid}_o1`)
+      await mockchain.broadcast(tx.toString())
+      const tx2 = new bsv.Transaction().from(utxo).to(privkey.toAddress(), 2000).change(privkey.toAddress()).sign(privkey)
+      await expect(blockchain.broadcast(tx2.toString())).to.be.rejectedWith('txn-mempool-conflict')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('sends credentials', async () => {
+      const { mockchain, server, blockchain } = await setup({ username: 'user', password: 'pass' }, { auth: 'user:pass' })
+      const { tx } = fundedTransaction(mockchain)
+      await blockchain.broadcast(tx.toString())
+      expect(server.requests[0].headers.authorization).to.equal(`Basic ${Buffer.from('user:pass').toString('base64')}`)
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // fetch
+  // --------------------------------------------------------------------------
+
+  describe('fetch', () => {
+    it('gets raw transaction', async () => {
+      const { mockchain, blockchain } = await setup()
+      const txid = mockchain.fund(new bsv.PrivateKey('testnet').toAddress().toString(), 1000)
+      expect(await blockchain.fetch(txid)).to.equal(mockchain._transactions.get(txid))
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if missing', async () => {
+      const { blockchain } = await setup()
+      const txid = '0000000000000000000000000000000000000000000000000000000000000000'
+      await expect(blockchain.fetch(txid)).to.be.rejectedWith('No such mempool or blockchain transaction')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws with hint if no txindex', async () => {
+      const { blockchain } = await setup({}, { txindex: false })
+      const txid = '0000000000000000000000000000000000000000000000000000000000000000'
+      await expect(blockchain.fetch(txid)).to.be.rejectedWith('Hint: Start the node with -txindex=1')
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // utxos
+  // --------------------------------------------------------------------------
+
+  describe('utxos', () => {
+    it('queries address index', async () => {
+      const { mockchain, blockchain } = await setup()
+      const address = new bsv.PrivateKey('testnet').toAddress()
+      const script = bsv.Script.fromAddress(address).toHex()
+      const txid = mockchain.fund(address.toString(), 1000)
+      expect(await blockchain.utxos(script)).to.deep.equal([{ txid, vout: 1, satoshis: 1000, script }])
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('uses blockchain index', async () => {
+      const index = new Mockchain()
+      const { blockchain } = await setup({ index })
+      const address = new bsv.PrivateKey('testnet').toAddress()
+      const txid = index.fund(address.toString(), 1000)
+      const utxos = await blockchain.utxos(address.toString())
+      expect(utxos.map(utxo => utxo.txid)).to.deep.equal([txid])
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if no index', async () => {
+      const { blockchain } = await setup({ index: undefined })
+      const script = bsv.Script.fromAddress(new bsv.PrivateKey('testnet').toAddress()).toHex()
+      await expect(blockchain.utxos(script)).to.be.rejectedWith('NodeRpc requires an address index for utxos')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws with hint if node has no address index', async () => {
+      const { blockchain } = await setup({}, { addressindex: false })
+      const script = bsv.Script.fromAddress(new bsv.PrivateKey('testnet').toAddress()).toHex()
+      await expect(blockchain.utxos(script)).to.be.rejectedWith('Hint: Start the node with -addressindex=1')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if not P2PKH for address index', async () => {
+      const { blockchain } = await setup()
+      await expect(blockchain.utxos('006a')).to.be.rejectedWith('The address index only supports P2PKH scripts')
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // time
+  // --------------------------------------------------------------------------
+
+  describe('time', () => {
+    it('returns block time', async () => {
+      const { mockchain, server, blockchain } = await setup()
+      const txid = mockchain.fund(new bsv.PrivateKey('testnet').toAddress().toString(), 1000)
+      mockchain.block()
+      expect(await blockchain.time(txid)).to.equal(2000)
+      expect(server.requests.map(request => request.method)).to.deep.equal(['getrawtransaction', 'getblock'])
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('returns now if in mempool', async () => {
+      const { mockchain, blockchain } = await setup()
+      const txid = mockchain.fund(new bsv.PrivateKey('testnet').toAddress().toString(), 1000)
+      const before = Date.now()
+      expect(await blockchain.time(txid)).to.be.at.least(before)
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // spends
+  // --------------------------------------------------------------------------
+
+  describe('spends', () => {
+    it('queries spent index', async () => {
+      const { mockchain, blockchain } = await setup()
+      const { fundtxid, tx } = fundedTransaction(mockchain)
+      await mockchain.broadcast(tx.toString())
+      expect(await blockchain.spends(fundtxid, 1)).to.equal(tx.hash)
+      expect(await blockchain.spends(tx.hash, 0)).to.equal(null)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('uses blockchain index', async () => {
+      const index = new Mockchain()
+      const { blockchain } = await setup({ index })
+      const { fundtxid, tx } = fundedTransaction(index)
+      await index.broadcast(tx.toString())
+      expect(await blockchain.spends(fundtxid, 1)).to.equal(tx.hash)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if no index', async () => {
+      const { blockchain } = await setup({ index: undefined })
+      const txid = '0000000000000000000000000000000000000000000000000000000000000000'
+      await expect(blockchain.spends(txid, 0)).to.be.rejectedWith('NodeRpc requires a spent index for spends')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws with hint if node has no spent index', async () => {
+      const { blockchain } = await setup({}, { spentindex: false })
+      const txid = '0000000000000000000000000000000000000000000000000000000000000000'
+      await expect(blockchain.spends(txid, 0)).to.be.rejectedWith('Hint: Start the node with -spentindex=1')
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // Run
+  // --------------------------------------------------------------------------
+
+  describe('Run', () => {
+    it('deploys and loads jigs', async () => {
+      const { mockchain, blockchain } = await setup()
+      const purse = new bsv.PrivateKey('testnet')
+      mockchain.fund(purse.toAddress().toString(), 100000000)
+      const run = new Run({ blockchain, purse, cache: new Run.plugins.LocalCache() })
+      class A extends Jig { f () { this.n = 1 } }
+      const a = new A()
+      await a.sync()
+      const a2 = await run.load(a.location)
+      a2.f()
+      await a2.sync()
+      run.cache = new Run.plugins.LocalCache()
+      await a.sync()
+      expect(a.n).to.equal(1)
+      run.deactivate()
+    })
+  })
+})
+
+// ------------------------------------------------------------------------------------------------
@@ -63,6 +63,64 @@ describe('RecentBroadcasts', () => {
       expect(recentBroadcasts.length).to.equal(1)
       expect(recentBroadcasts[0].outputs[0].txid).to.equal(tx2.hash)
     })
+
+    // ------------------------------------------------------------------------
+
+    it('locks key if cache supports it', async () => {
+      const cache = new Map()
+      const locked = []
+      cache.lock = async (key, fn) => { locked.push(key); return fn() }
+      const tx = new bsv.Transaction()
+      tx.to(new bsv.PrivateKey().toAddress(), 100)
+      await RecentBroadcasts._addToCache(cache, tx, tx.hash)
+      expect(locked).to.deep.equal([CONFIG_KEY_RECENT_BROADCASTS])
+      expect(cache.get(CONFIG_KEY_RECENT_BROADCASTS).length).to.equal(1)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('broadcasts with a cache that only has get and set', async () => {
+      class MinimalCache extends Run.api.Cache {
+        constructor () { super(); this.map = new Map() }
+        async get (key) { return this.map.get(key) }
+        async set (key, value) { this.map.set(key, value) }
+      }
+      const cache = new MinimalCache()
+      const run = new Run({ cache })
+      class A extends Run.Jig { }
+      const a = new A()
+      await a.sync()
+      expect(cache.map.get(CONFIG_KEY_RECENT_BROADCASTS).length).to.be.at.least(1)
+      run.deactivate()
+    })
+  })
+
+  // ----------------------------------------------------------------------------------------------
+  // _removeFromCache
+  // ----------------------------------------------------------------------------------------------
+
+  describe('_removeFromCache', () => {
+    it('removes transactions', async () => {
+      const cache = new Map()
+      const tx1 = new bsv.Transaction()
+      tx1.to(new bsv.PrivateKey().toAddress(), 100)
+      const tx2 = new bsv.Transaction()
+      tx2.to(new bsv.PrivateKey().toAddress(), 100)
+      await RecentBroadcasts._addToCache(cache, tx1, tx1.hash)
+      await RecentBroadcasts._addToCache(cache, tx2, tx2.hash)
+      await RecentBroadcasts._removeFromCache(cache, [tx1.hash])
+      const recentBroadcasts = cache.get(CONFIG_KEY_RECENT_BROADCASTS)
+      expect(recentBroadcasts.length).to.equal(1)
+      expect(recentBroadcasts[0].txid).to.equal(tx2.hash)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('does nothing if no recent broadcasts', async () => {
+      const cache = new Map()
+      await RecentBroadcasts._removeFromCache(cache, ['1111111111111111111111111111111111111111111111111111111111111111'])
+      expect(cache.has(CONFIG_KEY_RECENT_BROADCASTS)).to.equal(false)
+    })
   })
 
   // ----------------------------------------------------------------------------------------------
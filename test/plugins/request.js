@@ -9,7 +9,8 @@ require('chai').use(require('chai-as-promised'))
 const { expect } = require('chai')
 const { stub } = require('sinon')
 const Run = require('../env/run')
-const { TimeoutError, RequestError } = Run.errors
+const { AbortError, TimeoutError, RequestError } = Run.errors
+const { createAbortController } = require('../env/misc')
 const unmangle = require('../env/unmangle')
 const request = unmangle(Run)._request
 const { _retry, _dedup, _cache } = unmangle(request)
@@ -63,6 +64,24 @@ describe('request', () => {
 
     // ------------------------------------------------------------------------
 
+    it('abort', async function () {
+      this.timeout(timeout)
+      const controller = createAbortController()
+      const promise = request('https://www.google.com:81', { timeout, signal: controller.signal })
+      setTimeout(() => controller.abort(), 100)
+      await expect(promise).to.be.rejectedWith(AbortError)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('already aborted', async function () {
+      const controller = createAbortController()
+      controller.abort()
+      await expect(request('https://www.google.com:81', { signal: controller.signal })).to.be.rejectedWith(AbortError)
+    })
+
+    // ------------------------------------------------------------------------
+
     it('client error', async function () {
       this.timeout(timeout)
       await expect(request('123', { timeout })).to.be.rejected
@@ -144,6 +163,16 @@ describe('request', () => {
       f.onCall(0).throws(new Error('timeout'))
       await expect(_retry(0, '', f)).to.be.rejectedWith('timeout')
     })
+
+    // ------------------------------------------------------------------------
+
+    it('does not retry aborts', async () => {
+      const f = stub()
+      f.onCall(0).throws(new AbortError('abort'))
+      f.onCall(1).returns('hello')
+      await expect(_retry(3, '', f)).to.be.rejectedWith(AbortError)
+      expect(f.callCount).to.equal(1)
+    })
   })
 
   // ----------------------------------------------------------------------------------------------
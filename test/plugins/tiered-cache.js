@@ -0,0 +1,267 @@
+/**
+ * tiered-cache.js
+ *
+ * Tests for lib/plugins/tiered-cache.js
+ */
+
+const { describe, it } = require('mocha')
+require('chai').use(require('chai-as-promised'))
+const { expect } = require('chai')
+const { spy } = require('sinon')
+const Run = require('../env/run')
+const { TieredCache, LocalCache, CacheWrapper } = Run.plugins
+
+// ------------------------------------------------------------------------------------------------
+// TieredCache
+// ------------------------------------------------------------------------------------------------
+
+describe('TieredCache', () => {
+  // --------------------------------------------------------------------------
+  // constructor
+  // --------------------------------------------------------------------------
+
+  describe('constructor', () => {
+    it('is CacheWrapper', () => {
+      expect(new TieredCache([new LocalCache()]) instanceof CacheWrapper).to.equal(true)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('creates tiers', () => {
+      const memory = new LocalCache()
+      const shared = new LocalCache()
+      const cache = new TieredCache([memory, { cache: shared, readOnly: true }])
+      expect(cache.tiers).to.deep.equal([
+        { cache: memory, readOnly: false },
+        { cache: shared, readOnly: true }
+      ])
+      expect(cache.write).to.equal('all')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid caches', () => {
+      expect(() => new TieredCache()).to.throw('Invalid caches')
+      expect(() => new TieredCache([])).to.throw('Invalid caches')
+      expect(() => new TieredCache(new LocalCache())).to.throw('Invalid caches')
+      expect(() => new TieredCache([null])).to.throw('Invalid cache')
+      expect(() => new TieredCache([{}])).to.throw('Invalid cache')
+      expect(() => new TieredCache([{ cache: new LocalCache(), readOnly: 1 }])).to.throw('Invalid readOnly')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if invalid write policy', () => {
+      expect(() => new TieredCache([new LocalCache()], { write: 'some' })).to.throw('Invalid write policy')
+      expect(() => new TieredCache([new LocalCache()], { write: null })).to.throw('Invalid write policy')
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // get
+  // --------------------------------------------------------------------------
+
+  describe('get', () => {
+    it('reads through tiers in order', async () => {
+      const tier1 = new LocalCache()
+      const tier2 = new LocalCache()
+      const cache = new TieredCache([tier1, tier2])
+      await tier1.set('a', 1)
+      await tier2.set('a', 2)
+      await tier2.set('b', 3)
+      expect(await cache.get('a')).to.equal(1)
+      expect(await cache.get('b')).to.equal(3)
+      expect(await cache.get('c')).to.equal(undefined)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('back-fills faster tiers', async () => {
+      const tier1 = new LocalCache()
+      const tier2 = new LocalCache()
+      const tier3 = new LocalCache()
+      const cache = new TieredCache([tier1, tier2, tier3])
+      await tier3.set('a', 1)
+      expect(await cache.get('a')).to.equal(1)
+      expect(await tier1.get('a')).to.equal(1)
+      expect(await tier2.get('a')).to.equal(1)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('does not back-fill read-only tiers', async () => {
+      const tier1 = new LocalCache()
+      const tier2 = new LocalCache()
+      const tier3 = new LocalCache()
+      const cache = new TieredCache([tier1, { cache: tier2, readOnly: true }, tier3])
+      await tier3.set('a', 1)
+      expect(await cache.get('a')).to.equal(1)
+      expect(await tier1.get('a')).to.equal(1)
+      expect(await tier2.get('a')).to.equal(undefined)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('does not back-fill expiring entries', async () => {
+      const tier1 = new LocalCache()
+      const tier2 = new LocalCache()
+      const cache = new TieredCache([tier1, tier2])
+      await tier2.set('spend://abc_o0', { value: null, expires: Date.now() + 60000 })
+      expect(await cache.get('spend://abc_o0')).to.equal(null)
+      expect(await tier1.get('spend://abc_o0')).to.equal(undefined)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('does not read slower tiers on hit', async () => {
+      const tier1 = new LocalCache()
+      const tier2 = new LocalCache()
+      const cache = new TieredCache([tier1, tier2])
+      await tier1.set('a', 1)
+      spy(tier2, 'get')
+      await cache.get('a')
+      expect(tier2.get.called).to.equal(false)
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // set
+  // --------------------------------------------------------------------------
+
+  describe('set', () => {
+    it('writes to all tiers', async () => {
+      const tier1 = new LocalCache()
+      const tier2 = new LocalCache()
+      const cache = new TieredCache([tier1, tier2])
+      await cache.set('a', 1)
+      expect(await tier1.get('a')).to.equal(1)
+      expect(await tier2.get('a')).to.equal(1)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('does not write to read-only tiers', async () => {
+      const tier1 = new LocalCache()
+      const tier2 = new LocalCache()
+      const cache = new TieredCache([tier1, { cache: tier2, readOnly: true }])
+      await cache.set('a', 1)
+      expect(await tier1.get('a')).to.equal(1)
+      expect(await tier2.get('a')).to.equal(undefined)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('first write policy', async () => {
+      const tier1 = new LocalCache()
+      const tier2 = new LocalCache()
+      const tier3 = new LocalCache()
+      const cache = new TieredCache([{ cache: tier1, readOnly: true }, tier2, tier3], { write: 'first' })
+      await cache.set('a', 1)
+      expect(await tier1.get('a')).to.equal(undefined)
+      expect(await tier2.get('a')).to.equal(1)
+      expect(await tier3.get('a')).to.equal(undefined)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('custom write policy', async () => {
+      const tier1 = new LocalCache()
+      const tier2 = new LocalCache()
+      const write = (key, value, index) => index === 0 || !key.startsWith('config://')
+      const cache = new TieredCache([tier1, tier2], { write })
+      await cache.set('jig://a', 1)
+      await cache.set('config://b', 2)
+      expect(await tier1.get('jig://a')).to.equal(1)
+      expect(await tier2.get('jig://a')).to.equal(1)
+      expect(await tier1.get('config://b')).to.equal(2)
+      expect(await tier2.get('config://b')).to.equal(undefined)
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // delete
+  // --------------------------------------------------------------------------
+
+  describe('delete', () => {
+    it('deletes from writable tiers', async () => {
+      const tier1 = new LocalCache()
+      const tier2 = new LocalCache()
+      const cache = new TieredCache([tier1, { cache: tier2, readOnly: true }])
+      await tier1.set('a', 1)
+      await tier2.set('a', 1)
+      await cache.delete('a')
+      expect(await tier1.get('a')).to.equal(undefined)
+      expect(await tier2.get('a')).to.equal(1)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('skips tiers without delete', async () => {
+      const tier1 = new LocalCache()
+      const map = new Map()
+      const tier2 = { get: async key => map.get(key), set: async (key, value) => map.set(key, value) }
+      const cache = new TieredCache([tier1, tier2])
+      await cache.set('a', 1)
+      await cache.delete('a')
+      expect(await tier1.get('a')).to.equal(undefined)
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // keys
+  // --------------------------------------------------------------------------
+
+  describe('keys', () => {
+    it('returns keys from all tiers', async () => {
+      const tier1 = new LocalCache()
+      const tier2 = new LocalCache()
+      const cache = new TieredCache([tier1, { cache: tier2, readOnly: true }])
+      await tier1.set('jig://a', 1)
+      await tier1.set('tx://b', 'b')
+      await tier2.set('jig://a', 1)
+      await tier2.set('jig://c', 1)
+      expect(await cache.keys('jig://')).to.have.members(['jig://a', 'jig://c'])
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // clear
+  // --------------------------------------------------------------------------
+
+  describe('clear', () => {
+    it('clears writable tiers', async () => {
+      const tier1 = new LocalCache()
+      const tier2 = new LocalCache()
+      const cache = new TieredCache([tier1, { cache: tier2, readOnly: true }])
+      await tier1.set('a', 1)
+      await tier2.set('a', 1)
+      await cache.clear()
+      expect(await tier1.get('a')).to.equal(undefined)
+      expect(await tier2.get('a')).to.equal(1)
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // Run
+  // --------------------------------------------------------------------------
+
+  describe('Run', () => {
+    it('loads from read-only tier', async () => {
+      const run = new Run()
+      class A extends Run.Jig { }
+      const a = new A()
+      await a.sync()
+      const shared = run.cache
+      const memory = new LocalCache()
+      run.cache = new TieredCache([memory, { cache: shared, readOnly: true }])
+      const events = []
+      run.on('replay-start', (event, data) => events.push(data))
+      await run.load(a.location)
+      expect(events.length).to.equal(0)
+      expect(await memory.get(`jig://${a.location}`)).to.deep.equal(await shared.get(`jig://${a.location}`))
+      run.deactivate()
+    })
+  })
+})
+
+// ------------------------------------------------------------------------------------------------
@@ -1281,6 +1281,35 @@ describe('Run', () => {
       })
     })
 
+    // ------------------------------------------------------------------------
+    // verifyCache
+    // ------------------------------------------------------------------------
+
+    describe('verifyCache', () => {
+      it('defaults to default', () => {
+        const run = new Run()
+        expect(run.verifyCache).to.equal(Run.defaults.verifyCache)
+        expect(run.cache.verify).to.equal(Run.defaults.verifyCache)
+      })
+
+      // ----------------------------------------------------------------------
+
+      it('true', () => {
+        const run = new Run({ verifyCache: true })
+        expect(run.verifyCache).to.equal(true)
+        expect(run.cache.verify).to.equal(true)
+        expect(run.cache.blockchain).to.equal(run.blockchain)
+      })
+
+      // ----------------------------------------------------------------------
+
+      it('throws if invalid', () => {
+        expect(() => new Run({ verifyCache: undefined })).to.throw('Invalid verifyCache: undefined')
+        expect(() => new Run({ verifyCache: null })).to.throw('Invalid verifyCache: null')
+        expect(() => new Run({ verifyCache: 1 })).to.throw('Invalid verifyCache: 1')
+      })
+    })
+
     // ------------------------------------------------------------------------
     // wallet
     // ------------------------------------------------------------------------
@@ -2007,6 +2036,32 @@ describe('Run', () => {
       })
     })
 
+    // ------------------------------------------------------------------------
+    // verifyCache
+    // ------------------------------------------------------------------------
+
+    describe('verifyCache', () => {
+      it('change', () => {
+        const run = new Run()
+        run.verifyCache = true
+        expect(run.verifyCache).to.equal(true)
+        expect(run.cache.verify).to.equal(true)
+        run.cache = new LocalCache()
+        expect(run.cache.verify).to.equal(true)
+        run.verifyCache = false
+        expect(run.cache.verify).to.equal(false)
+      })
+
+      // ----------------------------------------------------------------------
+
+      it('throws if invalid', () => {
+        const run = new Run()
+        expect(() => { run.verifyCache = undefined }).to.throw('Invalid verifyCache: undefined')
+        expect(() => { run.verifyCache = 'abc' }).to.throw('Invalid verifyCache: "abc"')
+        expect(run.verifyCache).to.equal(false)
+      })
+    })
+
     // ------------------------------------------------------------------------
     // wallet
     // ------------------------------------------------------------------------
@@ -2189,6 +2244,117 @@ describe('Run', () => {
       })
     })
 
+    // ------------------------------------------------------------------------
+    // scope
+    // ------------------------------------------------------------------------
+
+    describe('scope', () => {
+      // Async context scoping is only supported on Node
+      if (BROWSER) return
+
+      it('uses scoped instance while another is active', async () => {
+        const run = new Run()
+        const run2 = new Run()
+        class A extends Jig { }
+        const a = await run.scope(async () => {
+          const a = new A()
+          await a.sync()
+          return a
+        })
+        expect(Run.instance).to.equal(run2)
+        expect(a.owner).to.equal(run.owner.address)
+      })
+
+      // ----------------------------------------------------------------------
+
+      it('isolates concurrent instances', async () => {
+        const run = new Run()
+        const run2 = new Run()
+        class A extends Jig { f () { this.n = 1 } }
+        const [a, a2] = await Promise.all([run, run2].map(r => r.scope(async () => {
+          const a = new A()
+          await a.sync()
+          a.f()
+          await a.sync()
+          return a
+        })))
+        expect(a.owner).to.equal(run.owner.address)
+        expect(a2.owner).to.equal(run2.owner.address)
+        expect(a.nonce).to.equal(2)
+        expect(a2.nonce).to.equal(2)
+      })
+
+      // ----------------------------------------------------------------------
+
+      it('publishes created jigs through scoped instance after scope ends', async () => {
+        const run = new Run()
+        const run2 = new Run()
+        class A extends Jig { f () { this.n = 1 } }
+        const a = await run.scope(async () => {
+          const a = new A()
+          await a.sync()
+          return a
+        })
+        expect(Run.instance).to.equal(run2)
+        const utxos2 = await run2.purse.utxos()
+        a.f()
+        await a.sync()
+        expect(a.nonce).to.equal(2)
+        expect(a.owner).to.equal(run.owner.address)
+        expect(await run2.purse.utxos()).to.deep.equal(utxos2)
+      })
+
+      // ----------------------------------------------------------------------
+
+      it('publishes loaded jigs through scoped instance after scope ends', async () => {
+        const run = new Run()
+        class A extends Jig { f () { this.n = 1 } }
+        const a = new A()
+        await a.sync()
+        const run2 = new Run()
+        const a2 = await run.scope(() => run.load(a.location))
+        a2.f()
+        await a2.sync()
+        expect(a2.nonce).to.equal(2)
+        expect(a2.owner).to.equal(run.owner.address)
+        expect(Run.instance).to.equal(run2)
+      })
+
+      // ----------------------------------------------------------------------
+
+      it('applies network settings to scoped instance', async () => {
+        const retriesBefore = request.defaults.retries
+        const run = new Run()
+        const run2 = new Run({ networkRetries: 5 })
+        run.scope(() => { run.networkRetries = 3 })
+        expect(request.defaults.retries).to.equal(3)
+        run2.activate()
+        expect(request.defaults.retries).to.equal(5)
+        request.defaults.retries = retriesBefore
+      })
+
+      // ----------------------------------------------------------------------
+
+      it('loads while not active', async () => {
+        const run = new Run()
+        class A extends Jig { }
+        const a = new A()
+        await a.sync()
+        run.deactivate()
+        const a2 = await run.scope(() => run.load(a.location))
+        expect(a2.location).to.equal(a.location)
+        expect(Run.instance).to.equal(null)
+      })
+
+      // ----------------------------------------------------------------------
+
+      it('throws if invalid callback', () => {
+        const run = new Run()
+        expect(() => run.scope()).to.throw('Invalid callback')
+        expect(() => run.scope(null)).to.throw('Invalid callback')
+      })
+    })
+
     // ------------------------------------------------------------------------
     // sync
     // ------------------------------------------------------------------------
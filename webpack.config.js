@@ -50,13 +50,13 @@ const reservedNames = [
   // Extras
   'asm', 'B', 'Base58', 'expect', 'Group', 'Hex', 'NFT', 'sha256', 'Token', 'Tx', 'txo',
   // Plugins
-  'BrowserCache', 'DiskCache', 'IndexedDBCache', 'Inventory', 'LocalCache', 'LocalOwner', 'LocalPurse',
-  'LocalState', 'Mockchain', 'NodeCache', 'PayServer', 'RunConnect', 'RunDB',
-  'StateServer', 'Viewer', 'WhatsOnChain',
+  'BrowserCache', 'DiskCache', 'ElectrumX', 'IndexedDBCache', 'Inventory', 'LocalCache', 'LocalIndexer', 'LocalOwner',
+  'LocalPurse', 'LocalState', 'Mockchain', 'MultiBlockchain', 'NodeCache', 'NodeRpc', 'PayServer', 'RunConnect', 'RunDB',
+  'StateServer', 'TieredCache', 'Viewer', 'WhatsOnChain',
   // Wrappers
   'BlockchainWrapper', 'CacheWrapper', 'OwnerWrapper', 'PurseWrapper', 'StateWrapper',
   // Errors
-  'ArgumentError', 'ClientModeError', 'InternalError', 'NotImplementedError', 'RequestError',
+  'AbortError', 'ArgumentError', 'ClientModeError', 'InternalError', 'NotImplementedError', 'RequestError',
   'TimeoutError', 'TrustError', 'ExecutionError'
 ]
 